@@ -6,6 +6,11 @@ class PLCalculationEngine {
     this.projectTypes = new Map();
     this.calculations = new Map();
     this.debugMode = false; // Add debug mode
+    this.horizonYears = 10; // Projection horizon in years (1-20)
+    this.discountRate = 8; // Annual discount rate (%) for NPV, MIRR and discounted payback
+    this.priceBasis = 'nominal'; // 'nominal' or 'real' (projection deflated to year-1 prices by each project's CPI)
+    this.stages = this.createCalculationStages();
+    this.dependencyGraphs = new WeakMap(); // project type config -> input key dependency graph
   }
 
   // Register a project type with its data
@@ -20,6 +25,41 @@ class PLCalculationEngine {
     return this.calculations.get(typeId) || null;
   }
 
+  // Set the projection horizon (clamped to 1-20 years) and recalculate registered types
+  setProjectionHorizon(years) {
+    const horizon = Math.round(parseFloat(years) || 1);
+    this.horizonYears = Math.min(20, Math.max(1, horizon));
+
+    for (const [typeId, data] of this.projectTypes) {
+      this.calculations.set(typeId, this.calculateProjectPL(typeId, data));
+    }
+
+    return this.horizonYears;
+  }
+
+  // Set the annual discount rate (%) and recalculate registered types
+  setDiscountRate(rate) {
+    const value = parseFloat(rate);
+    this.discountRate = isFinite(value) ? Math.min(100, Math.max(0, value)) : 0;
+
+    for (const [typeId, data] of this.projectTypes) {
+      this.calculations.set(typeId, this.calculateProjectPL(typeId, data));
+    }
+
+    return this.discountRate;
+  }
+
+  // Report projections in nominal or real (year-1 price) terms and recalculate registered types
+  setPriceBasis(basis) {
+    this.priceBasis = basis === 'real' ? 'real' : 'nominal';
+
+    for (const [typeId, data] of this.projectTypes) {
+      this.calculations.set(typeId, this.calculateProjectPL(typeId, data));
+    }
+
+    return this.priceBasis;
+  }
+
   // Calculate P&L for any project type
   calculateProjectPL(typeId, data) {
     const projectType = window.projectTypeManager.getProjectType(typeId);
@@ -30,122 +70,1473 @@ class PLCalculationEngine {
     const results = {
       typeId,
       typeName: projectType.name,
-      formData: data, // Store form data for KPI calculations
-      revenue: this.calculateRevenue(projectType, data),
-      costs: this.calculateCosts(projectType, data),
-      investment: this.calculateInvestment(projectType, data),
-      breakdown: {
-        revenue: this.calculateRevenueBreakdown(projectType, data),
-        costs: this.calculateCostBreakdown(projectType, data),
-        staffing: this.calculateStaffingBreakdown(projectType, data)
-      }
+      formData: data // Store form data for KPI calculations
     };
 
-    results.profit = results.revenue.annual - results.costs.annual;
-    results.monthlyProfit = results.profit / 12;
-    results.roi = this.calculateROI(results);
+    return this.runStages(projectType, data, results, new Set(this.stages.map(stage => stage.id)));
+  }
+
+  // Recalculate a registered project type, recomputing only the stages affected by changedKeys
+  updateProjectType(typeId, data, changedKeys) {
+    const previous = this.calculations.get(typeId);
+    if (!previous || !changedKeys || this.projectTypes.get(typeId) !== data) {
+      return this.registerProjectType(typeId, data);
+    }
+
+    const projectType = window.projectTypeManager.getProjectType(typeId);
+    if (!projectType) {
+      throw new Error(`Unknown project type: ${typeId}`);
+    }
+
+    const stageIds = this.getAffectedStages(projectType, changedKeys);
+    const results = this.runStages(projectType, data, this.cloneResults(previous, data), stageIds);
+    this.calculations.set(typeId, results);
+
+    if (this.debugMode) {
+      console.log(`Recalculated ${typeId} (${Array.from(stageIds).join(', ') || 'no stages'})`);
+    }
+
+    return results;
+  }
+
+  // Evaluate a project type with input overrides without storing anything (what-if analysis)
+  evaluate(typeId, overrides = {}) {
+    const projectType = window.projectTypeManager.getProjectType(typeId);
+    if (!projectType) {
+      throw new Error(`Unknown project type: ${typeId}`);
+    }
+
+    const baseData = this.projectTypes.get(typeId);
+    const previous = this.calculations.get(typeId);
+    if (!baseData || !previous) {
+      return this.calculateProjectPL(typeId, Object.assign(this.getDefaultData(projectType), overrides));
+    }
+
+    const data = Object.assign({}, baseData, overrides);
+    const stageIds = this.getAffectedStages(projectType, Object.keys(overrides));
+    return this.runStages(projectType, data, this.cloneResults(previous, data), stageIds);
+  }
+
+  // Default form data for a project type (type fields plus shared categories)
+  getDefaultData(projectType) {
+    const data = {};
+    const sharedFields = Object.values(window.SHARED_CATEGORIES || {}).map(category => category.fields);
+
+    for (const fields of Object.values(projectType.categories).concat(sharedFields)) {
+      for (const field of fields || []) {
+        data[field.id] = field.defaultValue || 0;
+      }
+    }
+
+    return data;
+  }
+
+  // Shallow copy of a results object so stages can replace parts without touching the original
+  cloneResults(results, data) {
+    return Object.assign({}, results, {
+      formData: data,
+      breakdown: Object.assign({}, results.breakdown)
+    });
+  }
 
+  // Calculation stages in dependency order; each one fills part of the results object
+  createCalculationStages() {
+    return [
+      {
+        id: 'revenue',
+        dependsOn: [],
+        run: (projectType, data, results) => {
+          results.revenue = this.calculateRevenue(projectType, data);
+          const scope = this.buildFormulaScope(projectType, data);
+          results.demand = this.calculateBookingDemand(projectType, scope);
+          results.cohorts = this.calculateCohorts(projectType, scope);
+          results.fleet = this.calculateFleet(projectType, scope);
+          results.unitEconomics = this.calculateUnitEconomics(projectType, scope);
+        }
+      },
+      {
+        id: 'costs',
+        dependsOn: [],
+        run: (projectType, data, results) => { results.costs = this.calculateCosts(projectType, data); }
+      },
+      {
+        id: 'investment',
+        dependsOn: [],
+        run: (projectType, data, results) => {
+          results.capex = this.calculateCapexPlan(projectType, data);
+          results.investment = this.calculateInvestment(projectType, data);
+        }
+      },
+      {
+        id: 'revenueBreakdown',
+        dependsOn: [],
+        run: (projectType, data, results) => {
+          results.breakdown = Object.assign({}, results.breakdown, { revenue: this.calculateRevenueBreakdown(projectType, data) });
+        }
+      },
+      {
+        id: 'costBreakdown',
+        dependsOn: [],
+        run: (projectType, data, results) => {
+          results.breakdown = Object.assign({}, results.breakdown, { costs: this.calculateCostBreakdown(projectType, data) });
+        }
+      },
+      {
+        id: 'staffingBreakdown',
+        dependsOn: [],
+        run: (projectType, data, results) => {
+          results.breakdown = Object.assign({}, results.breakdown, { staffing: this.calculateStaffingBreakdown(projectType, data) });
+        }
+      },
+      {
+        id: 'profit',
+        dependsOn: ['revenue', 'costs'],
+        run: (projectType, data, results) => {
+          results.profit = results.revenue.annual - results.costs.annual;
+          results.monthlyProfit = results.profit / 12;
+        }
+      },
+      {
+        id: 'events',
+        dependsOn: ['revenue', 'costs'],
+        run: (projectType, data, results) => { results.events = this.calculateEventPL(projectType, data, results.costs); }
+      },
+      {
+        id: 'depreciation',
+        dependsOn: ['investment'],
+        run: (projectType, data, results) => { results.depreciation = this.calculateDepreciation(projectType, data); }
+      },
+      {
+        id: 'financing',
+        dependsOn: ['investment'],
+        run: (projectType, data, results) => { results.financing = this.calculateFinancing(data, results.investment); }
+      },
+      {
+        id: 'timeSeries',
+        dependsOn: ['revenue', 'costs', 'profit', 'depreciation', 'financing'],
+        run: (projectType, data, results) => { results.timeSeries = this.calculateTimeSeries(projectType, data, results); }
+      },
+      {
+        id: 'projection',
+        dependsOn: ['timeSeries'],
+        run: (projectType, data, results) => { results.projection = this.calculateProjection(projectType, data, results); }
+      },
+      {
+        id: 'returns',
+        dependsOn: ['projection'],
+        run: (projectType, data, results) => {
+          results.roi = this.calculateROI(results);
+          results.financing = Object.assign({}, results.financing); // Levered metrics are written onto the financing object
+          this.calculateLeveredReturns(results);
+          results.ebitda = results.profit;
+          results.ebit = results.projection.years[0].ebit;
+          results.tax = results.projection.years[0].tax;
+          results.netIncome = results.projection.years[0].netIncome;
+        }
+      },
+      {
+        id: 'property',
+        dependsOn: ['returns'],
+        run: (projectType, data, results) => { results.property = this.calculatePropertyReturns(projectType, data, results); }
+      }
+    ];
+  }
+
+  // Run the given stages (in dependency order) against a results object
+  runStages(projectType, data, results, stageIds) {
+    for (const stage of this.stages) {
+      if (stageIds.has(stage.id)) {
+        stage.run(projectType, data, results);
+      }
+    }
     return results;
   }
 
-  // Calculate total revenue based on project type configuration
-  calculateRevenue(projectType, data) {
-    const revenueConfig = projectType.categories.revenue;
-    let annualRevenue = 0;
-
-    // Handle different revenue calculation patterns
-    if (projectType.id === 'padel') {
-      annualRevenue = this.calculatePadelRevenue(revenueConfig, data);
-    } else if (projectType.id === 'gym') {
-      annualRevenue = this.calculateGymRevenue(revenueConfig, data);
-    } else if (projectType.id === 'conference') {
-      annualRevenue = this.calculateEventRevenue(revenueConfig, data);
-    } else if (projectType.id === 'saas') {
-      annualRevenue = this.calculateSaaSRevenue(revenueConfig, data);
-    } else if (projectType.id === 'ecommerce') {
-      annualRevenue = this.calculateEcommerceRevenue(revenueConfig, data);
-    } else if (projectType.id === 'consulting') {
-      annualRevenue = this.calculateConsultingRevenue(revenueConfig, data);
-    } else if (projectType.id === 'workshop') {
-      annualRevenue = this.calculateEducationRevenue(revenueConfig, data);
-    } else if (projectType.id === 'carRental') {
-      annualRevenue = this.calculateRentalRevenue(revenueConfig, data);
-    } else if (projectType.id === 'couponPlatform') {
-      annualRevenue = this.calculatePromotionRevenue(revenueConfig, data);
-    } else if (projectType.id === 'realEstate') {
-      annualRevenue = this.calculateRealEstateRevenue(revenueConfig, data);
-    } else if (projectType.id === 'capexInvestment') {
-      annualRevenue = this.calculateCapExRevenue(revenueConfig, data);
-    } else if (projectType.id === 'subscriptionService') {
-      annualRevenue = this.calculateSubscriptionRevenue(revenueConfig, data);
-    } else if (projectType.id === 'licensingBusiness') {
-      annualRevenue = this.calculateLicensingRevenue(revenueConfig, data);
-    } else if (projectType.id === 'partnershipBusiness') {
-      annualRevenue = this.calculatePartnershipRevenue(revenueConfig, data);
-    } else if (projectType.id === 'investmentPortfolio') {
-      annualRevenue = this.calculateInvestmentRevenue(revenueConfig, data);
-    } else if (projectType.id === 'operationalOptimization') {
-      annualRevenue = this.calculateOperationalRevenue(revenueConfig, data);
-    } else if (projectType.id === 'recurringService') {
-      annualRevenue = this.calculateRecurringRevenue(revenueConfig, data);
+  // Stages to recompute when the given input keys change (unknown keys recompute everything)
+  getAffectedStages(projectType, changedKeys) {
+    const graph = this.getDependencyGraph(projectType);
+    const affected = new Set();
+
+    for (const key of changedKeys) {
+      if (!graph.has(key)) {
+        return new Set(this.stages.map(stage => stage.id));
+      }
+      graph.get(key).forEach(stageId => affected.add(stageId));
+    }
+
+    // Propagate to downstream stages
+    for (const stage of this.stages) {
+      if (stage.dependsOn.some(stageId => affected.has(stageId))) {
+        affected.add(stage.id);
+      }
+    }
+
+    return affected;
+  }
+
+  // Map of input key -> stages that read it directly, cached per project type
+  getDependencyGraph(projectType) {
+    if (this.dependencyGraphs.has(projectType)) {
+      return this.dependencyGraphs.get(projectType);
+    }
+
+    const ids = (fields) => (fields || []).map(field => field.id);
+    const shared = (categoryId) => {
+      const category = window.SHARED_CATEGORIES && window.SHARED_CATEGORIES[categoryId];
+      return category ? ids(category.fields) : [];
+    };
+    const formulaInputs = (formulas) => formulas
+      .filter(formula => typeof formula === 'string' && formula !== '')
+      .flatMap(formula => window.formulaEvaluator.getDependencies(formula));
+
+    const categories = projectType.categories;
+    const calculations = projectType.calculations || {};
+    const allFields = Object.values(categories).flat();
+    const taxInputs = shared('tax');
+    const demand = calculations.demand;
+    // The event calendar places revenue and event costs in the months events take place
+    const eventInputs = calculations.events ? ['eventCalendar', calculations.events.count, ...shared('schedule')] : [];
+    // A rent roll drives rental income, letting fees and tenant-improvement cash flows;
+    // the exit adds the sale proceeds
+    const rentRoll = calculations.rentRoll;
+    const rentRollInputs = rentRoll ? ['rentRoll', rentRoll.enabled, rentRoll.voidMonths, rentRoll.lettingFee, rentRoll.otherIncome, ...shared('schedule')] : [];
+    const exitInputs = calculations.exit ? Object.values(calculations.exit) : [];
+    // A CapEx plan shapes the benefit ramp; its phases' timing and actual spend set the investment and its drawdown
+    const capex = calculations.capex;
+    const capexInputs = capex
+      ? [capex.contingency, capex.implementation, capex.rampUp, capex.rampShape, ...ids(categories.investment).flatMap(id => [`${id}_startMonth`, `${id}_phaseMonths`, `${id}_actualSpend`])]
+      : [];
+    // The fleet model drives revenue, per-vehicle costs, the fleet investment and its depreciation, and purchase and
+    // resale cash flows
+    const fleet = calculations.fleet;
+    const fleetInputs = fleet
+      ? ['fleetAcquisitions', ...shared('schedule'), ...Object.keys(fleet).filter(key => !['investment', 'replaces', 'unitName'].includes(key)).map(key => fleet[key])]
+      : [];
+    // Formula cost lines read their own inputs and the year's revenue lines
+    const costFormulas = (calculations.costs || []).map(line => line.formula);
+    const costFormulaInputs = costFormulas.length > 0
+      ? [...formulaInputs(costFormulas), ...formulaInputs((calculations.revenue || []).map(line => line.formula)), ...(calculations.costs || []).map(line => `${line.id}_escalationRate`)]
+      : [];
+    // Unit economics drive revenue from the funnel and the per-order and marketing costs
+    const unitEconomics = calculations.unitEconomics;
+    const unitEconomicsInputs = unitEconomics
+      ? [
+        ...Object.keys(unitEconomics).filter(key => !['channels', 'replaces'].includes(key)).map(key => unitEconomics[key]),
+        ...unitEconomics.channels.flatMap(channel => [channel.visits, channel.conversion, channel.spend]).filter(Boolean)
+      ]
+      : [];
+    const revenueInputs = [
+      ...ids(categories.revenue),
+      ...(demand ? [demand.enabled, demand.capacity, demand.daysPerWeek, demand.weeksPerYear, demand.spillover,
+        ...demand.tiers.flatMap(tier => [tier.hours, tier.rate, tier.demand])] : []),
+      ...formulaInputs((calculations.revenue || []).map(line => line.formula)),
+      ...formulaInputs([calculations.monthlyGrowthRate, calculations.rampFactor]),
+      ...(capex ? [capex.implementation, capex.rampUp, capex.rampShape] : []),
+      ...taxInputs,
+      ...eventInputs,
+      ...fleetInputs,
+      ...rentRollInputs,
+      // Seasonality profiles are rotated to the first trading month
+      'seasonality',
+      'seasonalityPreset',
+      ...shared('schedule')
+    ];
+
+    const stageInputs = {
+      revenue: revenueInputs,
+      costs: [...ids(categories.operating), ...ids(categories.staffing), ...taxInputs, ...eventInputs, ...fleetInputs, ...rentRollInputs, ...unitEconomicsInputs, ...costFormulaInputs],
+      investment: [...ids(categories.investment), ...categories.investment.map(field => field.quantity).filter(Boolean), ...fleetInputs, ...capexInputs],
+      revenueBreakdown: [...revenueInputs, ...formulaInputs(window.formulaEvaluator.flattenFormulas(calculations.breakdown))],
+      costBreakdown: [...ids(categories.operating), ...fleetInputs, ...unitEconomicsInputs, ...costFormulaInputs],
+      staffingBreakdown: [...ids(categories.staffing), ...costFormulaInputs],
+      depreciation: [
+        ...ids(categories.investment),
+        ...categories.investment.map(field => field.quantity).filter(Boolean),
+        ...shared('depreciation'),
+        ...ids(categories.investment).flatMap(id => [`${id}_usefulLife`, `${id}_residualValue`, `${id}_depreciationMethod`]),
+        ...fleetInputs
+      ],
+      financing: shared('financing'),
+      // Later years escalate costs and index revenue; year 1 is at today's prices. A construction period delays trading
+      timeSeries: [
+        ...taxInputs,
+        ...shared('inflation'),
+        ...shared('workingCapital'),
+        ...shared('schedule'),
+        ...fleetInputs,
+        ...rentRollInputs,
+        ...exitInputs,
+        ...ids(allFields.filter(field => field.cashEvent)),
+        ...ids([...categories.operating, ...categories.staffing]).map(id => `${id}_escalationRate`)
+      ]
+    };
+
+    const graph = new Map();
+    for (const [stageId, keys] of Object.entries(stageInputs)) {
+      for (const key of keys) {
+        if (!graph.has(key)) graph.set(key, new Set());
+        graph.get(key).add(stageId);
+      }
+    }
+
+    this.dependencyGraphs.set(projectType, graph);
+    return graph;
+  }
+
+  // Read a goal-seek output metric from a results object
+  getGoalMetric(results, metric) {
+    switch (metric) {
+      case 'profit': return results.profit;
+      case 'roi': return results.roi.roiPercentage;
+      case 'payback': return results.roi.paybackYears;
+      case 'npv': return results.roi.npv;
+      case 'netIncome': return results.netIncome;
+    }
+    throw new Error(`Unknown goal-seek metric: ${metric}`);
+  }
+
+  // Solve for the value of one input field that makes a metric hit a target, e.g. profit = 0 or ROI = 15%
+  goalSeek(typeId, fieldId, target, options = {}) {
+    const projectType = window.projectTypeManager.getProjectType(typeId);
+    if (!projectType) {
+      throw new Error(`Unknown project type: ${typeId}`);
+    }
+
+    const field = Object.values(projectType.categories).flat().find(item => item.id === fieldId);
+    const data = this.projectTypes.get(typeId) || this.getDefaultData(projectType);
+    const current = this.getValue(data, fieldId, field ? field.defaultValue || 0 : 0);
+    const lower = options.min !== undefined ? options.min : (field && field.min !== undefined && field.min !== null ? field.min : 0);
+    const upper = options.max !== undefined ? options.max : (field && field.max !== undefined ? field.max : null);
+
+    const solution = this.solveMonotonic(
+      value => this.evaluate(typeId, { [fieldId]: value }),
+      target,
+      { lower, upper, start: current }
+    );
+
+    return Object.assign({ typeId, fieldId, current }, solution);
+  }
+
+  // Solve for the multiplier on a set of volume fields (members, hours, orders...) that hits a target
+  solveBreakEvenScale(typeId, fieldIds, target = { metric: 'profit', value: 0 }) {
+    const projectType = window.projectTypeManager.getProjectType(typeId);
+    if (!projectType) {
+      throw new Error(`Unknown project type: ${typeId}`);
+    }
+
+    const data = this.projectTypes.get(typeId) || this.getDefaultData(projectType);
+    const baseValues = {};
+    fieldIds.forEach(fieldId => { baseValues[fieldId] = this.getValue(data, fieldId, 0); });
+
+    return this.solveMonotonic(
+      scale => {
+        const overrides = {};
+        fieldIds.forEach(fieldId => { overrides[fieldId] = baseValues[fieldId] * scale; });
+        return this.evaluate(typeId, overrides);
+      },
+      target,
+      { lower: 0, upper: null, start: 1 }
+    );
+  }
+
+  // Bracket and bisect f(x) = metric(evaluateAt(x)) - target; the metric must change sign within the bounds
+  solveMonotonic(evaluateAt, target, bounds) {
+    const metric = target.metric || 'profit';
+    const targetValue = parseFloat(target.value) || 0;
+    const maxExpansions = 40;
+    const tolerance = 1e-6;
+
+    // Payback that is never reached counts as a very long payback
+    const gap = (x) => {
+      const value = this.getGoalMetric(evaluateAt(x), metric);
+      return (isFinite(value) ? value : Number.MAX_VALUE) - targetValue;
+    };
+
+    let low = bounds.lower;
+    let high = bounds.upper !== null ? bounds.upper : Math.max(Math.abs(bounds.start) * 2, low + 1);
+    let gapLow = gap(low);
+    let gapHigh = gap(high);
+
+    // Without an upper limit, widen the bracket until the target is crossed
+    for (let i = 0; bounds.upper === null && Math.sign(gapLow) === Math.sign(gapHigh) && gapHigh !== 0 && i < maxExpansions; i++) {
+      low = high;
+      gapLow = gapHigh;
+      high = high * 2;
+      gapHigh = gap(high);
+    }
+
+    if (gapLow === 0) return { value: low, achieved: targetValue, metric, target: targetValue, iterations: 0 };
+    if (gapHigh === 0) return { value: high, achieved: targetValue, metric, target: targetValue, iterations: 0 };
+    if (Math.sign(gapLow) === Math.sign(gapHigh)) {
+      throw new Error(`No value between ${bounds.lower} and ${bounds.upper !== null ? bounds.upper : 'the search limit'} reaches the target ${metric} of ${targetValue}`);
+    }
+
+    let iterations = 0;
+    while (iterations < 100 && (high - low) > tolerance * Math.max(1, Math.abs(high))) {
+      const mid = (low + high) / 2;
+      const gapMid = gap(mid);
+      // Exact hits stay on the target side so step-shaped metrics (payback) find the threshold
+      if (gapMid !== 0 && Math.sign(gapMid) === Math.sign(gapLow)) {
+        low = mid;
+        gapLow = gapMid;
+      } else {
+        high = mid;
+      }
+      iterations++;
+    }
+
+    // The upper end of the bracket is on the target's side of the crossing (e.g. profit >= 0)
+    return {
+      value: high,
+      achieved: this.getGoalMetric(evaluateAt(high), metric),
+      metric,
+      target: targetValue,
+      iterations
+    };
+  }
+
+  // Two-way data table: a metric for every combination of two input fields' values
+  calculateDataTable(typeId, rowField, rowValues, columnField, columnValues, metric = 'profit') {
+    if (rowField === columnField) {
+      throw new Error('Choose two different fields for a two-way data table');
+    }
+
+    const values = rowValues.map(rowValue => columnValues.map(columnValue => {
+      const results = this.evaluate(typeId, { [rowField]: rowValue, [columnField]: columnValue });
+      return this.getGoalMetric(results, metric);
+    }));
+
+    return { typeId, rowField, columnField, rowValues, columnValues, metric, values };
+  }
+
+  // A metric for several projects run together: profit and NPV add up, ROI and payback use the combined totals
+  getCombinedMetric(resultsList, metric) {
+    const sum = (pick) => resultsList.reduce((total, results) => total + (pick(results) || 0), 0);
+
+    switch (metric) {
+      case 'profit': return sum(results => results.profit);
+      case 'npv': return sum(results => results.roi.npv);
+      case 'netIncome': return sum(results => results.netIncome);
+      case 'roi': {
+        const investment = sum(results => results.investment);
+        return investment > 0 ? (sum(results => results.profit) / investment) * 100 : 0;
+      }
+      case 'payback': return this.getCombinedBreakEvenMonth(resultsList) / 12;
+    }
+    throw new Error(`Unknown sensitivity metric: ${metric}`);
+  }
+
+  // First month in which the projects' combined cumulative cash turns non-negative (extrapolated beyond the horizon);
+  // projects with a later start date join the combined timeline at their offset. Optional monthly adjustments
+  // (type id -> amount) add to a project's cash every month from its own month 1.
+  getCombinedBreakEvenMonth(resultsList, monthlyAdjustments = new Map()) {
+    const offsets = this.getStartOffsets(resultsList.map(results => results.typeId));
+    const adjustment = results => monthlyAdjustments.get(results.typeId) || 0;
+    const totalMonths = Math.max(0, ...resultsList.map(results => results.timeSeries.length));
+    for (let index = 0; index < totalMonths; index++) {
+      const cumulativeCash = resultsList.reduce((total, results) => {
+        const projectIndex = index - offsets.get(results.typeId);
+        if (projectIndex < 0) return total;
+        const entry = results.timeSeries[Math.min(projectIndex, results.timeSeries.length - 1)];
+        return total + (entry ? entry.cumulativeCash : 0) + adjustment(results) * (projectIndex + 1);
+      }, 0);
+      if (cumulativeCash >= 0) return index + 1;
+    }
+
+    const lastYears = resultsList.map(results => results.projection.years[results.projection.years.length - 1]).filter(Boolean);
+    const profit = resultsList.reduce((total, results) => total + adjustment(results) * 12, lastYears.reduce((total, year) => total + year.profit, 0));
+    const cumulativeCash = resultsList.reduce(
+      (total, results) => total + adjustment(results) * (totalMonths - offsets.get(results.typeId)),
+      lastYears.reduce((total, year) => total + year.cumulativeCash, 0)
+    );
+    return profit > 0 ? totalMonths + Math.ceil(-cumulativeCash / (profit / 12)) : Infinity;
+  }
+
+  // Input values for a sensitivity variable: percentage changes from the current value or absolute bounds
+  getSensitivityBounds(variable, baseValue) {
+    const low = parseFloat(variable.low);
+    const high = parseFloat(variable.high);
+    if (!isFinite(low) || !isFinite(high)) {
+      throw new Error(`Sensitivity range for ${variable.projectId}.${variable.fieldId} needs numeric low and high values`);
+    }
+
+    if (variable.mode === 'absolute') {
+      return { low, high };
+    }
+    return { low: baseValue * (1 + low / 100), high: baseValue * (1 + high / 100) };
+  }
+
+  // Sensitivity of a metric across the given projects to each variable: the low/high swing (tornado chart)
+  // and a sweep from low to high (spider chart). variables: [{ projectId, fieldId, mode, low, high }]
+  calculateSensitivity(projectIds, variables, metric = 'profit', steps = 5) {
+    const baseResults = projectIds.map(typeId => this.evaluate(typeId));
+    const base = this.getCombinedMetric(baseResults, metric);
+    const metricAt = (variable, value) => this.getCombinedMetric(
+      projectIds.map((typeId, index) => (typeId === variable.projectId ? this.evaluate(typeId, { [variable.fieldId]: value }) : baseResults[index])),
+      metric
+    );
+
+    const rows = variables.filter(variable => projectIds.includes(variable.projectId)).map(variable => {
+      const data = baseResults[projectIds.indexOf(variable.projectId)].formData;
+      const baseValue = this.getValue(data, variable.fieldId, 0);
+      const bounds = this.getSensitivityBounds(variable, baseValue);
+
+      // Evenly spaced input values across the range, plus the current value itself
+      const count = Math.max(2, steps);
+      const values = Array.from({ length: count }, (_, i) => (i === count - 1 ? bounds.high : bounds.low + (bounds.high - bounds.low) * i / (count - 1)));
+      if (!values.includes(baseValue) && baseValue > Math.min(bounds.low, bounds.high) && baseValue < Math.max(bounds.low, bounds.high)) {
+        values.push(baseValue);
+      }
+      values.sort((a, b) => a - b);
+
+      const sweep = values.map(value => ({
+        value,
+        change: baseValue !== 0 ? ((value - baseValue) / Math.abs(baseValue)) * 100 : null,
+        metric: value === baseValue ? base : metricAt(variable, value)
+      }));
+      const low = sweep.find(point => point.value === bounds.low) || sweep[0];
+      const high = sweep.find(point => point.value === bounds.high) || sweep[sweep.length - 1];
+
+      return {
+        ...variable,
+        baseValue,
+        lowValue: bounds.low,
+        highValue: bounds.high,
+        low: low.metric,
+        high: high.metric,
+        swing: Math.abs(high.metric - low.metric),
+        sweep
+      };
+    });
+
+    // Largest swing first, as tornado charts are read top-down
+    rows.sort((a, b) => (isFinite(b.swing) ? b.swing : Number.MAX_VALUE) - (isFinite(a.swing) ? a.swing : Number.MAX_VALUE));
+    return { metric, base, variables: rows };
+  }
+
+  // Calculate total revenue for a projection year (year 1 unless specified), built month by month
+  calculateRevenue(projectType, data, year = 1) {
+    const tax = this.getTaxSettings(data);
+    const vatDivisor = tax.revenueIncludesVat ? 1 + tax.vatRateRevenue / 100 : 1;
+    const indexation = this.getEscalationFactor(this.getInflationSettings(data).revenue, year);
+    // A cohort model, rent roll, fleet model or event calendar produces the monthly revenue directly; otherwise the run rate is shaped over the year
+    const scope = this.buildFormulaScope(projectType, data);
+    const cohorts = this.calculateCohorts(projectType, scope, year * 12);
+    const fleet = this.calculateFleet(projectType, scope, year * 12);
+    const rentRoll = this.calculateRentRoll(projectType, scope, year * 12);
+    const calendar = this.getEventCalendar(projectType, data);
+    let months;
+    if (cohorts) {
+      months = cohorts.months.slice((year - 1) * 12).map(month => month.revenue * indexation / vatDivisor);
+    } else if (rentRoll) {
+      // Leases carry their own escalations; only other income follows the revenue indexation
+      const otherIncome = this.getValue(scope, projectType.calculations.rentRoll.otherIncome, 0) / 12 * indexation;
+      months = rentRoll.months.slice((year - 1) * 12).map(month => (month.rent + otherIncome) / vatDivisor);
+    } else if (fleet) {
+      months = fleet.months.slice((year - 1) * 12).map(month => month.revenue * indexation / vatDivisor);
+    } else if (calendar && calendar.custom) {
+      months = this.getEventMonths(data, calendar.events, event => event.revenue * indexation / vatDivisor);
     } else {
-      // Generic revenue calculation - sum all revenue fields
-      annualRevenue = this.calculateGenericRevenue(revenueConfig, data);
+      months = this.calculateMonthlyRevenueProfile(projectType, data, year, this.calculateRunRateRevenue(projectType, data, year) * indexation / vatDivisor);
     }
+    const annualRevenue = months.reduce((sum, value) => sum + value, 0);
 
     return {
       annual: annualRevenue,
       monthly: annualRevenue / 12,
-      daily: annualRevenue / 365
+      daily: annualRevenue / 365,
+      months
     };
   }
 
-  // Padel-specific revenue calculation
-  calculatePadelRevenue(config, data) {
-    const peakHours = this.getValue(data, 'peakHours', 0);
-    const peakRate = this.getValue(data, 'peakRate', 0);
-    const peakUtil = this.getValue(data, 'peakUtil', 0) / 100;
-    const offHours = this.getValue(data, 'offHours', 0);
-    const offRate = this.getValue(data, 'offRate', 0);
-    const offUtil = this.getValue(data, 'offUtil', 0) / 100;
-    const courts = this.getValue(data, 'courts', 1);
-    const days = this.getValue(data, 'days', 7);
-    const weeks = this.getValue(data, 'weeks', 52);
+  // Spread a year's run-rate revenue over its 12 months (growth curve, ramp-up, seasonality)
+  calculateMonthlyRevenueProfile(projectType, data, year, runRate) {
+    const scope = this.buildFormulaScope(projectType, data, { year, month: 1 });
+    const growthWeights = this.getIntraYearGrowthWeights(projectType, scope);
+    const seasonality = this.getSeasonalityFactors(projectType, data);
+    const weightTotal = growthWeights.reduce((sum, weight) => sum + weight, 0);
+    const months = [];
+
+    for (let monthOfYear = 1; monthOfYear <= 12; monthOfYear++) {
+      const month = (year - 1) * 12 + monthOfYear;
+      const base = runRate * growthWeights[monthOfYear - 1] / weightTotal;
+      months.push(base * this.getRampFactor(projectType, scope, month) * seasonality[monthOfYear - 1]);
+    }
+
+    return months;
+  }
+
+  // Relative weight of each month within a year from the type's monthlyGrowthRate formula
+  getIntraYearGrowthWeights(projectType, scope) {
+    const formula = projectType.calculations && projectType.calculations.monthlyGrowthRate;
+    const monthlyRate = formula ? window.formulaEvaluator.evaluate(formula, scope) : 0;
+
+    return Array.from({ length: 12 }, (_, i) => Math.pow(1 + monthlyRate, i));
+  }
+
+  // Share of run-rate revenue earned in an absolute month (1 = first month of operation)
+  getRampFactor(projectType, scope, month) {
+    const capex = projectType.calculations && projectType.calculations.capex;
+    if (capex) return this.getCapexBenefitFactor(capex, scope, month);
+
+    const formula = projectType.calculations && projectType.calculations.rampFactor;
+    if (!formula) return 1;
+
+    scope.month = month;
+    return Math.max(0, window.formulaEvaluator.evaluate(formula, scope));
+  }
+
+  // Monthly seasonality multipliers (average 1) for each month of a trading year. Profiles run January-December,
+  // so they are rotated to start at the first trading month (the start date's month plus any construction period)
+  getSeasonalityFactors(projectType, data) {
+    const profile = this.getSeasonalityProfile(data);
+    const weights = profile ? profile.map(value => Math.max(0, parseFloat(value) || 0)) : null;
+    const total = weights ? weights.reduce((sum, value) => sum + value, 0) : 0;
+
+    if (!weights || total <= 0) {
+      return new Array(12).fill(1);
+    }
+
+    const firstMonth = this.getFirstTradingMonth(data);
+    return weights.map((_, i) => weights[(firstMonth + i) % 12] * 12 / total);
+  }
+
+  // Calendar month (0 = January) of a project's first trading month; January without a start date
+  getFirstTradingMonth(data) {
+    const start = this.getStartMonthIndex(data);
+    return ((start === null ? 0 : start) + this.getConstructionMonths(data)) % 12;
+  }
+
+  // Seasonality profile (January-December weights) chosen for a project: a business-category preset, flat,
+  // or the custom profile in data.seasonality
+  getSeasonalityProfile(data) {
+    const preset = data && data.seasonalityPreset;
+    if (preset === 'flat') return null;
 
-    const peakRevenue = peakHours * peakRate * days * weeks * courts * peakUtil;
-    const offRevenue = offHours * offRate * days * weeks * courts * offUtil;
+    if (preset && preset !== 'custom') {
+      const category = window.BUSINESS_TYPE_CATEGORIES && window.BUSINESS_TYPE_CATEGORIES[preset];
+      return category && category.seasonality ? category.seasonality : null;
+    }
+
+    return data && Array.isArray(data.seasonality) && data.seasonality.length === 12 ? data.seasonality : null;
+  }
 
-    return peakRevenue + offRevenue;
+  // Operating cost lines that follow the seasonality profile
+  isVariableCost(field) {
+    return field.variable !== undefined && field.variable !== null ? field.variable : field.group === 'Variable Costs';
   }
 
-  // Gym-specific revenue calculation
-  calculateGymRevenue(config, data) {
-    const weeklyRevenue = this.getValue(data, 'weekMembers', 0) * this.getValue(data, 'weekFee', 0) * 52;
-    const monthlyRevenue = this.getValue(data, 'monthMembers', 0) * this.getValue(data, 'monthFee', 0) * 12;
-    const annualRevenue = this.getValue(data, 'annualMembers', 0) * this.getValue(data, 'annualFee', 0);
+  // Annual revenue at full run rate for a projection year, before ramp-up and seasonality
+  calculateRunRateRevenue(projectType, data, year = 1) {
+    // Unit economics earn the orders' sales net of refunds
+    const unitEconomics = this.calculateUnitEconomics(projectType, this.buildFormulaScope(projectType, data));
+    if (unitEconomics) {
+      return unitEconomics.annual.netRevenue;
+    }
     
-    let totalRevenue = weeklyRevenue + monthlyRevenue + annualRevenue;
+    const lines = this.calculateRevenueLines(projectType, data, year);
 
-    // Apply ramp-up if enabled
-    if (this.getValue(data, 'rampUp', false)) {
-      const rampDuration = this.getValue(data, 'rampDuration', 0);
-      const rampEffect = this.getValue(data, 'rampEffect', 100) / 100;
-      
-      const monthlyBase = totalRevenue / 12;
-      let adjustedRevenue = 0;
-      
-      for (let month = 1; month <= 12; month++) {
-        if (month <= rampDuration) {
-          adjustedRevenue += monthlyBase * rampEffect;
-        } else {
-          adjustedRevenue += monthlyBase;
+    // Types without revenue formulas sum their revenue fields
+    if (lines.length === 0) {
+      return this.calculateGenericRevenue(projectType.categories.revenue, data);
+    }
+
+    return lines.reduce((sum, line) => sum + line.annual, 0);
+  }
+
+  // Evaluate the type's revenue formula lines for a projection year
+  calculateRevenueLines(projectType, data, year = 1) {
+    const definitions = (projectType.calculations && projectType.calculations.revenue) || [];
+    const scope = this.buildFormulaScope(projectType, data, { year });
+
+    return definitions.map(line => {
+      const annual = window.formulaEvaluator.evaluate(line.formula, scope);
+      scope[line.id] = annual; // Later lines can reference earlier ones
+      return { id: line.id, name: line.name || line.id, annual };
+    });
+  }
+
+  // Formula scope: field defaults, overridden by form data, plus extra variables (year, month)
+  buildFormulaScope(projectType, data, extras = {}) {
+    const scope = {};
+    const sharedFields = Object.values(window.SHARED_CATEGORIES || {}).map(category => category.fields);
+    const fieldLists = Object.values(projectType.categories).concat(sharedFields);
+
+    for (const fields of fieldLists) {
+      for (const field of fields || []) {
+        scope[field.id] = field.defaultValue !== undefined ? field.defaultValue : 0;
+      }
+    }
+
+    for (const key of Object.keys(data || {})) {
+      scope[key] = data[key];
+    }
+
+    // A booking demand model replaces the utilization inputs with the utilization it realizes
+    const demand = this.calculateBookingDemand(projectType, scope);
+    if (demand) {
+      demand.tiers.forEach(tier => { scope[tier.utilizationField] = tier.utilization; });
+    }
+
+    return Object.assign(scope, extras);
+  }
+
+  // Booking demand against capacity for each slot tier (most expensive first): requested and available capacity-hours,
+  // bookings served including demand spilling over from a full dearer tier, lost demand, realized utilization and
+  // revenue. null unless the type has a demand model and it is enabled
+  calculateBookingDemand(projectType, data) {
+    const model = projectType.calculations && projectType.calculations.demand;
+    if (!model || !this.getFlag(data, model.enabled)) return null;
+
+    const units = this.getValue(data, model.capacity, 0);
+    const daysPerYear = this.getValue(data, model.daysPerWeek, 7) * this.getValue(data, model.weeksPerYear, 52);
+    const spillover = Math.min(100, Math.max(0, this.getValue(data, model.spillover, 0))) / 100;
+    let spilledIn = 0;
+
+    const tiers = model.tiers.map((tier, index) => {
+      const hours = this.getValue(data, tier.hours, 0) * daysPerYear;
+      const capacity = units * hours;
+      const requested = this.getValue(data, tier.demand, 0) * hours;
+      const rate = this.getValue(data, tier.rate, 0);
+      const booked = Math.min(capacity, requested + spilledIn);
+      const unmet = requested + spilledIn - booked;
+      // The cheapest tier has nowhere left to spill to
+      const spillOut = index < model.tiers.length - 1 ? unmet * spillover : 0;
+      const row = {
+        id: tier.id,
+        name: tier.name,
+        utilizationField: tier.utilization,
+        demandField: tier.demand,
+        rate,
+        capacity,
+        requested,
+        spilledIn,
+        booked,
+        spillOut,
+        lost: unmet - spillOut,
+        utilization: capacity > 0 ? (booked / capacity) * 100 : 0,
+        revenue: booked * rate
+      };
+      spilledIn = spillOut;
+      return row;
+    });
+
+    const total = key => tiers.reduce((sum, tier) => sum + tier[key], 0);
+    const capacity = total('capacity');
+    const revenue = total('revenue');
+
+    return {
+      capacityField: model.capacity,
+      unitName: model.unitName || 'unit',
+      units,
+      tiers,
+      capacity,
+      requested: total('requested'),
+      booked: total('booked'),
+      lost: total('lost'),
+      utilization: capacity > 0 ? (total('booked') / capacity) * 100 : 0,
+      revenue,
+      revenuePerUnit: units > 0 ? revenue / units : 0
+    };
+  }
+
+  // Value of one more unit of demand-model capacity (e.g. another court): change in run-rate revenue, operating
+  // profit, investment and NPV, and the simple payback of the extra investment
+  calculateMarginalCapacity(typeId) {
+    const projectType = window.projectTypeManager.getProjectType(typeId);
+    const model = projectType && projectType.calculations && projectType.calculations.demand;
+    const data = this.projectTypes.get(typeId);
+    const current = this.getCalculation(typeId);
+    if (!model || !data || !current) return null;
+
+    const units = this.getValue(data, model.capacity, 0);
+    const next = this.evaluate(typeId, { [model.capacity]: units + 1 });
+    const profit = next.profit - current.profit;
+    const investment = next.investment - current.investment;
+
+    return {
+      capacityField: model.capacity,
+      units: units + 1,
+      revenue: next.revenue.annual - current.revenue.annual,
+      profit,
+      investment,
+      npv: next.roi.npv - current.roi.npv,
+      paybackYears: profit > 0 ? investment / profit : Infinity
+    };
+  }
+
+  // Monthly subscription cohorts over `totalMonths`: new members join each month split by plan mix, churn by cohort
+  // age (early-churn period, then the base rate) and move between neighbouring plans. The opening member counts form
+  // a mature cohort. Returns the member and MRR series with MRR, ARR, net revenue retention, LTV and CAC payback;
+  // null unless the type has a cohort model and it is enabled
+  calculateCohorts(projectType, data, totalMonths = this.horizonYears * 12) {
+    const model = projectType.calculations && projectType.calculations.cohorts;
+    if (!model || !this.getFlag(data, model.enabled)) return null;
+
+    const percent = key => this.getValue(data, key, 0) / 100;
+    const plans = model.plans.map(plan => ({
+      id: plan.id,
+      name: plan.name,
+      price: this.getMonthlyPlanPrice(plan.billing, this.getValue(data, plan.price, 0)),
+      opening: this.getValue(data, plan.members, 0),
+      mix: Math.max(0, this.getValue(data, plan.mix, 0))
+    }));
+    const mixTotal = plans.reduce((sum, plan) => sum + plan.mix, 0);
+    const shares = plans.map(plan => (mixTotal > 0 ? plan.mix / mixTotal : 1 / plans.length));
+    const earlyChurnMonths = this.getValue(data, model.earlyChurnMonths, 0);
+    const churnAt = age => (age <= earlyChurnMonths ? percent(model.earlyChurn) : percent(model.churn));
+    const upgrade = percent(model.upgrade);
+    const downgrade = percent(model.downgrade);
+    const acquisitions = this.getValue(data, model.acquisitions, 0);
+    const acquisitionGrowth = percent(model.acquisitionGrowth);
+    const mrrOf = cohortList => cohortList.reduce((total, cohort) =>
+      total + cohort.members.reduce((sum, count, i) => sum + count * plans[i].price, 0), 0);
+
+    const cohorts = [{ start: -Infinity, members: plans.map(plan => plan.opening) }];
+    const months = [];
+    const netRevenueRetention = [];
+    let yearStart = null;
+
+    for (let month = 1; month <= totalMonths; month++) {
+      // Net revenue retention follows the cohorts present at the start of each year
+      if ((month - 1) % 12 === 0) {
+        yearStart = { cohorts: cohorts.slice(), mrr: mrrOf(cohorts) };
+      }
+
+      let churned = 0;
+      let upgrades = 0;
+      let downgrades = 0;
+      cohorts.forEach(cohort => {
+        const churn = churnAt(month - cohort.start);
+        const survivors = cohort.members.map(count => count * (1 - churn));
+        const moved = survivors.slice();
+        churned += cohort.members.reduce((sum, count) => sum + count * churn, 0);
+
+        survivors.forEach((count, i) => {
+          if (i < plans.length - 1) {
+            moved[i] -= count * upgrade;
+            moved[i + 1] += count * upgrade;
+            upgrades += count * upgrade;
+          }
+          if (i > 0) {
+            moved[i] -= count * downgrade;
+            moved[i - 1] += count * downgrade;
+            downgrades += count * downgrade;
+          }
+        });
+        cohort.members = moved;
+      });
+
+      const newMembers = acquisitions * Math.pow(1 + acquisitionGrowth, month - 1);
+      cohorts.push({ start: month, members: shares.map(share => newMembers * share) });
+
+      const byPlan = plans.map((_, i) => cohorts.reduce((sum, cohort) => sum + cohort.members[i], 0));
+      const revenueByPlan = byPlan.map((count, i) => count * plans[i].price);
+      months.push({
+        month,
+        newMembers,
+        churned,
+        upgrades,
+        downgrades,
+        byPlan,
+        active: byPlan.reduce((sum, count) => sum + count, 0),
+        revenueByPlan,
+        revenue: revenueByPlan.reduce((sum, value) => sum + value, 0)
+      });
+
+      if (month % 12 === 0) {
+        netRevenueRetention.push(yearStart.mrr > 0 ? (mrrOf(yearStart.cohorts) / yearStart.mrr) * 100 : null);
+      }
+    }
+
+    // Expected paying months of a new member from the churn curve (capped at 50 years)
+    let survival = 1;
+    let lifetimeMonths = 0;
+    for (let age = 0; age < 600 && survival > 1e-6; age++) {
+      lifetimeMonths += survival;
+      survival *= 1 - churnAt(age + 1);
+    }
+
+    const yearOne = months[Math.min(11, months.length - 1)] || { revenue: 0, active: 0 };
+    const newMemberRevenue = plans.reduce((sum, plan, i) => sum + shares[i] * plan.price, 0);
+    const acquisitionCost = this.getValue(data, model.acquisitionCost, 0);
+    const ltv = newMemberRevenue * lifetimeMonths;
+
+    return {
+      plans: plans.map(plan => ({ id: plan.id, name: plan.name, price: plan.price })),
+      months,
+      mrr: yearOne.revenue,
+      arr: yearOne.revenue * 12,
+      netRevenueRetention: netRevenueRetention.length > 0 ? netRevenueRetention[0] : null,
+      netRevenueRetentionByYear: netRevenueRetention,
+      arpu: yearOne.active > 0 ? yearOne.revenue / yearOne.active : 0,
+      lifetimeMonths,
+      ltv,
+      acquisitionCost,
+      cacPaybackMonths: newMemberRevenue > 0 ? acquisitionCost / newMemberRevenue : Infinity,
+      ltvToCac: acquisitionCost > 0 ? ltv / acquisitionCost : null
+    };
+  }
+
+  // Plan price as monthly recurring revenue (annual fees are recognised evenly over the year)
+  getMonthlyPlanPrice(billing, price) {
+    switch (billing) {
+      case 'weekly': return price * 52 / 12;
+      case 'annual': return price / 12;
+      default: return price;
+    }
+  }
+
+  // Events of an event-based type for one year, before VAT and escalation: the project's own calendar
+  // (data.eventCalendar) or, without one, `count` identical events spread over the year from the type's fields and
+  // per-event cost lines. Calendar entries: { name, month (1-12), capacity, sellThrough (%), noShowRate (%),
+  // tiers: [{ name, price, share (%) }], earlyBirdShare (%), earlyBirdDiscount (%), sponsors: [{ name, amount }],
+  // fixedCosts, costPerAttendee }. Returns { custom, unitName, events } or null for types without an event model
+  getEventCalendar(projectType, data) {
+    const model = projectType.calculations && projectType.calculations.events;
+    if (!model) return null;
+
+    if (data && Array.isArray(data.eventCalendar) && data.eventCalendar.length > 0) {
+      return { custom: true, unitName: model.unitName, events: data.eventCalendar.map(event => this.normalizeEvent(event)) };
+    }
+
+    const scope = this.buildFormulaScope(projectType, data);
+    const count = Math.max(0, Math.round(this.getValue(scope, model.count, 0)));
+    const { operating, staffing } = projectType.categories;
+    // Cost of one event: the per-event lines charged once
+    const fixedCosts = this.calculateOperatingCosts(operating, scope, 1, 1) - this.calculateOperatingCosts(operating, scope, 1, 0);
+    const staffCosts = this.calculateStaffingCosts(staffing, scope, 1, 1) - this.calculateStaffingCosts(staffing, scope, 1, 0);
+    const sponsorship = model.sponsorship && count > 0 ? this.getValue(scope, model.sponsorship, 0) / count : 0;
+    const label = model.unitName.charAt(0).toUpperCase() + model.unitName.slice(1);
+
+    const events = Array.from({ length: count }, (_, i) => this.normalizeEvent({
+      name: `${label} ${i + 1}`,
+      month: Math.floor(i * 12 / count) + 1,
+      capacity: this.getValue(scope, model.capacity, 0),
+      sellThrough: this.getValue(scope, model.occupancy, 100),
+      tiers: [{ name: 'Standard', price: this.getValue(scope, model.price, 0), share: 100 }],
+      sponsors: sponsorship ? [{ name: 'Sponsorship', amount: sponsorship }] : [],
+      fixedCosts,
+      staffCosts
+    }));
+
+    return { custom: false, unitName: model.unitName, events };
+  }
+
+  // Ticket sales and costs of one calendar event: average ticket price across tiers net of early-bird discounts,
+  // tickets sold, attendees after no-shows, revenue and direct costs
+  normalizeEvent(event) {
+    const tiers = (Array.isArray(event.tiers) ? event.tiers : []).map(tier => ({
+      name: tier.name || '',
+      price: this.getValue(tier, 'price', 0),
+      share: Math.max(0, this.getValue(tier, 'share', 0))
+    }));
+    const shareTotal = tiers.reduce((sum, tier) => sum + tier.share, 0);
+    const listPrice = tiers.length === 0 ? 0 : tiers.reduce((sum, tier) => sum + tier.price * (shareTotal > 0 ? tier.share / shareTotal : 1 / tiers.length), 0);
+    const earlyBird = this.getValue(event, 'earlyBirdShare', 0) / 100 * this.getValue(event, 'earlyBirdDiscount', 0) / 100;
+    const sponsors = (Array.isArray(event.sponsors) ? event.sponsors : []).map(sponsor => ({ name: sponsor.name || '', amount: this.getValue(sponsor, 'amount', 0) }));
+    const capacity = Math.max(0, this.getValue(event, 'capacity', 0));
+    const noShowRate = Math.min(100, Math.max(0, this.getValue(event, 'noShowRate', 0)));
+    const ticketsSold = capacity * Math.min(100, Math.max(0, this.getValue(event, 'sellThrough', 0))) / 100;
+    const attendees = ticketsSold * (1 - noShowRate / 100);
+    const ticketPrice = listPrice * (1 - earlyBird);
+    const sponsorship = sponsors.reduce((sum, sponsor) => sum + sponsor.amount, 0);
+    const fixedCosts = this.getValue(event, 'fixedCosts', 0);
+    const staffCosts = this.getValue(event, 'staffCosts', 0);
+    const costPerAttendee = this.getValue(event, 'costPerAttendee', 0);
+
+    return {
+      name: event.name || '',
+      month: Math.min(12, Math.max(1, Math.round(this.getValue(event, 'month', 1)))),
+      capacity,
+      noShowRate,
+      tiers,
+      sponsors,
+      listPrice,
+      ticketPrice,
+      ticketsSold,
+      attendees,
+      ticketRevenue: ticketsSold * ticketPrice,
+      sponsorship,
+      revenue: ticketsSold * ticketPrice + sponsorship,
+      fixedCosts,
+      staffCosts,
+      costPerAttendee,
+      directCosts: fixedCosts + staffCosts + costPerAttendee * attendees
+    };
+  }
+
+  // Amounts of calendar events placed in the 12 months of an operating year (events fall in their calendar month)
+  getEventMonths(data, events, amountOf) {
+    const firstMonth = this.getFirstTradingMonth(data);
+    const months = new Array(12).fill(0);
+    events.forEach(event => {
+      months[(event.month - 1 - firstMonth + 12) % 12] += amountOf(event);
+    });
+    return months;
+  }
+
+  // Per-event P&L for year 1 (net of VAT): revenue, direct costs and contribution of each event, its share of the
+  // remaining annual costs, and the tickets it must sell to cover its direct costs (break-even) and its overhead
+  // share as well; null for types without an event model
+  calculateEventPL(projectType, data, costs = this.calculateCosts(projectType, data)) {
+    const calendar = this.getEventCalendar(projectType, data);
+    if (!calendar) return null;
+
+    const tax = this.getTaxSettings(data);
+    const revenueDivisor = tax.revenueIncludesVat ? 1 + tax.vatRateRevenue / 100 : 1;
+    const costDivisor = tax.costsIncludeVat ? 1 + tax.vatRateCosts / 100 : 1;
+    const directCostsOf = event => (event.fixedCosts + event.costPerAttendee * event.attendees) / costDivisor + event.staffCosts;
+    const directTotal = calendar.events.reduce((sum, event) => sum + directCostsOf(event), 0);
+    const overhead = calendar.events.length > 0 ? (costs.annual - directTotal) / calendar.events.length : 0;
+
+    const events = calendar.events.map(event => {
+      const revenue = event.revenue / revenueDivisor;
+      const directCosts = directCostsOf(event);
+      const contribution = revenue - directCosts;
+      // Each ticket sold adds its price less the per-attendee costs of those who turn up
+      const unitContribution = event.ticketPrice / revenueDivisor - event.costPerAttendee * (1 - event.noShowRate / 100) / costDivisor;
+      const fixedCosts = event.fixedCosts / costDivisor + event.staffCosts - event.sponsorship / revenueDivisor;
+      const breakEven = extra => (unitContribution > 0 ? Math.max(0, (fixedCosts + extra) / unitContribution) : null);
+      const breakEvenWithOverhead = breakEven(overhead);
+
+      return {
+        name: event.name,
+        month: event.month,
+        capacity: event.capacity,
+        ticketsSold: event.ticketsSold,
+        attendees: event.attendees,
+        ticketPrice: event.ticketPrice / revenueDivisor,
+        ticketRevenue: event.ticketRevenue / revenueDivisor,
+        sponsorship: event.sponsorship / revenueDivisor,
+        revenue,
+        directCosts,
+        contribution,
+        contributionMargin: revenue > 0 ? (contribution / revenue) * 100 : 0,
+        overhead,
+        profit: contribution - overhead,
+        breakEvenTickets: breakEven(0),
+        breakEvenTicketsWithOverhead: breakEvenWithOverhead,
+        breakEvenOccupancy: breakEvenWithOverhead !== null && event.capacity > 0 ? (breakEvenWithOverhead / event.capacity) * 100 : null
+      };
+    });
+
+    const sum = key => events.reduce((total, event) => total + event[key], 0);
+    const revenue = sum('revenue');
+    const contribution = sum('contribution');
+
+    return {
+      custom: calendar.custom,
+      unitName: calendar.unitName,
+      events,
+      totals: {
+        capacity: sum('capacity'),
+        ticketsSold: sum('ticketsSold'),
+        attendees: sum('attendees'),
+        revenue,
+        directCosts: sum('directCosts'),
+        contribution,
+        contributionMargin: revenue > 0 ? (contribution / revenue) * 100 : 0,
+        overhead: sum('overhead'),
+        profit: sum('profit')
+      }
+    };
+  }
+
+  // Fleet lifecycle by month over `totalMonths` operating months. Vehicle cohorts (the opening fleet, then
+  // data.fleetAcquisitions [{ month, count }]) rent at a utilization that ramps up after opening and falls with vehicle
+  // age, at the peak-season or standard daily rate; they cost maintenance (growing with age) and insurance, lose value
+  // along the resale curve and are sold and replaced at the replacement age. Also returns revenue per available
+  // vehicle-day and the equivalent annual value of each replacement age; null unless the type has an enabled fleet model
+  calculateFleet(projectType, data, totalMonths = this.horizonYears * 12) {
+    const model = projectType.calculations && projectType.calculations.fleet;
+    if (!model || !this.getFlag(data, model.enabled)) return null;
+
+    const value = key => this.getValue(data, key, 0);
+    const price = value(model.price);
+    const replacementAge = Math.max(0, Math.round(value(model.replacementAge)));
+    const target = value(model.utilization) / 100;
+    const opening = value(model.startUtilization) / 100;
+    const rampMonths = Math.max(0, value(model.rampMonths));
+    const peakStart = Math.round(value(model.peakStart)) - 1;
+    const peakMonths = Math.min(12, Math.max(0, Math.round(value(model.peakMonths))));
+    const firstMonth = this.getFirstTradingMonth(data);
+    const daysPerMonth = 365 / 12;
+    // Resale value at an age in whole years (the purchase price when new)
+    const resaleAt = age => (age <= 0 ? price : price * value(model.resaleFirstYear) / 100 * Math.pow(1 - value(model.resaleDecline) / 100, age - 1));
+    const utilizationAt = (month, ageYear) => {
+      const ramped = rampMonths > 0 ? opening + (target - opening) * Math.min(1, (month - 1) / rampMonths) : target;
+      return Math.min(1, Math.max(0, ramped - value(model.ageDecline) / 100 * (ageYear - 1)));
+    };
+    const maintenanceAt = ageYear => value(model.maintenance) * Math.pow(1 + value(model.maintenanceGrowth) / 100, ageYear - 1);
+    const rateIn = month => ((firstMonth + month - 1 - peakStart + 12) % 12 < peakMonths ? value(model.peakRate) : value(model.dailyRate));
+
+    const acquisitions = (Array.isArray(data.fleetAcquisitions) ? data.fleetAcquisitions : [])
+      .map(item => ({ month: Math.max(1, Math.round(this.getValue(item, 'month', 1))), count: Math.max(0, this.getValue(item, 'count', 0)) }))
+      .filter(item => item.count > 0);
+    const cohorts = [{ acquired: 1, count: Math.max(0, value(model.vehicles)) }];
+    let bookValue = cohorts[0].count * price;
+    const months = [];
+
+    for (let month = 1; month <= totalMonths; month++) {
+      let added = 0;
+      let disposed = 0;
+      let purchases = 0;
+      let disposals = 0;
+
+      // Vehicles reaching the replacement age are sold at their resale value and replaced by new ones
+      if (replacementAge > 0) {
+        cohorts.filter(cohort => month - cohort.acquired === replacementAge * 12).forEach(cohort => {
+          disposed += cohort.count;
+          disposals += cohort.count * resaleAt(replacementAge);
+          purchases += cohort.count * price;
+          cohort.acquired = month;
+        });
+      }
+      acquisitions.filter(item => item.month === month).forEach(item => {
+        cohorts.push({ acquired: month, count: item.count });
+        added += item.count;
+        purchases += item.count * price;
+      });
+
+      const entry = { month, fleet: 0, added, disposed, availableDays: 0, rentedDays: 0, dailyRate: rateIn(month), maintenance: 0, insurance: 0, depreciation: 0 };
+      cohorts.forEach(cohort => {
+        const ageYear = Math.floor((month - cohort.acquired) / 12) + 1;
+        entry.fleet += cohort.count;
+        entry.availableDays += cohort.count * daysPerMonth;
+        entry.rentedDays += cohort.count * daysPerMonth * utilizationAt(month, ageYear);
+        entry.maintenance += cohort.count * maintenanceAt(ageYear) / 12;
+        entry.insurance += cohort.count * value(model.insurance) / 12;
+        entry.depreciation += cohort.count * (resaleAt(ageYear - 1) - resaleAt(ageYear)) / 12;
+      });
+      bookValue += purchases - disposals - entry.depreciation;
+
+      months.push(Object.assign(entry, {
+        utilization: entry.availableDays > 0 ? (entry.rentedDays / entry.availableDays) * 100 : 0,
+        revenue: entry.rentedDays * entry.dailyRate,
+        purchases,
+        disposals,
+        bookValue
+      }));
+    }
+
+    // Equivalent annual value of one vehicle kept for 1-15 years at mature utilization and the season-weighted rate:
+    // rental income less maintenance and insurance, plus its resale value, less the purchase price, as an annuity
+    const discountRate = this.getDiscountRate(data) / 100;
+    const averageRate = (peakMonths * value(model.peakRate) + (12 - peakMonths) * value(model.dailyRate)) / 12;
+    const replacementAges = [];
+    let presentValue = -price;
+    for (let age = 1; age <= 15; age++) {
+      const discount = Math.pow(1 + discountRate, age);
+      presentValue += (365 * utilizationAt(rampMonths + 1, age) * averageRate - maintenanceAt(age) - value(model.insurance)) / discount;
+      const annuity = discountRate > 0 ? discountRate / (1 - 1 / discount) : 1 / age;
+      replacementAges.push({ age, resaleValue: resaleAt(age), equivalentAnnualValue: (presentValue + resaleAt(age) / discount) * annuity });
+    }
+    const optimal = replacementAges.reduce((best, entry) => (entry.equivalentAnnualValue > best.equivalentAnnualValue ? entry : best));
+
+    const yearOne = months.slice(0, 12);
+    const sum = (list, key) => list.reduce((total, entry) => total + entry[key], 0);
+    const availableDays = sum(yearOne, 'availableDays');
+
+    return {
+      unitName: model.unitName,
+      months,
+      revenuePerAvailableDay: availableDays > 0 ? sum(yearOne, 'revenue') / availableDays : 0,
+      utilization: availableDays > 0 ? (sum(yearOne, 'rentedDays') / availableDays) * 100 : 0,
+      purchases: sum(months, 'purchases'),
+      disposals: sum(months, 'disposals'),
+      replacementAge,
+      replacementAges,
+      optimalReplacementAge: optimal.age
+    };
+  }
+
+  // Rent roll by operating month. Each unit's lease (data.rentRoll [{ unit, tenant, monthlyRent, leaseStart, leaseEnd
+  // ('YYYY-MM'; blank start = an existing tenancy, blank end = open-ended), escalation (%/year), tenantImprovements }])
+  // escalates on its anniversaries; when it ends the unit stands empty for the void period and is re-let for the same
+  // term at the expiring rent plus one escalation. Every letting in the horizon costs the unit's tenant improvements
+  // and a letting fee (% of the first year's rent). Month 1 is the first trading month, or the earliest lease start
+  // without a project start date.
+  // null unless the type has an enabled rent roll
+  calculateRentRoll(projectType, data, totalMonths = this.horizonYears * 12) {
+    const model = projectType.calculations && projectType.calculations.rentRoll;
+    if (!model || !this.getFlag(data, model.enabled)) return null;
+
+    const entries = Array.isArray(data.rentRoll) ? data.rentRoll : [];
+    const start = this.getStartMonthIndex(data);
+    const leaseStarts = entries.map(entry => this.parseMonthIndex(entry.leaseStart)).filter(index => index !== null);
+    const anchor = start !== null ? start + this.getConstructionMonths(data) : (leaseStarts.length > 0 ? Math.min(...leaseStarts) : 0);
+    const voidMonths = Math.max(0, Math.round(this.getValue(data, model.voidMonths, 0)));
+    const lettingFee = this.getValue(data, model.lettingFee, 0) / 100;
+    const months = Array.from({ length: totalMonths }, (_, i) => ({ month: i + 1, rent: 0, occupied: 0, lettings: 0, lettingFees: 0, tenantImprovements: 0 }));
+
+    const units = entries.map(entry => {
+      const escalation = this.getValue(entry, 'escalation', 0) / 100;
+      const improvements = this.getValue(entry, 'tenantImprovements', 0);
+      const leaseStart = this.parseMonthIndex(entry.leaseStart);
+      let lease = { start: leaseStart !== null ? leaseStart : anchor, end: this.parseMonthIndex(entry.leaseEnd), rent: this.getValue(entry, 'monthlyRent', 0) };
+      const term = lease.end !== null ? Math.max(1, lease.end - lease.start + 1) : null;
+      const rentAt = month => lease.rent * Math.pow(1 + escalation, Math.floor((month - lease.start) / 12));
+      const letUnit = () => {
+        const index = lease.start - anchor;
+        if (index < 0 || index >= totalMonths) return;
+        months[index].lettings++;
+        months[index].lettingFees += rentAt(lease.start) * 12 * lettingFee;
+        months[index].tenantImprovements += improvements;
+      };
+      const unit = { unit: entry.unit || '', tenant: entry.tenant || '', rent: 0, leaseEnd: lease.end !== null ? lease.end - anchor + 1 : null };
+
+      // A lease without a start date is an existing tenancy; dated leases starting in the horizon are new lettings
+      if (leaseStart !== null) letUnit();
+      for (let i = 0; i < totalMonths; i++) {
+        const month = anchor + i;
+        if (lease.end !== null && month > lease.end) {
+          const rent = rentAt(lease.end) * (1 + escalation);
+          lease = { start: lease.end + voidMonths + 1, end: lease.end + voidMonths + term, rent };
+          letUnit();
+        }
+        if (month >= lease.start) {
+          months[i].rent += rentAt(month);
+          months[i].occupied++;
+          if (i === 0) unit.rent = rentAt(month);
         }
       }
-      
-      totalRevenue = adjustedRevenue;
+      return unit;
+    });
+
+    const yearOne = months.slice(0, 12);
+    const sum = (list, key) => list.reduce((total, entry) => total + entry[key], 0);
+    // Weighted average unexpired lease term at opening (years, by rent; open-ended leases excluded)
+    const fixedTerm = units.filter(unit => unit.rent > 0 && unit.leaseEnd !== null && unit.leaseEnd > 0);
+    const fixedRent = fixedTerm.reduce((total, unit) => total + unit.rent, 0);
+
+    return {
+      units,
+      months,
+      annualRent: sum(yearOne, 'rent'),
+      occupancy: units.length > 0 ? (sum(yearOne, 'occupied') / (units.length * yearOne.length)) * 100 : 0,
+      walt: fixedRent > 0 ? fixedTerm.reduce((total, unit) => total + unit.rent * unit.leaseEnd, 0) / fixedRent / 12 : null,
+      lettingFees: sum(months, 'lettingFees'),
+      tenantImprovements: sum(months, 'tenantImprovements')
+    };
+  }
+
+  // Sale of the property in the last month of the horizon, at the final operating year's NOI capitalised at the exit
+  // cap rate or at the purchase price grown by the appreciation rate, less sale costs; null unless enabled
+  calculateExit(projectType, data) {
+    const model = projectType.calculations && projectType.calculations.exit;
+    if (!model || !this.getFlag(data, model.enabled)) return null;
+
+    const totalMonths = this.horizonYears * 12;
+    const finalYear = Math.max(1, Math.ceil((totalMonths - this.getConstructionMonths(data)) / 12));
+    const noi = this.calculateRevenue(projectType, data, finalYear).annual - this.calculateCosts(projectType, data, finalYear).annual;
+    const capRate = this.getValue(data, model.capRate, 0) / 100;
+    const appreciation = this.getValue(data, model.appreciation, 0) / 100;
+    const purchasePrice = this.getValue(data, model.propertyValue, 0);
+    const propertyValues = Array.from({ length: this.horizonYears }, (_, i) => purchasePrice * Math.pow(1 + appreciation, i + 1));
+    const capRateValue = capRate > 0 ? Math.max(0, noi) / capRate : 0;
+    const appreciatedValue = propertyValues[propertyValues.length - 1];
+    const method = (data && data[model.method]) || 'capRate';
+    const salePrice = method === 'appreciation' ? appreciatedValue : capRateValue;
+    const saleCosts = salePrice * this.getValue(data, model.saleCosts, 0) / 100;
+
+    return { month: totalMonths, method, noi, capRateValue, appreciatedValue, propertyValues, salePrice, saleCosts, netProceeds: salePrice - saleCosts };
+  }
+
+  // Property investment returns: yield on cost (year-1 NOI over the investment plus year-1 tenant improvements),
+  // cash-on-cash (year-1 cash flow after debt service over equity) and equity multiple (cash returned to equity over
+  // the horizon, after repaying the loan balance left at the horizon end, over equity); null for types without a rent roll or exit
+  calculatePropertyReturns(projectType, data, results) {
+    const calculations = projectType.calculations || {};
+    if (!calculations.rentRoll && !calculations.exit) return null;
+
+    const rentRoll = this.calculateRentRoll(projectType, this.buildFormulaScope(projectType, data));
+    const exit = this.calculateExit(projectType, data);
+    const improvements = rentRoll ? rentRoll.months.slice(0, 12).reduce((sum, month) => sum + month.tenantImprovements, 0) : 0;
+    const cost = results.investment + improvements;
+    const equity = results.financing.equity;
+    const years = results.projection.years;
+    const distributions = years.reduce((sum, year) => sum + year.leveredCashFlow, 0) - results.financing.outstandingAtHorizon;
+
+    return {
+      rentRoll,
+      exit,
+      noi: results.profit,
+      yieldOnCost: cost > 0 ? (results.profit / cost) * 100 : null,
+      cashOnCash: equity > 0 && years.length > 0 ? (years[0].leveredCashFlow / equity) * 100 : null,
+      equityMultiple: equity > 0 ? distributions / equity : null
+    };
+  }
+
+  // E-commerce unit economics: orders from each channel's monthly traffic and conversion, then per order the gross sale,
+  // refunds on returns, cost of goods (less returns resold), payment fees, shipping and fulfilment, and return handling.
+  // Contribution is before marketing; a channel's CAC is its spend per order it brings in and its ROAS the net revenue
+  // of those orders over its spend. Annual amounts at today's prices. null unless the type's model is enabled
+  calculateUnitEconomics(projectType, data) {
+    const model = projectType.calculations && projectType.calculations.unitEconomics;
+    if (!model || !this.getFlag(data, model.enabled)) return null;
+
+    const value = key => this.getValue(data, key, 0);
+    const orderValue = value(model.orderValue);
+    const returnRate = Math.min(100, Math.max(0, value(model.returnRate))) / 100;
+    const netRevenue = orderValue * (1 - returnRate);
+    const channels = model.channels.map(channel => {
+      const orders = value(channel.visits) * value(channel.conversion) / 100;
+      const spend = channel.spend ? value(channel.spend) : 0;
+      return {
+        id: channel.id,
+        name: channel.name,
+        visitsField: channel.visits,
+        spendField: channel.spend,
+        visits: value(channel.visits),
+        conversion: value(channel.conversion),
+        orders,
+        spend,
+        cac: orders > 0 ? spend / orders : null,
+        roas: spend > 0 ? orders * netRevenue / spend : null
+      };
+    });
+    const monthlyOrders = channels.reduce((sum, channel) => sum + channel.orders, 0);
+    const monthlySpend = channels.reduce((sum, channel) => sum + channel.spend, 0);
+
+    const unitCost = data && data[model.cogsMethod] === 'perOrder' ? value(model.cogsPerOrder) : orderValue * (1 - value(model.grossMargin) / 100);
+    const perOrder = {
+      grossSales: orderValue,
+      refunds: orderValue * returnRate,
+      netRevenue,
+      cogs: unitCost * (1 - returnRate * Math.min(100, Math.max(0, value(model.restockRate))) / 100),
+      paymentFees: orderValue * value(model.paymentRate) / 100 + value(model.paymentFixed),
+      fulfilment: value(model.shipping) + value(model.fulfilment),
+      returnHandling: returnRate * value(model.returnCost),
+      marketing: monthlyOrders > 0 ? monthlySpend / monthlyOrders : 0
+    };
+    perOrder.contribution = netRevenue - perOrder.cogs - perOrder.paymentFees - perOrder.fulfilment - perOrder.returnHandling;
+    perOrder.contributionAfterMarketing = perOrder.contribution - perOrder.marketing;
+
+    const annual = {};
+    Object.keys(perOrder).forEach(key => { annual[key] = perOrder[key] * monthlyOrders * 12; });
+
+    return {
+      channels,
+      orders: monthlyOrders * 12,
+      perOrder,
+      annual,
+      contributionMargin: netRevenue > 0 ? (perOrder.contribution / netRevenue) * 100 : 0,
+      blendedCac: perOrder.marketing,
+      roas: monthlySpend > 0 ? monthlyOrders * netRevenue / monthlySpend : null
+    };
+  }
+
+  // Year-1 variable cost lines of a unit economics model: per-order costs and each paid channel's spend
+  getUnitEconomicsCostLines(unitEconomics) {
+    return [
+      { id: 'cogs', name: 'Cost of Goods Sold', group: 'Cost of Sales', annual: unitEconomics.annual.cogs },
+      { id: 'paymentFees', name: 'Payment Processing', group: 'Cost of Sales', annual: unitEconomics.annual.paymentFees },
+      { id: 'fulfilment', name: 'Shipping & Fulfilment', group: 'Cost of Sales', annual: unitEconomics.annual.fulfilment },
+      { id: 'returnHandling', name: 'Return Handling', group: 'Cost of Sales', annual: unitEconomics.annual.returnHandling },
+      ...unitEconomics.channels.filter(channel => channel.spendField).map(channel => ({
+        id: channel.spendField,
+        name: `${channel.name} Spend`,
+        group: 'Marketing',
+        annual: channel.spend * 12
+      }))
+    ];
+  }
+
+  // Operating fields a fleet or unit economics model supersedes with its own costs
+  getReplacedOperatingFields(projectType, scope) {
+    const calculations = projectType.calculations || {};
+    return [
+      ...(this.calculateFleet(projectType, scope, 12) ? calculations.fleet.replaces || [] : []),
+      ...(this.calculateUnitEconomics(projectType, scope) ? calculations.unitEconomics.replaces || [] : [])
+    ];
+  }
+
+  // CapEx implementation plan: every investment line other than the approved budget is a phase drawn evenly over its
+  // months (by default the whole implementation period), with the contingency drawn pro rata on top. Phases with
+  // actual spend recorded are forecast at it and overruns use up the contingency first. Without an implementation
+  // period nothing is drawn monthly and the investment is paid upfront. null for types without a CapEx model
+  calculateCapexPlan(projectType, data) {
+    const model = projectType.calculations && projectType.calculations.capex;
+    if (!model) return null;
+
+    const totalMonths = this.horizonYears * 12;
+    const implementation = Math.min(totalMonths, Math.max(0, Math.round(this.getValue(data, model.implementation, 0))));
+    const phases = projectType.categories.investment
+      .filter(field => field.type === 'currency' && field.id !== model.budget)
+      .map(field => {
+        const planned = this.getValue(data, field.id, field.defaultValue || 0);
+        const recorded = data ? data[`${field.id}_actualSpend`] : undefined;
+        const actual = recorded === undefined || recorded === null || recorded === '' ? null : (parseFloat(recorded) || 0);
+        const variance = actual !== null ? actual - planned : 0;
+        const startMonth = Math.min(totalMonths, Math.max(1, Math.round(this.getValue(data, `${field.id}_startMonth`, 1))));
+        const months = Math.min(totalMonths - startMonth + 1, Math.max(1, Math.round(this.getValue(data, `${field.id}_phaseMonths`, implementation || 1))));
+        return {
+          id: field.id,
+          name: field.name,
+          field,
+          planned,
+          actual,
+          forecast: actual !== null ? actual : planned,
+          variance,
+          variancePercent: planned > 0 ? (variance / planned) * 100 : 0,
+          startMonth,
+          months
+        };
+      });
+
+    const sum = key => phases.reduce((total, phase) => total + (phase[key] || 0), 0);
+    const baseCost = sum('planned');
+    const contingency = baseCost * Math.max(0, this.getValue(data, model.contingency, 0)) / 100;
+    const costVariance = sum('forecast') - baseCost;
+    const contingencyUsed = Math.min(contingency, Math.max(0, costVariance));
+    const contingencyRemaining = contingency - contingencyUsed;
+    const forecastCost = sum('forecast') + contingencyRemaining;
+    const actualSpend = sum('actual');
+    const approvedBudget = this.getValue(data, model.budget, 0);
+
+    let drawdown = null;
+    if (implementation > 0) {
+      drawdown = new Array(totalMonths).fill(0);
+      phases.forEach(phase => {
+        const amount = phase.forecast + (baseCost > 0 ? contingencyRemaining * phase.planned / baseCost : 0);
+        for (let i = 0; i < phase.months; i++) {
+          drawdown[phase.startMonth - 1 + i] += amount / phase.months;
+        }
+      });
     }
 
-    return totalRevenue;
+    return {
+      phases,
+      implementation,
+      drawdown,
+      benefitFactors: Array.from({ length: totalMonths }, (_, i) => this.getCapexBenefitFactor(model, data, i + 1)),
+      fullBenefitMonth: Math.floor(implementation + Math.max(0, this.getValue(data, model.rampUp, 0))) + 1,
+      approvedBudget,
+      baseCost,
+      contingency,
+      contingencyUsed,
+      contingencyRemaining,
+      plannedCost: baseCost + contingency,
+      forecastCost,
+      actualSpend,
+      costVariance,
+      costVariancePercent: baseCost > 0 ? (costVariance / baseCost) * 100 : 0,
+      budgetVariance: approvedBudget - forecastCost,
+      budgetUtilization: approvedBudget > 0 ? (actualSpend / approvedBudget) * 100 : 0
+    };
+  }
+
+  // Share of full CapEx benefits in an operating month: none during implementation, then a linear or S-shaped
+  // (smoothstep) ramp to steady state
+  getCapexBenefitFactor(model, data, month) {
+    const implementation = Math.max(0, this.getValue(data, model.implementation, 0));
+    const rampUp = Math.max(0, this.getValue(data, model.rampUp, 0));
+    if (month <= implementation) return 0;
+    if (month > implementation + rampUp) return 1;
+
+    const progress = (month - implementation) / (rampUp + 1);
+    return data && data[model.rampShape] === 'sCurve' ? progress * progress * (3 - 2 * progress) : progress;
   }
 
   // Generic revenue calculation for custom project types
@@ -158,274 +1549,824 @@ class PLCalculationEngine {
       }
     }
     
-    return totalRevenue;
+    return totalRevenue;
+  }
+
+  // Calculate total costs (operating + staffing) for a projection year (year 1 unless specified), in nominal terms
+  calculateCosts(projectType, data, year = 1) {
+    const tax = this.getTaxSettings(data);
+    const vatDivisor = tax.costsIncludeVat ? 1 + tax.vatRateCosts / 100 : 1;
+    // Per-event cost fields are charged for each event; a project's own event calendar carries its own event costs
+    const calendar = this.getEventCalendar(projectType, data);
+    const eventCount = !calendar ? 1 : (calendar.custom ? 0 : calendar.events.length);
+    const escalation = this.getEscalationFactor(this.getInflationSettings(data).cpi, year);
+    const eventMonths = calendar && calendar.custom ? this.getEventMonths(data, calendar.events, event => event.directCosts * escalation / vatDivisor) : null;
+    // A rent roll charges letting fees in the months units are let
+    const rentRoll = this.calculateRentRoll(projectType, this.buildFormulaScope(projectType, data), year * 12);
+    const rentRollMonths = rentRoll ? rentRoll.months.slice((year - 1) * 12) : null;
+    const scheduledMonths = rentRollMonths ? rentRollMonths.map(month => month.lettingFees / vatDivisor) : eventMonths;
+    const scheduledCosts = scheduledMonths ? scheduledMonths.reduce((sum, value) => sum + value, 0) : 0;
+    // A fleet model's per-vehicle maintenance and insurance replace the fleet-wide cost lines; unit economics replace
+    // flat shipping, payment and marketing lines with per-order costs and channel spend that vary with the orders
+    const scope = this.buildFormulaScope(projectType, data);
+    const fleet = this.calculateFleet(projectType, scope, year * 12);
+    const unitEconomics = this.calculateUnitEconomics(projectType, scope);
+    const replaced = this.getReplacedOperatingFields(projectType, scope);
+    // Fields a formula cost line reads are priced by it rather than summed
+    const priced = this.getFormulaCostFields(projectType);
+    const formulaCosts = this.calculateFormulaCostLines(projectType, data, year);
+    const formulaCostsIn = category => formulaCosts.filter(line => line.category === category).reduce((sum, line) => sum + line.annual, 0);
+    const operating = projectType.categories.operating.filter(field => !replaced.includes(field.id) && !priced.has(field.id));
+    const fleetCosts = fleet ? fleet.months.slice((year - 1) * 12).reduce((sum, month) => sum + month.maintenance + month.insurance, 0) * escalation / vatDivisor : 0;
+    const unitCosts = unitEconomics ? this.getUnitEconomicsCostLines(unitEconomics).reduce((sum, line) => sum + line.annual, 0) * escalation / vatDivisor : 0;
+    const operatingCosts = (this.calculateOperatingCosts(operating, data, year, eventCount) + formulaCostsIn('operating')) / vatDivisor + scheduledCosts + fleetCosts + unitCosts;
+    const variableCosts = this.calculateOperatingCosts(operating.filter(field => this.isVariableCost(field)), data, year, eventCount) / vatDivisor + unitCosts;
+    const staffing = projectType.categories.staffing.filter(field => !priced.has(field.id));
+    const staffingCosts = this.calculateStaffingCosts(staffing, data, year, eventCount) + formulaCostsIn('staffing');
+    
+    const totalAnnual = operatingCosts + staffingCosts;
+    
+    return {
+      annual: totalAnnual,
+      monthly: totalAnnual / 12,
+      operating: operatingCosts,
+      variable: variableCosts, // Part of operating costs spread by the seasonality profile
+      scheduled: scheduledCosts, // Part of operating costs incurred in given months (calendar events, lettings)
+      scheduledMonths,
+      staffing: staffingCosts
+    };
+  }
+
+  // Annual formula cost lines of the type for a projection year, escalated by their index (revenue lines are in scope)
+  calculateFormulaCostLines(projectType, data, year = 1) {
+    const definitions = (projectType.calculations && projectType.calculations.costs) || [];
+    if (definitions.length === 0) return [];
+
+    const scope = this.buildFormulaScope(projectType, data, { year });
+    this.calculateRevenueLines(projectType, data, year).forEach(line => { scope[line.id] = line.annual; });
+
+    return definitions.map(line => {
+      const category = line.category || 'operating';
+      const rate = this.getEscalationRate(line, data, category === 'staffing' ? 'wages' : 'cpi');
+      return {
+        id: line.id,
+        name: line.name || line.id,
+        category,
+        annual: window.formulaEvaluator.evaluate(line.formula, scope) * this.getEscalationFactor(rate, year)
+      };
+    });
+  }
+
+  // Ids read by the type's formula cost lines
+  getFormulaCostFields(projectType) {
+    const definitions = (projectType.calculations && projectType.calculations.costs) || [];
+    return new Set(definitions.flatMap(line => window.formulaEvaluator.getDependencies(line.formula)));
+  }
+
+  // Calculate operating costs, escalated to the projection year; per-event fields are charged `eventCount` times
+  calculateOperatingCosts(operatingConfig, data, year = 1, eventCount = 1) {
+    let totalCosts = 0;
+    
+    for (const field of operatingConfig) {
+      if (field.type === 'currency') {
+        let cost = this.getValue(data, field.id, field.defaultValue || 0);
+        
+        if (field.perEvent) {
+          cost *= eventCount;
+        }
+        
+        totalCosts += cost * this.getEscalationFactor(this.getEscalationRate(field, data), year);
+      }
+    }
+    
+    return totalCosts;
+  }
+
+  // Calculate staffing costs, escalated to the projection year; per-event fees are charged `eventCount` times
+  calculateStaffingCosts(staffingConfig, data, year = 1, eventCount = 1) {
+    let totalCosts = 0;
+    
+    // Group staffing fields by role (assuming pairs: count + salary)
+    const roles = new Map();
+    
+    for (const field of staffingConfig) {
+      const baseName = field.id.replace(/Sal$/, '').replace(/Rate$/, ''); // Remove 'Sal' or 'Rate' suffix if present
+      
+      if (!roles.has(baseName)) {
+        roles.set(baseName, { count: 0, salary: 0 });
+      }
+      
+      if (field.id.endsWith('Sal') || field.id.includes('Salary') || field.id.endsWith('Rate') || field.perEvent) {
+        let salary = this.getValue(data, field.id, field.defaultValue || 0);
+        
+        // Per-event fees (speakers, support staff per event); a fee without a headcount field is charged once
+        if (field.perEvent) {
+          salary *= eventCount;
+          if (!staffingConfig.some(other => other !== field && other.type === 'number' && other.id === baseName)) {
+            roles.get(baseName).count = 1;
+          }
+        }
+        
+        salary *= this.getEscalationFactor(this.getEscalationRate(field, data, 'wages'), year);
+        
+        roles.get(baseName).salary = salary;
+      } else if (field.type === 'number') {
+        roles.get(baseName).count = this.getValue(data, field.id, field.defaultValue || 0);
+      } else if (field.type === 'boolean') {
+        // For boolean fields like propertyManager, we set count to 1 if true
+        roles.get(baseName).count = this.getValue(data, field.id, false) ? 1 : 0;
+      }
+    }
+    
+    // Calculate total staffing costs
+    for (const [roleName, role] of roles) {
+      const roleCost = role.count * role.salary;
+      totalCosts += roleCost;
+      
+      // Debug logging for staffing costs
+      if (this.debugMode && roleCost > 0) {
+        console.log(`Staffing cost for ${roleName}: ${role.count} × ${role.salary} = ${roleCost}`);
+      }
+    }
+    
+    // Debug total staffing costs
+    if (this.debugMode) {
+      console.log(`Total staffing costs: €${totalCosts}`);
+    }
+    
+    return totalCosts;
+  }
+
+  // Annual inflation and escalation rates (%); wage and energy escalation follow CPI when left at 0
+  getInflationSettings(data) {
+    const cpi = this.getValue(data, 'inflationRate', 0);
+    const indexation = data && data.priceIndexation;
+
+    return {
+      cpi,
+      wages: this.getValue(data, 'wageGrowthRate', 0) || cpi,
+      energy: this.getValue(data, 'energyEscalationRate', 0) || cpi,
+      none: 0,
+      revenue: indexation === 'cpi' ? cpi : (indexation === 'custom' ? this.getValue(data, 'priceIndexationRate', 0) : 0)
+    };
+  }
+
+  // Escalation rate (%/year) for a cost line: per-line override, then the index named by the field, then the default index
+  getEscalationRate(field, data, defaultIndex = 'cpi') {
+    const override = data ? data[`${field.id}_escalationRate`] : undefined;
+    if (override !== undefined && override !== null && override !== '') {
+      return this.getValue(data, `${field.id}_escalationRate`, 0);
+    }
+
+    const rates = this.getInflationSettings(data);
+    const index = field.escalation || defaultIndex;
+    return rates[index] !== undefined ? rates[index] : rates.cpi;
+  }
+
+  // Escalating cost lines with their index and effective rate (operating costs and salaries)
+  getEscalationLines(projectType, data) {
+    const isSalary = field => field.id.endsWith('Sal') || field.id.includes('Salary') || field.id.endsWith('Rate');
+    const priced = this.getFormulaCostFields(projectType);
+    const formulaLines = (projectType.calculations && projectType.calculations.costs) || [];
+    const lines = [];
+
+    [['operating', 'cpi'], ['staffing', 'wages']].forEach(([category, defaultIndex]) => {
+      const fields = projectType.categories[category].filter(field => !priced.has(field.id))
+        .concat(formulaLines.filter(line => (line.category || 'operating') === category));
+      fields.forEach(field => {
+        if (!field.formula && (category === 'operating' ? field.type !== 'currency' : !isSalary(field))) return;
+
+        const override = data ? data[`${field.id}_escalationRate`] : undefined;
+        lines.push({
+          id: field.id,
+          name: field.name,
+          category,
+          index: field.escalation || defaultIndex,
+          rate: this.getEscalationRate(field, data, defaultIndex),
+          overridden: override !== undefined && override !== null && override !== ''
+        });
+      });
+    });
+
+    return lines;
+  }
+
+  // Compound growth factor at an annual rate (%) for a projection year (year 1 = 1)
+  getEscalationFactor(rate, year) {
+    return Math.pow(1 + rate / 100, year - 1);
+  }
+
+  // Factor that converts a projection year's nominal amounts to the reporting basis (1 when nominal)
+  getPriceBasisFactor(data, year) {
+    return this.priceBasis === 'real' ? 1 / this.getEscalationFactor(this.getInflationSettings(data).cpi, year) : 1;
+  }
+
+  // Discount rate (%) matching the reporting basis: the real rate when cash flows are in year-1 prices
+  getDiscountRate(data) {
+    if (this.priceBasis !== 'real') return this.discountRate;
+    const cpi = this.getInflationSettings(data).cpi;
+    return ((1 + this.discountRate / 100) / (1 + cpi / 100) - 1) * 100;
+  }
+
+  // Discount rate for the combined cash flows of several project types (their average CPI in real terms)
+  getCombinedDiscountRate(projectTypeIds) {
+    if (this.priceBasis !== 'real' || projectTypeIds.length === 0) return this.discountRate;
+    const cpi = projectTypeIds.reduce((sum, typeId) => sum + this.getInflationSettings(this.projectTypes.get(typeId)).cpi, 0) / projectTypeIds.length;
+    return this.getDiscountRate({ inflationRate: cpi });
+  }
+
+  // Calculate total investment
+  calculateInvestment(projectType, data) {
+    return this.calculateInvestmentItems(projectType, data).reduce((sum, item) => sum + item.amount, 0);
+  }
+
+  // Individual investment items (currency fields) with their amounts
+  calculateInvestmentItems(projectType, data) {
+    const items = [];
+    const fleet = projectType.calculations && projectType.calculations.fleet;
+    const fleetInvestment = fleet && this.getFlag(data, fleet.enabled) ? fleet.investment : null;
+    const capex = this.calculateCapexPlan(projectType, data);
+    const capexPhases = new Map(capex ? capex.phases.map(phase => [phase.id, phase]) : []);
+    
+    for (const field of projectType.categories.investment) {
+      if (field.type === 'currency') {
+        // The approved CapEx budget is a limit, not a cost
+        if (capex && field.id === projectType.calculations.capex.budget) continue;
+        
+        let value = this.getValue(data, field.id, field.defaultValue || 0);
+        
+        // A cost per unit is multiplied by its quantity field (e.g. per-court cost by the number of courts)
+        if (field.quantity) {
+          value *= this.getValue(data, field.quantity, 0);
+        }
+        
+        // With the fleet model on, the fleet investment is the opening vehicles at the purchase price
+        if (field.id === fleetInvestment) {
+          value = this.getValue(data, fleet.vehicles, 0) * this.getValue(data, fleet.price, 0);
+        }
+        
+        // CapEx phases are costed at their forecast (actual spend once recorded)
+        if (capexPhases.has(field.id)) {
+          value = capexPhases.get(field.id).forecast;
+        }
+        
+        items.push({
+          id: field.id,
+          name: field.name,
+          group: field.group || 'Other',
+          amount: value,
+          field
+        });
+      }
+    }
+    
+    // The contingency not yet used by overruns is held as a cost of its own
+    if (capex && capex.contingency > 0) {
+      const field = projectType.categories.investment.find(entry => entry.id === projectType.calculations.capex.contingency);
+      items.push({
+        id: field.id,
+        name: field.name,
+        group: field.group || 'Other',
+        amount: capex.contingencyRemaining,
+        field
+      });
+    }
+    
+    return items;
+  }
+
+  // Depreciation settings for an investment item: per-item overrides, then field config, then shared defaults
+  getDepreciationSettings(field, data) {
+    const fieldDefaults = field.depreciation || {};
+    const defaultLife = fieldDefaults.usefulLife !== undefined
+      ? fieldDefaults.usefulLife
+      : this.getValue(data, 'defaultUsefulLife', 10);
+    const defaultResidual = fieldDefaults.residualValue !== undefined
+      ? fieldDefaults.residualValue
+      : this.getValue(data, 'defaultResidualValue', 0);
+    const defaultMethod = fieldDefaults.method || (data && data.depreciationMethod) || 'straightLine';
+    
+    return {
+      usefulLife: Math.max(0, Math.round(this.getValue(data, `${field.id}_usefulLife`, defaultLife))),
+      residualValue: Math.min(100, Math.max(0, this.getValue(data, `${field.id}_residualValue`, defaultResidual))),
+      method: (data && data[`${field.id}_depreciationMethod`]) || defaultMethod
+    };
+  }
+
+  // Yearly depreciation and net book value per asset, per asset group and in total
+  calculateDepreciation(projectType, data) {
+    const factor = this.getValue(data, 'decliningBalanceFactor', 2);
+    const assets = [];
+    const groups = {};
+    const annual = new Array(this.horizonYears).fill(0);
+    const netBookValue = new Array(this.horizonYears).fill(0);
+    const fleet = this.calculateFleet(projectType, this.buildFormulaScope(projectType, data));
+    
+    for (const item of this.calculateInvestmentItems(projectType, data)) {
+      const settings = this.getDepreciationSettings(item.field, data);
+      // Fleet vehicles (including later purchases) depreciate along the resale curve
+      const schedule = fleet && item.id === projectType.calculations.fleet.investment
+        ? this.getFleetDepreciation(fleet)
+        : this.calculateAssetDepreciation(item.amount, settings, factor);
+      
+      assets.push({
+        id: item.id,
+        name: item.name,
+        group: item.group,
+        cost: item.amount,
+        ...settings,
+        annual: schedule.annual,
+        netBookValue: schedule.netBookValue
+      });
+      
+      if (!groups[item.group]) {
+        groups[item.group] = {
+          cost: 0,
+          annual: new Array(this.horizonYears).fill(0),
+          netBookValue: new Array(this.horizonYears).fill(0)
+        };
+      }
+      
+      groups[item.group].cost += item.amount;
+      schedule.annual.forEach((value, i) => {
+        groups[item.group].annual[i] += value;
+        groups[item.group].netBookValue[i] += schedule.netBookValue[i];
+        annual[i] += value;
+        netBookValue[i] += schedule.netBookValue[i];
+      });
+    }
+    
+    return { assets, groups, annual, netBookValue };
+  }
+
+  // Yearly depreciation and year-end net book value of a modelled fleet
+  getFleetDepreciation(fleet) {
+    const annual = [];
+    const netBookValue = [];
+    
+    for (let year = 1; year <= this.horizonYears; year++) {
+      const months = fleet.months.slice((year - 1) * 12, year * 12);
+      annual.push(months.reduce((sum, month) => sum + month.depreciation, 0));
+      netBookValue.push(months.length > 0 ? months[months.length - 1].bookValue : 0);
+    }
+    
+    return { annual, netBookValue };
+  }
+
+  // Depreciation of a single asset over the horizon (straight-line or declining balance)
+  calculateAssetDepreciation(cost, settings, decliningBalanceFactor = 2) {
+    const annual = [];
+    const netBookValue = [];
+    const residual = cost * settings.residualValue / 100;
+    const life = settings.usefulLife;
+    let bookValue = cost;
+    
+    for (let year = 1; year <= this.horizonYears; year++) {
+      let depreciation = 0;
+      
+      if (life > 0 && year <= life && bookValue > residual) {
+        const straightLine = (bookValue - residual) / (life - year + 1);
+        
+        if (settings.method === 'decliningBalance') {
+          // Switch to straight-line once it gives the higher charge
+          depreciation = Math.max(bookValue * decliningBalanceFactor / life, straightLine);
+        } else {
+          depreciation = (cost - residual) / life;
+        }
+        
+        depreciation = Math.min(depreciation, bookValue - residual);
+      }
+      
+      bookValue -= depreciation;
+      annual.push(depreciation);
+      netBookValue.push(bookValue);
+    }
+    
+    return { annual, netBookValue };
+  }
+
+  // Build the loan and its monthly amortization schedule from the shared financing inputs
+  calculateFinancing(data, investment) {
+    const loanAmountInput = this.getValue(data, 'loanAmount', 0);
+    const loanToValue = this.getValue(data, 'loanToValue', 0) / 100;
+    const loanAmount = loanAmountInput > 0 ? loanAmountInput : investment * loanToValue;
+    const annualRate = this.getValue(data, 'loanRate', 0);
+    const termYears = Math.max(1, Math.round(this.getValue(data, 'loanTerm', 10)));
+    const amortizationType = data && data.amortizationType ? data.amortizationType : 'annuity';
+    const termMonths = termYears * 12;
+    const gracePeriodMonths = Math.min(termMonths - 1, Math.max(0, Math.round(this.getValue(data, 'gracePeriod', 0))));
+    
+    const financing = {
+      loanAmount,
+      annualRate,
+      termYears,
+      amortizationType,
+      gracePeriodMonths,
+      schedule: []
+    };
+    
+    if (loanAmount <= 0) {
+      financing.loanAmount = 0;
+      return financing;
+    }
+    
+    financing.schedule = this.calculateAmortizationSchedule(loanAmount, annualRate / 100 / 12, termMonths, gracePeriodMonths, amortizationType);
+    financing.totalInterest = financing.schedule.reduce((sum, entry) => sum + entry.interest, 0);
+    
+    return financing;
+  }
+
+  // Monthly amortization schedule: annuity, linear or interest-only, after an interest-only grace period
+  calculateAmortizationSchedule(principalAmount, monthlyRate, termMonths, gracePeriodMonths, amortizationType) {
+    const schedule = [];
+    const repaymentMonths = termMonths - gracePeriodMonths;
+    const annuityPayment = monthlyRate > 0
+      ? principalAmount * monthlyRate / (1 - Math.pow(1 + monthlyRate, -repaymentMonths))
+      : principalAmount / repaymentMonths;
+    let balance = principalAmount;
+    
+    for (let month = 1; month <= termMonths; month++) {
+      const interest = balance * monthlyRate;
+      let principal = 0;
+      
+      if (month > gracePeriodMonths) {
+        if (amortizationType === 'linear') {
+          principal = principalAmount / repaymentMonths;
+        } else if (amortizationType === 'interestOnly') {
+          principal = month === termMonths ? balance : 0;
+        } else {
+          principal = annuityPayment - interest;
+        }
+      }
+      
+      // Clear rounding residue in the final month
+      principal = month === termMonths ? balance : Math.min(principal, balance);
+      
+      schedule.push({
+        month,
+        openingBalance: balance,
+        interest,
+        principal,
+        payment: interest + principal,
+        closingBalance: balance - principal
+      });
+      
+      balance -= principal;
+    }
+    
+    return schedule;
   }
 
-  // Event-specific revenue calculation (conferences, workshops)
-  calculateEventRevenue(config, data) {
-    const capacity = this.getValue(data, 'capacity', 0);
-    const ticketPrice = this.getValue(data, 'ticketPrice', 0);
-    const occupancyRate = this.getValue(data, 'occupancyRate', 100) / 100;
-    const eventsPerYear = this.getValue(data, 'eventsPerYear', 1);
-    const sponsorship = this.getValue(data, 'sponsorship', 0);
-    
-    const ticketRevenue = capacity * ticketPrice * occupancyRate * eventsPerYear;
+  // Debt service coverage and levered (equity) returns alongside the unlevered ROI metrics
+  calculateLeveredReturns(results) {
+    const financing = results.financing;
+    const years = results.projection.years;
     
-    return ticketRevenue + sponsorship;
-  }
-
-  // SaaS-specific revenue calculation
-  calculateSaaSRevenue(config, data) {
-    const basicUsers = this.getValue(data, 'basicUsers', 0);
-    const basicPrice = this.getValue(data, 'basicPrice', 0);
-    const proUsers = this.getValue(data, 'proUsers', 0);
-    const proPrice = this.getValue(data, 'proPrice', 0);
-    const churnRate = this.getValue(data, 'churnRate', 0) / 100;
-    const growthRate = this.getValue(data, 'growthRate', 0) / 100;
+    years.forEach(entry => {
+      entry.dscr = entry.debtService > 0 ? entry.profit / entry.debtService : null;
+    });
     
-    // Basic calculation: assume average throughout the year
-    // This could be enhanced with month-by-month projections
-    const avgBasicUsers = basicUsers * (1 - churnRate / 2); // Simple approximation
-    const avgProUsers = proUsers * (1 - churnRate / 2);
+    const dscrValues = years.map(entry => entry.dscr).filter(value => value !== null);
+    financing.minDSCR = dscrValues.length > 0 ? Math.min(...dscrValues) : null;
+    financing.averageDSCR = dscrValues.length > 0 ? dscrValues.reduce((sum, value) => sum + value, 0) / dscrValues.length : null;
+    financing.equity = results.investment - financing.loanAmount;
+    financing.outstandingAtHorizon = results.timeSeries.length > 0 && financing.schedule.length > 0
+      ? (financing.schedule[Math.min(results.timeSeries.length, financing.schedule.length) - 1].closingBalance)
+      : 0;
     
-    const monthlyRevenue = (avgBasicUsers * basicPrice) + (avgProUsers * proPrice);
+    // A loan running past the horizon is repaid in full in the final year
+    const leveredCashFlows = [financing.loanAmount - this.getUpfrontInvestment(results), ...years.map(entry => entry.leveredCashFlow)];
+    leveredCashFlows[leveredCashFlows.length - 1] -= financing.outstandingAtHorizon;
+    financing.levered = this.calculateInvestmentMetrics(leveredCashFlows, this.getDiscountRate(results.formData));
+    financing.unlevered = {
+      discountRate: results.roi.discountRate,
+      npv: results.roi.npv,
+      irr: results.roi.irr,
+      mirr: results.roi.mirr,
+      discountedPaybackYears: results.roi.discountedPaybackYears
+    };
     
-    return monthlyRevenue * 12;
+    return financing;
   }
 
-  // E-commerce revenue calculation
-  calculateEcommerceRevenue(config, data) {
-    const avgOrderValue = this.getValue(data, 'avgOrderValue', 0);
-    const ordersPerMonth = this.getValue(data, 'ordersPerMonth', 0);
-    const grossMargin = this.getValue(data, 'grossMargin', 100) / 100; // Apply margin
-    const returnRate = this.getValue(data, 'returnRate', 0) / 100;
+  // Build the monthly time series over the projection horizon, including one-off cash events.
+  // During a construction period the investment is drawn evenly and nothing trades; operating years count from opening.
+  calculateTimeSeries(projectType, data, results) {
+    const totalMonths = this.horizonYears * 12;
+    const cashEvents = this.getCashEvents(projectType, data, totalMonths);
+    const tax = this.getTaxSettings(data);
+    const constructionMonths = this.getConstructionMonths(data);
+    const monthlyDraw = constructionMonths > 0 ? results.investment / constructionMonths : 0;
+    const capexDrawdown = results.capex ? results.capex.drawdown : null;
+    const seasonality = this.getSeasonalityFactors(projectType, data);
+    const months = [];
+    const schedule = results.financing.schedule;
+    const operatingYears = [];
+    let cumulativeCash = -this.getUpfrontInvestment(results);
+    let cumulativeLeveredCash = cumulativeCash + results.financing.loanAmount;
+    let vatBalance = 0;
+    let lossPool = 0;
+    let workingCapitalBalance = 0;
+    
+    // Revenue profile and costs of an operating year (year 1 is the one already calculated)
+    const getOperatingYear = (operatingYear) => {
+      if (!operatingYears[operatingYear]) {
+        operatingYears[operatingYear] = operatingYear === 1
+          ? { revenueMonths: results.revenue.months, costs: results.costs }
+          : { revenueMonths: this.calculateRevenue(projectType, data, operatingYear).months, costs: this.calculateCosts(projectType, data, operatingYear) };
+      }
+      return operatingYears[operatingYear];
+    };
     
-    const grossRevenue = avgOrderValue * ordersPerMonth * 12;
-    const netRevenue = grossRevenue * (1 - returnRate) * grossMargin;
+    for (let year = 1; year <= this.horizonYears; year++) {
+      // Amounts are calculated (and taxed) in nominal terms, then reported on the engine's price basis
+      const basis = this.getPriceBasisFactor(data, year);
+      let yearProfitBeforeTax = 0;
+      
+      for (let monthOfYear = 1; monthOfYear <= 12; monthOfYear++) {
+        const month = (year - 1) * 12 + monthOfYear;
+        const operatingMonth = month - constructionMonths;
+        const trading = operatingMonth >= 1;
+        const operatingYear = trading ? Math.ceil(operatingMonth / 12) : 0;
+        const yearCosts = trading ? getOperatingYear(operatingYear).costs : { annual: 0, operating: 0, variable: 0, scheduled: 0, staffing: 0 };
+        const revenue = trading ? getOperatingYear(operatingYear).revenueMonths[(operatingMonth - 1) % 12] : 0;
+        // Variable operating costs follow the same seasonality as revenue, scheduled costs (calendar events, lettings)
+        // fall in their own month; fixed costs and staff are spread evenly
+        const scheduledCosts = yearCosts.scheduledMonths ? yearCosts.scheduledMonths[(operatingMonth - 1) % 12] : 0;
+        const operatingCosts = (yearCosts.operating - yearCosts.variable - yearCosts.scheduled) / 12 + (yearCosts.variable / 12) * seasonality[(operatingMonth - 1) % 12] + scheduledCosts;
+        const costs = trading ? operatingCosts + yearCosts.staffing / 12 : 0;
+        const profit = revenue - costs;
+        // A CapEx plan draws its phases from the first operating month; otherwise construction draws are even
+        const investmentDraw = capexDrawdown ? (trading ? capexDrawdown[operatingMonth - 1] : 0) : (trading ? 0 : monthlyDraw);
+        const events = cashEvents.filter(event => event.month === month);
+        const oneOffInflow = events.reduce((sum, event) => sum + Math.max(0, event.amount), 0);
+        const oneOffOutflow = events.reduce((sum, event) => sum + Math.max(0, -event.amount), 0);
+        const debt = schedule[month - 1];
+        const depreciation = trading ? results.depreciation.annual[operatingYear - 1] / 12 : 0;
+        const interest = debt ? debt.interest : 0;
+        const principal = debt ? debt.principal : 0;
+        
+        // VAT is collected and paid with each transaction and settled at the end of each return period
+        const vatCollected = revenue * tax.vatRateRevenue / 100;
+        const vatPaid = (trading ? operatingCosts : 0) * tax.vatRateCosts / 100;
+        vatBalance += vatCollected - vatPaid;
+        let vatSettlement = 0;
+        if (month % tax.vatSettlementMonths === 0 || month === totalMonths) {
+          vatSettlement = vatBalance;
+          vatBalance = 0;
+        }
+        
+        // Corporate tax is assessed on the year's profit before tax and paid in its final month
+        yearProfitBeforeTax += profit - depreciation - interest;
+        let taxPaid = 0;
+        if (monthOfYear === 12) {
+          const assessment = this.calculateCorporateTax(yearProfitBeforeTax, lossPool, tax);
+          taxPaid = assessment.tax;
+          lossPool = assessment.lossCarriedForward;
+        }
+        
+        // Cash tied up in receivables and stock, net of supplier credit (from opening)
+        const workingCapital = trading ? this.calculateWorkingCapital(data, revenue, operatingCosts) : { balance: 0 };
+        const workingCapitalChange = workingCapital.balance - workingCapitalBalance;
+        workingCapitalBalance = workingCapital.balance;
+        
+        const netCashFlow = profit + oneOffInflow - oneOffOutflow + vatCollected - vatPaid - vatSettlement - taxPaid - workingCapitalChange - investmentDraw;
+        const leveredCashFlow = netCashFlow - interest - principal;
+        
+        cumulativeCash += netCashFlow * basis;
+        cumulativeLeveredCash += leveredCashFlow * basis;
+        
+        months.push({
+          month,
+          year,
+          monthOfYear,
+          trading,
+          revenue: revenue * basis,
+          costs: costs * basis,
+          profit: profit * basis,
+          oneOffInflow: oneOffInflow * basis,
+          oneOffOutflow: oneOffOutflow * basis,
+          vatCollected: vatCollected * basis,
+          vatPaid: vatPaid * basis,
+          vatSettlement: vatSettlement * basis,
+          taxPaid: taxPaid * basis,
+          lossCarriedForward: lossPool * basis,
+          workingCapital: workingCapitalBalance * basis,
+          workingCapitalChange: workingCapitalChange * basis,
+          investment: investmentDraw * basis,
+          netCashFlow: netCashFlow * basis,
+          cumulativeCash,
+          depreciation: depreciation * basis,
+          interest: interest * basis,
+          principal: principal * basis,
+          leveredCashFlow: leveredCashFlow * basis,
+          cumulativeLeveredCash,
+          events: events.map(event => event.label)
+        });
+      }
+    }
     
-    return netRevenue;
+    return months;
   }
 
-  // Consulting revenue calculation
-  calculateConsultingRevenue(config, data) {
-    const hourlyRate = this.getValue(data, 'hourlyRate', 0);
-    const billableHours = this.getValue(data, 'billableHours', 0);
-    const utilizationRate = this.getValue(data, 'utilizationRate', 100) / 100;
-    const weeksPerYear = this.getValue(data, 'weeksPerYear', 50);
+  // Working-capital balances for a month's revenue and operating costs from debtor, creditor and inventory days
+  calculateWorkingCapital(data, monthlyRevenue, monthlyOperatingCosts) {
+    const daysPerMonth = 365 / 12;
+    const receivables = monthlyRevenue * this.getValue(data, 'receivableDays', 0) / daysPerMonth;
+    const payables = monthlyOperatingCosts * this.getValue(data, 'payableDays', 0) / daysPerMonth;
+    const inventory = this.getValue(data, 'upfrontStock', 0) + monthlyOperatingCosts * this.getValue(data, 'inventoryDays', 0) / daysPerMonth;
     
-    const totalBillableHours = billableHours * weeksPerYear * utilizationRate;
-    
-    return totalBillableHours * hourlyRate;
+    return {
+      receivables,
+      payables,
+      inventory,
+      balance: receivables + inventory - payables
+    };
   }
 
-  // Education-specific revenue calculation (workshops, courses)
-  calculateEducationRevenue(config, data) {
-    const studentCapacity = this.getValue(data, 'studentCapacity', 0);
-    const tuitionFee = this.getValue(data, 'tuitionFee', 0);
-    const sessionsPerYear = this.getValue(data, 'sessionsPerYear', 1);
-    const occupancyRate = this.getValue(data, 'occupancyRate', 100) / 100;
-    
-    return studentCapacity * tuitionFee * sessionsPerYear * occupancyRate;
+  // Construction period in whole months, capped at the projection horizon
+  getConstructionMonths(data) {
+    return Math.min(this.horizonYears * 12, Math.max(0, Math.round(this.getValue(data, 'constructionMonths', 0))));
   }
 
-  // Rental-specific revenue calculation
-  calculateRentalRevenue(config, data) {
-    const vehicles = this.getValue(data, 'vehicles', 0);
-    const dailyRate = this.getValue(data, 'dailyRate', 0);
-    const utilizationRate = this.getValue(data, 'utilizationRate', 100) / 100;
-    const averageRental = this.getValue(data, 'averageRental', 1);
-    
-    // Calculate annual rental days
-    const totalPossibleDays = vehicles * 365;
-    const utilizedDays = totalPossibleDays * utilizationRate;
-    
-    return utilizedDays * dailyRate;
+  // Investment paid before month 1; with a construction period or a CapEx drawdown it is drawn monthly instead
+  getUpfrontInvestment(results) {
+    return this.getConstructionMonths(results.formData) > 0 || (results.capex && results.capex.drawdown) ? 0 : results.investment;
   }
 
-  // Promotion-specific revenue calculation (coupon platforms)
-  calculatePromotionRevenue(config, data) {
-    const merchants = this.getValue(data, 'merchants', 0);
-    const avgDealValue = this.getValue(data, 'avgDealValue', 0);
-    const dealsPerMonth = this.getValue(data, 'dealsPerMonth', 0);
-    const commission = this.getValue(data, 'commission', 0) / 100;
-    const redemptionRate = this.getValue(data, 'redemptionRate', 100) / 100;
-    
-    const monthlyDeals = merchants * dealsPerMonth;
-    const redeemedDeals = monthlyDeals * redemptionRate;
-    const monthlyRevenue = redeemedDeals * avgDealValue * commission;
-    
-    return monthlyRevenue * 12;
+  // Absolute month index (year * 12 + month) of a project's start date; null without a valid date
+  getStartMonthIndex(data) {
+    return this.parseMonthIndex(data && data.startDate);
   }
 
-  // Real Estate revenue calculation
-  calculateRealEstateRevenue(config, data) {
-    const monthlyRent = this.getValue(data, 'monthlyRent', 0);
-    const occupancyRate = this.getValue(data, 'occupancyRate', 100) / 100;
-    const rentIncrease = this.getValue(data, 'rentIncrease', 0) / 100;
-    const otherIncome = this.getValue(data, 'otherIncome', 0);
-    
-    // Calculate effective annual rent (accounting for occupancy and mid-year increase)
-    const baseAnnualRent = monthlyRent * 12 * occupancyRate;
-    // Apply half of the rent increase to account for mid-year implementation
-    const adjustedAnnualRent = baseAnnualRent * (1 + rentIncrease / 2);
-    
-    return adjustedAnnualRent + otherIncome;
+  // Absolute month index of a 'YYYY-MM' (or 'YYYY-MM-DD') date; null otherwise
+  parseMonthIndex(value) {
+    const match = typeof value === 'string' ? value.match(/^(\d{4})-(\d{2})/) : null;
+    return match ? parseInt(match[1], 10) * 12 + parseInt(match[2], 10) - 1 : null;
   }
 
-  // CapEx Investment revenue calculation (benefits)
-  calculateCapExRevenue(config, data) {
-    const costSavings = this.getValue(data, 'costSavings', 0);
-    const revenueIncrease = this.getValue(data, 'revenueIncrease', 0);
-    const implementationTime = this.getValue(data, 'implementationTime', 6);
-    const rampUpPeriod = this.getValue(data, 'rampUpPeriod', 3);
-    
-    // Calculate the phased implementation of benefits
-    const totalImplementationTime = implementationTime + rampUpPeriod;
-    let effectiveBenefits = 0;
-    
-    if (totalImplementationTime >= 12) {
-      // Benefits only start in the following year
-      effectiveBenefits = 0;
-    } else {
-      // Benefits start within the year, calculate pro-rata
-      const monthsWithBenefits = 12 - totalImplementationTime;
-      const rampUpFactor = rampUpPeriod > 0 ? 0.5 : 1; // 50% during ramp-up
-      effectiveBenefits = (costSavings + revenueIncrease) * (monthsWithBenefits / 12) * rampUpFactor;
-    }
+  // Month offset of each project's start date from the earliest start among them (undated projects start at the earliest)
+  getStartOffsets(projectTypeIds) {
+    const starts = new Map();
+    projectTypeIds.forEach(typeId => {
+      const start = this.getStartMonthIndex(this.projectTypes.get(typeId));
+      if (start !== null) {
+        starts.set(typeId, start);
+      }
+    });
     
-    return effectiveBenefits;
+    const earliest = Math.min(...starts.values());
+    const offsets = new Map();
+    projectTypeIds.forEach(typeId => offsets.set(typeId, starts.has(typeId) ? starts.get(typeId) - earliest : 0));
+    return offsets;
   }
 
-  // Calculate total costs (operating + staffing)
-  calculateCosts(projectType, data) {
-    const operatingCosts = this.calculateOperatingCosts(projectType.categories.operating, data);
-    const staffingCosts = this.calculateStaffingCosts(projectType.categories.staffing, data);
-    
-    const totalAnnual = operatingCosts + staffingCosts;
+  // Resolve tax rates from the selected country profile, or the custom rate fields
+  getTaxSettings(data) {
+    const profiles = window.TAX_PROFILES || {};
+    const profile = data && profiles[data.taxProfile];
+    const usePreset = profile && profile.corporateTaxRate !== undefined;
     
     return {
-      annual: totalAnnual,
-      monthly: totalAnnual / 12,
-      operating: operatingCosts,
-      staffing: staffingCosts
+      profile: data && data.taxProfile ? data.taxProfile : 'custom',
+      corporateTaxRate: usePreset ? profile.corporateTaxRate : this.getValue(data, 'corporateTaxRate', 0),
+      vatRateRevenue: usePreset ? profile.vatRate : this.getValue(data, 'vatRateRevenue', 0),
+      vatRateCosts: usePreset ? profile.vatRate : this.getValue(data, 'vatRateCosts', 0),
+      lossCarryForward: this.getFlag(data, 'lossCarryForward', true),
+      revenueIncludesVat: this.getFlag(data, 'revenueIncludesVat'),
+      costsIncludeVat: this.getFlag(data, 'costsIncludeVat'),
+      vatSettlementMonths: Math.min(12, Math.max(1, Math.round(this.getValue(data, 'vatSettlementMonths', 3))))
     };
   }
 
-  // Calculate operating costs
-  calculateOperatingCosts(operatingConfig, data) {
-    let totalCosts = 0;
-    
-    for (const field of operatingConfig) {
-      if (field.type === 'currency') {
-        let cost = this.getValue(data, field.id, field.defaultValue || 0);
-        
-        // Handle per-event costs for event-based businesses
-        if (field.id.includes('event') && data.eventsPerYear) {
-          cost *= this.getValue(data, 'eventsPerYear', 1);
-        }
-        
-        totalCosts += cost;
-      }
+  // Corporate tax for one year, offsetting losses brought forward when enabled
+  calculateCorporateTax(profitBeforeTax, lossBroughtForward, tax) {
+    if (profitBeforeTax <= 0) {
+      return {
+        taxableIncome: 0,
+        lossUsed: 0,
+        tax: 0,
+        lossCarriedForward: tax.lossCarryForward ? lossBroughtForward - profitBeforeTax : 0
+      };
     }
     
-    return totalCosts;
+    const lossUsed = Math.min(lossBroughtForward, profitBeforeTax);
+    const taxableIncome = profitBeforeTax - lossUsed;
+    
+    return {
+      taxableIncome,
+      lossUsed,
+      tax: taxableIncome * tax.corporateTaxRate / 100,
+      lossCarriedForward: lossBroughtForward - lossUsed
+    };
   }
 
-  // Calculate staffing costs
-  calculateStaffingCosts(staffingConfig, data) {
-    let totalCosts = 0;
-    
-    // Group staffing fields by role (assuming pairs: count + salary)
-    const roles = new Map();
+  // Collect one-off cash events from fields that declare a cashEvent (e.g. security deposits)
+  getCashEvents(projectType, data, totalMonths) {
+    const events = [];
     
-    for (const field of staffingConfig) {
-      const baseName = field.id.replace(/Sal$/, '').replace(/Rate$/, ''); // Remove 'Sal' or 'Rate' suffix if present
-      
-      if (!roles.has(baseName)) {
-        roles.set(baseName, { count: 0, salary: 0 });
-      }
-      
-      if (field.id.endsWith('Sal') || field.id.includes('Salary') || field.id.endsWith('Rate')) {
-        let salary = this.getValue(data, field.id, field.defaultValue || 0);
+    Object.values(projectType.categories).forEach(fields => {
+      (fields || []).forEach(field => {
+        if (!field.cashEvent) return;
         
-        // Handle per-event costs for speakers and support staff
-        if (field.id.includes('event') && data.eventsPerYear) {
-          salary *= this.getValue(data, 'eventsPerYear', 1);
-        }
+        const amount = this.getValue(data, field.id, field.defaultValue || 0);
+        if (!amount) return;
         
-        // Handle real estate management fee as percentage of rent
-        if (field.id === 'managementFee' && data.propertyManager) {
-          const monthlyRent = this.getValue(data, 'monthlyRent', 0);
-          const occupancyRate = this.getValue(data, 'occupancyRate', 100) / 100;
-          const managementFeePercent = this.getValue(data, 'managementFee', 0) / 100;
-          
-          if (this.getValue(data, 'propertyManager', false)) {
-            salary = monthlyRent * 12 * occupancyRate * managementFeePercent;
-          } else {
-            salary = 0;
-          }
-        }
+        const month = Math.min(totalMonths, Math.max(1, field.cashEvent.month || 1));
+        const sign = field.cashEvent.direction === 'out' ? -1 : 1;
+        events.push({ month, amount: sign * amount, label: field.name });
         
-        // Handle handyman costs (hours * rate * 12 months)
-        if (field.id === 'handymanRate') {
-          const hours = this.getValue(data, 'handymanHours', 0);
-          salary = salary * hours * 12;
+        if (field.cashEvent.refundAtEnd) {
+          events.push({ month: totalMonths, amount: -sign * amount, label: `${field.name} (refund)` });
         }
-        
-        roles.get(baseName).salary = salary;
-      } else if (field.type === 'number') {
-        roles.get(baseName).count = this.getValue(data, field.id, field.defaultValue || 0);
-      } else if (field.type === 'boolean') {
-        // For boolean fields like propertyManager, we set count to 1 if true
-        roles.get(baseName).count = this.getValue(data, field.id, false) ? 1 : 0;
-      }
+      });
+    });
+    
+    // Fleet purchases after opening and resale proceeds, and tenant improvements, from the first trading month
+    const scope = this.buildFormulaScope(projectType, data);
+    const constructionMonths = this.getConstructionMonths(data);
+    const fleet = this.calculateFleet(projectType, scope);
+    if (fleet) {
+      fleet.months.forEach(entry => {
+        const month = entry.month + constructionMonths;
+        if (month > totalMonths) return;
+        if (entry.purchases) events.push({ month, amount: -entry.purchases, label: 'Vehicle purchases' });
+        if (entry.disposals) events.push({ month, amount: entry.disposals, label: 'Vehicle sales' });
+      });
     }
     
-    // Calculate total staffing costs
-    for (const [roleName, role] of roles) {
-      // Skip certain calculated fields to avoid double counting
-      if (roleName === 'managementFee' || roleName === 'handymanRate') {
-        continue;
-      }
-      
-      const roleCost = role.count * role.salary;
-      totalCosts += roleCost;
-      
-      // Debug logging for staffing costs
-      if (this.debugMode && roleCost > 0) {
-        console.log(`Staffing cost for ${roleName}: ${role.count} × ${role.salary} = ${roleCost}`);
-      }
+    const rentRoll = this.calculateRentRoll(projectType, scope);
+    if (rentRoll) {
+      rentRoll.months.forEach(entry => {
+        const month = entry.month + constructionMonths;
+        if (month <= totalMonths && entry.tenantImprovements) {
+          events.push({ month, amount: -entry.tenantImprovements, label: 'Tenant improvements' });
+        }
+      });
     }
     
-    // Debug total staffing costs
-    if (this.debugMode) {
-      console.log(`Total staffing costs: €${totalCosts}`);
+    const exit = this.calculateExit(projectType, data);
+    if (exit && exit.month <= totalMonths) {
+      events.push({ month: exit.month, amount: exit.netProceeds, label: 'Property sale' });
     }
     
-    return totalCosts;
+    return events;
   }
 
-  // Calculate total investment
-  calculateInvestment(projectType, data) {
-    let totalInvestment = 0;
+  // Build the multi-year projection by aggregating the monthly time series per year
+  calculateProjection(projectType, data, results) {
+    const years = [];
+    let cumulativeProfit = 0;
     
-    for (const field of projectType.categories.investment) {
-      if (field.type === 'currency') {
-        let value = this.getValue(data, field.id, field.defaultValue || 0);
-        
-        // Handle special cases like courts calculation
-        if (field.id === 'courtCost' && data.courts) {
-          value *= this.getValue(data, 'courts', 1);
-        }
-        
-        totalInvestment += value;
-      }
+    for (let year = 1; year <= this.horizonYears; year++) {
+      const months = results.timeSeries.filter(entry => entry.year === year);
+      const revenue = months.reduce((sum, entry) => sum + entry.revenue, 0);
+      const costs = months.reduce((sum, entry) => sum + entry.costs, 0);
+      const profit = revenue - costs;
+      const netCashFlow = months.reduce((sum, entry) => sum + entry.netCashFlow, 0);
+      const cumulativeCash = months[months.length - 1].cumulativeCash;
+      const depreciation = months.reduce((sum, entry) => sum + entry.depreciation, 0);
+      const interest = months.reduce((sum, entry) => sum + entry.interest, 0);
+      const principal = months.reduce((sum, entry) => sum + entry.principal, 0);
+      const tax = months.reduce((sum, entry) => sum + entry.taxPaid, 0);
+      const vatPayable = months.reduce((sum, entry) => sum + entry.vatCollected - entry.vatPaid, 0);
+      const profitBeforeTax = profit - depreciation - interest;
+      
+      cumulativeProfit += profit;
+      
+      years.push({
+        year,
+        revenue,
+        costs,
+        profit,
+        ebitda: profit,
+        depreciation,
+        ebit: profit - depreciation,
+        interest,
+        principal,
+        debtService: interest + principal,
+        profitBeforeTax,
+        tax,
+        netIncome: profitBeforeTax - tax,
+        lossCarriedForward: months[months.length - 1].lossCarriedForward,
+        vatPayable,
+        netCashFlow,
+        leveredCashFlow: netCashFlow - interest - principal,
+        cumulativeProfit,
+        cumulativeCash
+      });
     }
     
-    return totalInvestment;
+    return {
+      horizonYears: this.horizonYears,
+      years,
+      totalRevenue: years.reduce((sum, y) => sum + y.revenue, 0),
+      totalCosts: years.reduce((sum, y) => sum + y.costs, 0),
+      totalProfit: cumulativeProfit
+    };
   }
 
-  // Calculate ROI metrics
+  // Calculate ROI metrics from the multi-year projection
   calculateROI(results) {
     const investment = results.investment;
     const annualProfit = results.profit;
@@ -438,95 +2379,277 @@ class PLCalculationEngine {
       };
     }
     
-    const paybackYears = annualProfit > 0 ? Math.ceil(investment / annualProfit) : Infinity;
     const roiPercentage = (annualProfit / investment) * 100;
-    const breakEvenMonth = annualProfit > 0 ? Math.ceil(investment / (annualProfit / 12)) : Infinity;
+    const years = results.projection.years;
+    let paybackYears = Infinity;
+    let breakEvenMonth = Infinity;
+    
+    // Find the first month in which cumulative cash turns non-negative
+    const breakEven = results.timeSeries.find(entry => entry.cumulativeCash >= 0);
+    if (breakEven) {
+      paybackYears = breakEven.year;
+      breakEvenMonth = breakEven.month;
+    }
+    
+    // Beyond the horizon, extrapolate using the final year's profit
+    const last = years[years.length - 1];
+    if (paybackYears === Infinity && last && last.profit > 0) {
+      paybackYears = last.year + Math.ceil(-last.cumulativeCash / last.profit);
+      breakEvenMonth = last.year * 12 + Math.ceil(-last.cumulativeCash / (last.profit / 12));
+    }
+    
+    // Construction draws are already in the yearly net cash flows
+    const cashFlows = [-this.getUpfrontInvestment(results), ...years.map(entry => entry.netCashFlow)];
     
     return {
       paybackYears,
       roiPercentage,
       breakEvenMonth,
       investment,
-      annualProfit
+      annualProfit,
+      horizonRoiPercentage: ((results.projection.totalProfit - investment) / investment) * 100,
+      afterTaxRoiPercentage: (years[0].netIncome / investment) * 100,
+      ...this.calculateInvestmentMetrics(cashFlows, this.getDiscountRate(results.formData))
     };
   }
 
-  // Calculate detailed revenue breakdown
-  calculateRevenueBreakdown(projectType, data) {
-    const breakdown = {};
+  // Discounted cash flow metrics for annual cash flows (index 0 = initial investment)
+  calculateInvestmentMetrics(cashFlows, discountRate = this.discountRate) {
+    const rate = discountRate / 100;
+    
+    return {
+      discountRate,
+      npv: this.calculateNPV(cashFlows, rate),
+      irr: this.calculateIRR(cashFlows),
+      mirr: this.calculateMIRR(cashFlows, rate, rate),
+      discountedPaybackYears: this.calculateDiscountedPayback(cashFlows, rate)
+    };
+  }
+
+  // Net present value of annual cash flows at a decimal rate
+  calculateNPV(cashFlows, rate) {
+    return cashFlows.reduce((sum, cashFlow, year) => sum + cashFlow / Math.pow(1 + rate, year), 0);
+  }
+
+  // Internal rate of return (decimal) by bisection; null when the flows never change sign
+  calculateIRR(cashFlows) {
+    const hasNegative = cashFlows.some(cashFlow => cashFlow < 0);
+    const hasPositive = cashFlows.some(cashFlow => cashFlow > 0);
+    if (!hasNegative || !hasPositive) return null;
     
-    if (projectType.id === 'padel') {
-      const courts = this.getValue(data, 'courts', 1);
-      const days = this.getValue(data, 'days', 7);
-      const weeks = this.getValue(data, 'weeks', 52);
+    let low = -0.9999;
+    let high = 10;
+    let npvLow = this.calculateNPV(cashFlows, low);
+    const npvHigh = this.calculateNPV(cashFlows, high);
+    
+    // No root inside the search bracket
+    if (npvLow * npvHigh > 0) return null;
+    
+    for (let i = 0; i < 200; i++) {
+      const mid = (low + high) / 2;
+      const npvMid = this.calculateNPV(cashFlows, mid);
       
-      breakdown.peak = {
-        hours: this.getValue(data, 'peakHours', 0),
-        rate: this.getValue(data, 'peakRate', 0),
-        utilization: this.getValue(data, 'peakUtil', 0),
-        totalHours: this.getValue(data, 'peakHours', 0) * days * weeks,
-        utilizedHours: this.getValue(data, 'peakHours', 0) * days * weeks * (this.getValue(data, 'peakUtil', 0) / 100),
-        revenue: this.getValue(data, 'peakHours', 0) * this.getValue(data, 'peakRate', 0) * days * weeks * courts * (this.getValue(data, 'peakUtil', 0) / 100)
-      };
+      if (Math.abs(npvMid) < 1e-7 || (high - low) / 2 < 1e-9) {
+        return mid;
+      }
       
-      breakdown.offPeak = {
-        hours: this.getValue(data, 'offHours', 0),
-        rate: this.getValue(data, 'offRate', 0),
-        utilization: this.getValue(data, 'offUtil', 0),
-        totalHours: this.getValue(data, 'offHours', 0) * days * weeks,
-        utilizedHours: this.getValue(data, 'offHours', 0) * days * weeks * (this.getValue(data, 'offUtil', 0) / 100),
-        revenue: this.getValue(data, 'offHours', 0) * this.getValue(data, 'offRate', 0) * days * weeks * courts * (this.getValue(data, 'offUtil', 0) / 100)
-      };
-    } else if (projectType.id === 'gym') {
-      breakdown.memberships = {
-        weekly: {
-          members: this.getValue(data, 'weekMembers', 0),
-          fee: this.getValue(data, 'weekFee', 0),
-          revenue: this.getValue(data, 'weekMembers', 0) * this.getValue(data, 'weekFee', 0) * 52
-        },
-        monthly: {
-          members: this.getValue(data, 'monthMembers', 0),
-          fee: this.getValue(data, 'monthFee', 0),
-          revenue: this.getValue(data, 'monthMembers', 0) * this.getValue(data, 'monthFee', 0) * 12
-        },
-        annual: {
-          members: this.getValue(data, 'annualMembers', 0),
-          fee: this.getValue(data, 'annualFee', 0),
-          revenue: this.getValue(data, 'annualMembers', 0) * this.getValue(data, 'annualFee', 0)
+      if (npvMid * npvLow > 0) {
+        low = mid;
+        npvLow = npvMid;
+      } else {
+        high = mid;
+      }
+    }
+    
+    return (low + high) / 2;
+  }
+
+  // Modified IRR (decimal): negatives financed at financeRate, positives reinvested at reinvestRate
+  calculateMIRR(cashFlows, financeRate, reinvestRate) {
+    const periods = cashFlows.length - 1;
+    if (periods < 1) return null;
+    
+    let presentNegative = 0;
+    let futurePositive = 0;
+    
+    cashFlows.forEach((cashFlow, year) => {
+      if (cashFlow < 0) {
+        presentNegative += cashFlow / Math.pow(1 + financeRate, year);
+      } else {
+        futurePositive += cashFlow * Math.pow(1 + reinvestRate, periods - year);
+      }
+    });
+    
+    if (presentNegative >= 0 || futurePositive <= 0) return null;
+    
+    return Math.pow(futurePositive / -presentNegative, 1 / periods) - 1;
+  }
+
+  // Years (fractional) until cumulative discounted cash flow turns non-negative; Infinity if never
+  calculateDiscountedPayback(cashFlows, rate) {
+    let cumulative = 0;
+    
+    for (let year = 0; year < cashFlows.length; year++) {
+      const discounted = cashFlows[year] / Math.pow(1 + rate, year);
+      const previous = cumulative;
+      cumulative += discounted;
+      
+      if (year > 0 && previous < 0 && cumulative >= 0) {
+        return year - 1 + (-previous / discounted);
+      }
+    }
+    
+    return cumulative >= 0 && cashFlows[0] >= 0 ? 0 : Infinity;
+  }
+
+  // Combined annual cash flows for several project types with optional revenue/cost multipliers
+  // (levered flows include the loan drawdown and debt service)
+  getCombinedAnnualCashFlows(projectTypeIds, revenueMultiplier = 1, costMultiplier = 1, levered = false) {
+    return this.combineAnnualCashFlows(projectTypeIds.map(typeId => this.getCalculation(typeId)).filter(Boolean), revenueMultiplier, costMultiplier, levered);
+  }
+
+  // Combined annual cash flows of a list of results (e.g. evaluated with overrides), shifted by their start offsets
+  combineAnnualCashFlows(resultsList, revenueMultiplier = 1, costMultiplier = 1, levered = false) {
+    const cashFlows = new Array(this.horizonYears + 1).fill(0);
+    const offsets = this.getStartOffsets(resultsList.map(result => result.typeId));
+    
+    resultsList.forEach(result => {
+      const typeId = result.typeId;
+      if (!result.projection) return;
+      
+      // Later starts shift a project's flows along the combined timeline; flows beyond the horizon drop out
+      const offset = offsets.get(typeId);
+      const startYear = Math.ceil(offset / 12);
+      cashFlows[startYear] -= this.getUpfrontInvestment(result);
+      if (levered && result.financing) {
+        cashFlows[startYear] += result.financing.loanAmount;
+        // The balance still owed at the combined horizon end is repaid in the final year
+        const schedule = result.financing.schedule;
+        const monthsInHorizon = Math.min(schedule.length, this.horizonYears * 12 - offset);
+        if (monthsInHorizon > 0) {
+          cashFlows[this.horizonYears] -= schedule[monthsInHorizon - 1].closingBalance;
         }
-      };
-    } else if (projectType.id === 'realEstate') {
-      const monthlyRent = this.getValue(data, 'monthlyRent', 0);
-      const occupancyRate = this.getValue(data, 'occupancyRate', 100) / 100;
-      const rentIncrease = this.getValue(data, 'rentIncrease', 0) / 100;
+      }
       
-      breakdown.rental = {
-        monthlyRent: monthlyRent,
-        occupancyRate: this.getValue(data, 'occupancyRate', 0),
-        annualRentIncrease: this.getValue(data, 'rentIncrease', 0),
-        effectiveAnnualRent: monthlyRent * 12 * occupancyRate,
-        adjustedForIncrease: monthlyRent * 12 * occupancyRate * (1 + rentIncrease / 2),
-        otherIncome: this.getValue(data, 'otherIncome', 0),
-        totalRevenue: (monthlyRent * 12 * occupancyRate * (1 + rentIncrease / 2)) + this.getValue(data, 'otherIncome', 0)
-      };
-    } else if (projectType.id === 'capexInvestment') {
-      const costSavings = this.getValue(data, 'costSavings', 0);
-      const revenueIncrease = this.getValue(data, 'revenueIncrease', 0);
-      const implementationTime = this.getValue(data, 'implementationTime', 6);
-      const rampUpPeriod = this.getValue(data, 'rampUpPeriod', 3);
+      result.timeSeries.forEach(entry => {
+        const year = Math.ceil((entry.month + offset) / 12);
+        if (year > this.horizonYears) return;
+        const oneOffs = entry.netCashFlow - entry.profit;
+        const debtService = levered ? entry.interest + entry.principal : 0;
+        cashFlows[year] += entry.revenue * revenueMultiplier - entry.costs * costMultiplier + oneOffs - debtService;
+      });
+    });
+    
+    return cashFlows;
+  }
+
+  // Combined yearly P&L, corporate tax and VAT summary for several project types
+  getCombinedTaxSummary(projectTypeIds) {
+    const rows = [];
+    
+    for (let year = 1; year <= this.horizonYears; year++) {
+      rows.push({ year, revenue: 0, costs: 0, ebitda: 0, profitBeforeTax: 0, tax: 0, netIncome: 0, lossCarriedForward: 0, vatPayable: 0 });
+    }
+    
+    projectTypeIds.forEach(typeId => {
+      const result = this.getCalculation(typeId);
+      if (!result || !result.projection) return;
       
-      breakdown.benefits = {
-        annualCostSavings: costSavings,
-        annualRevenueIncrease: revenueIncrease,
-        implementationMonths: implementationTime,
-        rampUpMonths: rampUpPeriod,
-        totalBenefits: costSavings + revenueIncrease,
-        firstYearBenefits: this.calculateCapExRevenue(null, data),
-        efficiencyGains: this.getValue(data, 'efficiencyGains', 0),
-        qualityImprovement: this.getValue(data, 'qualityImprovement', 0)
-      };
+      result.projection.years.forEach(entry => {
+        const row = rows[entry.year - 1];
+        row.revenue += entry.revenue;
+        row.costs += entry.costs;
+        row.ebitda += entry.ebitda;
+        row.profitBeforeTax += entry.profitBeforeTax;
+        row.tax += entry.tax;
+        row.netIncome += entry.netIncome;
+        row.lossCarriedForward += entry.lossCarriedForward;
+        row.vatPayable += entry.vatPayable;
+      });
+    });
+    
+    return rows;
+  }
+
+  // Combined yearly debt schedule with DSCR for several project types
+  getCombinedDebtSchedule(projectTypeIds, revenueMultiplier = 1, costMultiplier = 1) {
+    const rows = [];
+    
+    for (let year = 1; year <= this.horizonYears; year++) {
+      rows.push({ year, profit: 0, interest: 0, principal: 0, debtService: 0, closingBalance: 0, dscr: null });
     }
     
+    projectTypeIds.forEach(typeId => {
+      const result = this.getCalculation(typeId);
+      if (!result || !result.projection) return;
+      
+      const schedule = result.financing ? result.financing.schedule : [];
+      result.projection.years.forEach(entry => {
+        const row = rows[entry.year - 1];
+        const lastMonth = schedule[Math.min(entry.year * 12, schedule.length) - 1];
+        row.profit += entry.revenue * revenueMultiplier - entry.costs * costMultiplier;
+        row.interest += entry.interest;
+        row.principal += entry.principal;
+        row.debtService += entry.debtService;
+        row.closingBalance += lastMonth ? lastMonth.closingBalance : 0;
+      });
+    });
+    
+    rows.forEach(row => {
+      row.dscr = row.debtService > 0 ? row.profit / row.debtService : null;
+    });
+    
+    return rows;
+  }
+
+  // Calculate detailed revenue breakdown from the type's breakdown formulas
+  calculateRevenueBreakdown(projectType, data) {
+    const definition = (projectType.calculations && projectType.calculations.breakdown) || {};
+    const lines = this.calculateRevenueLines(projectType, data, 1);
+    const scope = this.buildFormulaScope(projectType, data, {
+      year: 1,
+      firstYearRevenue: this.calculateRevenue(projectType, data, 1).annual
+    });
+    lines.forEach(line => { scope[line.id] = line.annual; });
+
+    const evaluateTree = (node) => {
+      const result = {};
+      for (const [key, value] of Object.entries(node)) {
+        result[key] = value && typeof value === 'object'
+          ? evaluateTree(value)
+          : window.formulaEvaluator.evaluate(value, scope);
+      }
+      return result;
+    };
+
+    const breakdown = evaluateTree(definition);
+    // Under a cohort model the plan revenue lines come from the first year of the cohort series, under a rent roll or
+    // fleet model from their first year of rents, under a project's own event calendar from its events' ticket sales and sponsorship
+    const cohorts = this.calculateCohorts(projectType, scope, 12);
+    const fleet = this.calculateFleet(projectType, scope, 12);
+    const rentRoll = this.calculateRentRoll(projectType, scope, 12);
+    const calendar = this.getEventCalendar(projectType, data);
+    const unitEconomics = this.calculateUnitEconomics(projectType, scope);
+    if (cohorts) {
+      breakdown.lines = cohorts.plans.map((plan, i) => ({ id: plan.id, name: plan.name, annual: cohorts.months.reduce((sum, month) => sum + month.revenueByPlan[i], 0) }));
+    } else if (rentRoll) {
+      breakdown.lines = lines.map(line => (line.id === projectType.calculations.rentRoll.line ? Object.assign({}, line, { name: 'Rent Roll', annual: rentRoll.annualRent }) : line));
+    } else if (fleet) {
+      breakdown.lines = [{ id: 'fleetRentals', name: 'Vehicle Rentals', annual: fleet.months.reduce((sum, month) => sum + month.revenue, 0) }];
+    } else if (unitEconomics) {
+      breakdown.lines = [
+        { id: 'grossSales', name: 'Gross Sales', annual: unitEconomics.annual.grossSales },
+        { id: 'refunds', name: 'Refunds', annual: -unitEconomics.annual.refunds }
+      ];
+    } else if (calendar && calendar.custom) {
+      breakdown.lines = [
+        { id: 'eventTickets', name: 'Ticket Sales', annual: calendar.events.reduce((sum, event) => sum + event.ticketRevenue, 0) },
+        { id: 'eventSponsorship', name: 'Sponsorship', annual: calendar.events.reduce((sum, event) => sum + event.sponsorship, 0) }
+      ];
+    } else {
+      breakdown.lines = lines;
+    }
+
     return breakdown;
   }
 
@@ -537,8 +2660,13 @@ class PLCalculationEngine {
       groups: {}
     };
     
-    // Group operating costs
+    // Group operating costs; lines a fleet or unit economics model replaces give way to its own, and fields a formula
+    // cost line reads to that line
+    const scope = this.buildFormulaScope(projectType, data);
+    const replaced = this.getReplacedOperatingFields(projectType, scope);
+    const priced = this.getFormulaCostFields(projectType);
     for (const field of projectType.categories.operating) {
+      if (replaced.includes(field.id) || priced.has(field.id)) continue;
       const group = field.group || 'Other';
       if (!breakdown.groups[group]) {
         breakdown.groups[group] = 0;
@@ -553,6 +2681,15 @@ class PLCalculationEngine {
       breakdown.groups[group] += value;
     }
     
+    const unitEconomics = this.calculateUnitEconomics(projectType, scope);
+    const unitLines = unitEconomics ? this.getUnitEconomicsCostLines(unitEconomics) : [];
+    const formulaLines = this.calculateFormulaCostLines(projectType, data).filter(line => line.category === 'operating');
+    unitLines.concat(formulaLines).forEach(line => {
+      const group = line.group || 'Other';
+      breakdown.operating[line.id] = { name: line.name, value: line.annual, group };
+      breakdown.groups[group] = (breakdown.groups[group] || 0) + line.annual;
+    });
+    
     return breakdown;
   }
 
@@ -563,10 +2700,11 @@ class PLCalculationEngine {
       groups: {}
     };
     
-    // Group staffing by roles
+    // Group staffing by roles; fields a formula cost line reads are priced by that line
     const roles = new Map();
+    const priced = this.getFormulaCostFields(projectType);
     
-    for (const field of projectType.categories.staffing) {
+    for (const field of projectType.categories.staffing.filter(entry => !priced.has(entry.id))) {
       const baseName = field.id.replace(/Sal$/, '');
       const group = field.group || 'Staff';
       
@@ -585,6 +2723,10 @@ class PLCalculationEngine {
       }
     }
     
+    this.calculateFormulaCostLines(projectType, data).filter(line => line.category === 'staffing').forEach(line => {
+      roles.set(line.id, { count: 1, salary: line.annual, group: 'Staff', name: line.name });
+    });
+    
     // Calculate totals by group
     for (const [roleName, role] of roles) {
       const totalCost = role.count * role.salary;
@@ -615,71 +2757,211 @@ class PLCalculationEngine {
     return defaultValue;
   }
 
-  // Calculate combined P&L for multiple project types
-  calculateCombinedPL(projectTypeIds, adjustments = {}) {
-    const projects = [];
-    let totalRevenue = 0;
-    let totalCosts = 0;
-    let totalInvestment = 0;
-    
-    for (const typeId of projectTypeIds) {
-      const calculation = this.getCalculation(typeId);
-      if (calculation) {
-        // Apply adjustments if provided
-        const revAdjust = adjustments.revenue || 1;
-        const costAdjust = adjustments.costs || 1;
-        
-        const adjustedRevenue = calculation.revenue.annual * revAdjust;
-        const adjustedCosts = calculation.costs.annual * costAdjust;
-        
-        projects.push({
-          typeId,
-          typeName: calculation.typeName,
-          revenue: adjustedRevenue,
-          costs: adjustedCosts,
-          profit: adjustedRevenue - adjustedCosts,
-          investment: calculation.investment
-        });
-        
-        totalRevenue += adjustedRevenue;
-        totalCosts += adjustedCosts;
-        totalInvestment += calculation.investment;
-      }
+  // Helper method to read boolean (checkbox) values
+  getFlag(data, key, defaultValue = false) {
+    if (data && data.hasOwnProperty(key)) {
+      const value = data[key];
+      return value === true || value === 'true' || value === 1;
     }
-    
+    return defaultValue;
+  }
+
+  // Consolidated year-1 P&L for projects run together: shared-cost pools replace duplicated stand-alone cost lines
+  // and are allocated back by revenue, headcount or manual shares; cross-sell synergies add revenue to a target project.
+  // portfolio: { costPools: [{ name, annualCost, allocation, shares: { typeId: % }, replaces: [{ projectId, line }] }],
+  //              synergies: [{ name, sourceProjectId, sourceFieldId, conversionRate, annualValue, targetProjectId }] }
+  calculateCombinedPL(projectTypeIds, portfolio = {}) {
+    const projects = projectTypeIds
+      .map(typeId => this.getCalculation(typeId))
+      .filter(Boolean)
+      .map(calculation => {
+        const staffCount = Object.values(calculation.breakdown.staffing.roles).reduce((sum, role) => sum + role.count, 0);
+        return {
+          typeId: calculation.typeId,
+          typeName: calculation.typeName,
+          investment: calculation.investment,
+          headcount: staffCount,
+          standalone: {
+            revenue: calculation.revenue.annual,
+            costs: calculation.costs.annual,
+            profit: calculation.profit
+          },
+          replacedCosts: 0,
+          sharedCosts: 0,
+          synergyRevenue: 0
+        };
+      });
+    const byId = new Map(projects.map(project => [project.typeId, project]));
+
+    // Shared-cost pools: remove the stand-alone lines they replace, then allocate the pool
+    const pools = (portfolio.costPools || []).map(pool => {
+      const annualCost = parseFloat(pool.annualCost) || 0;
+      const replaced = (pool.replaces || []).filter(item => byId.has(item.projectId)).map(item => {
+        const line = this.getSharedCostLines(item.projectId).find(candidate => candidate.key === item.line);
+        const amount = line ? line.amount : 0;
+        byId.get(item.projectId).replacedCosts += amount;
+        return { projectId: item.projectId, line: item.line, name: line ? line.name : item.line, amount };
+      });
+
+      const weights = this.getPoolAllocationWeights(pool, projects);
+      const allocations = projects.map((project, index) => {
+        const amount = annualCost * weights[index];
+        project.sharedCosts += amount;
+        return { projectId: project.typeId, share: weights[index] * 100, amount };
+      });
+
+      const replacedTotal = replaced.reduce((sum, item) => sum + item.amount, 0);
+      return { name: pool.name, annualCost, allocation: pool.allocation, replaced, allocations, saving: replacedTotal - annualCost };
+    });
+
+    // Cross-sell synergies: a share of the source project's customers buying from the target project
+    const synergies = (portfolio.synergies || []).map(synergy => {
+      const source = this.projectTypes.get(synergy.sourceProjectId);
+      const target = byId.get(synergy.targetProjectId);
+      const customers = byId.has(synergy.sourceProjectId) ? this.getValue(source, synergy.sourceFieldId, 0) : 0;
+      const revenue = target ? customers * (parseFloat(synergy.conversionRate) || 0) / 100 * (parseFloat(synergy.annualValue) || 0) : 0;
+      if (target) target.synergyRevenue += revenue;
+      return { name: synergy.name, sourceProjectId: synergy.sourceProjectId, targetProjectId: synergy.targetProjectId, customers, revenue };
+    });
+
+    projects.forEach(project => {
+      const revenue = project.standalone.revenue + project.synergyRevenue;
+      const costs = project.standalone.costs - project.replacedCosts + project.sharedCosts;
+      project.combined = { revenue, costs, profit: revenue - costs };
+    });
+
+    const sum = (view, key) => projects.reduce((total, project) => total + project[view][key], 0);
+    const totalInvestment = projects.reduce((total, project) => total + project.investment, 0);
+    // Payback from the consolidated cumulative cash with staggered starts; the combined view carries each project's
+    // pool and synergy profit change through every month it trades
+    const resultsList = projects.map(project => this.getCalculation(project.typeId));
+    const totalsFor = (view) => {
+      const profit = sum(view, 'profit');
+      const adjustments = new Map(view === 'combined'
+        ? projects.map(project => [project.typeId, (project.combined.profit - project.standalone.profit) / 12])
+        : []);
+      const breakEvenMonth = this.getCombinedBreakEvenMonth(resultsList, adjustments);
+      return {
+        revenue: sum(view, 'revenue'),
+        costs: sum(view, 'costs'),
+        profit,
+        investment: totalInvestment,
+        roi: totalInvestment > 0 ? (profit / totalInvestment) * 100 : 0,
+        paybackYears: Math.ceil(breakEvenMonth / 12)
+      };
+    };
+
     return {
       projects,
+      pools,
+      synergies,
       totals: {
-        revenue: totalRevenue,
-        costs: totalCosts,
-        profit: totalRevenue - totalCosts,
-        investment: totalInvestment,
-        roi: totalInvestment > 0 ? ((totalRevenue - totalCosts) / totalInvestment) * 100 : 0,
-        paybackYears: totalRevenue - totalCosts > 0 ? Math.ceil(totalInvestment / (totalRevenue - totalCosts)) : Infinity
+        standalone: totalsFor('standalone'),
+        combined: totalsFor('combined'),
+        sharedCostSaving: pools.reduce((total, pool) => total + pool.saving, 0),
+        synergyRevenue: synergies.reduce((total, synergy) => total + synergy.revenue, 0)
       }
     };
   }
 
+  // Year-1 cost lines of a project that a shared-cost pool can replace: operating lines and staff roles
+  getSharedCostLines(typeId) {
+    const calculation = this.getCalculation(typeId);
+    if (!calculation) return [];
+
+    const operating = Object.entries(calculation.breakdown.costs.operating)
+      .map(([id, line]) => ({ key: `operating:${id}`, name: line.name, amount: line.value }));
+    const staffing = Object.entries(calculation.breakdown.staffing.roles)
+      .filter(([, role]) => role.totalCost > 0)
+      .map(([id, role]) => ({ key: `staffing:${id}`, name: role.name, amount: role.totalCost }));
+
+    return operating.concat(staffing);
+  }
+
+  // Share (0-1) of a shared-cost pool carried by each project
+  getPoolAllocationWeights(pool, projects) {
+    const driver = {
+      revenue: project => project.standalone.revenue,
+      headcount: project => project.headcount
+    }[pool.allocation];
+
+    if (pool.allocation === 'manual') {
+      const shares = projects.map(project => parseFloat((pool.shares || {})[project.typeId]) || 0);
+      const total = shares.reduce((sum, share) => sum + share, 0);
+      if (projects.length > 0 && Math.abs(total - 100) > 0.01) {
+        throw new Error(`Manual shares for ${pool.name || 'shared costs'} must add up to 100% (currently ${total}%)`);
+      }
+      return shares.map(share => share / 100);
+    }
+
+    if (!driver) {
+      throw new Error(`Unknown allocation method for ${pool.name || 'shared costs'}: ${pool.allocation}`);
+    }
+
+    const values = projects.map(project => Math.max(0, driver(project)));
+    const total = values.reduce((sum, value) => sum + value, 0);
+    // Split evenly when the driver is zero everywhere
+    return values.map(value => (total > 0 ? value / total : 1 / projects.length));
+  }
+
   // Generate monthly cash flow projections
   generateCashFlow(projectTypeIds, months = 12) {
-    const combined = this.calculateCombinedPL(projectTypeIds);
-    const monthlyRevenue = combined.totals.revenue / 12;
-    const monthlyCosts = combined.totals.costs / 12;
+    const results = projectTypeIds
+      .map(typeId => this.getCalculation(typeId))
+      .filter(result => result && result.timeSeries);
+    const totalMonths = Math.min(months, this.horizonYears * 12);
+    const offsets = this.getStartOffsets(results.map(result => result.typeId));
     
     const cashFlow = [];
     let openingBalance = 0;
     
-    for (let month = 1; month <= months; month++) {
-      const inflow = monthlyRevenue;
-      const outflow = monthlyCosts;
-      const netFlow = inflow - outflow;
+    for (let month = 1; month <= totalMonths; month++) {
+      let inflow = 0;
+      let outflow = 0;
+      let revenue = 0;
+      let costs = 0;
+      let investment = 0;
+      let workingCapital = 0;
+      let workingCapitalBalance = 0;
+      let financing = 0;
+      
+      results.forEach(result => {
+        // Staggered openings: a project's own month 1 falls in the month after its start offset
+        const offset = offsets.get(result.typeId);
+        const entry = result.timeSeries[month - 1 - offset];
+        
+        // Upfront investment is paid out, and any loan drawn, in the project's first month
+        if (month === offset + 1) {
+          investment += this.getUpfrontInvestment(result);
+          financing += result.financing ? result.financing.loanAmount : 0;
+        }
+        if (!entry) return;
+        
+        revenue += entry.revenue;
+        costs += entry.costs;
+        inflow += entry.revenue + entry.oneOffInflow + entry.vatCollected + Math.max(0, -entry.vatSettlement);
+        outflow += entry.costs + entry.oneOffOutflow + entry.vatPaid + Math.max(0, entry.vatSettlement) + entry.taxPaid;
+        workingCapital -= entry.workingCapitalChange;
+        workingCapitalBalance += entry.workingCapital;
+        financing -= entry.interest + entry.principal;
+        investment += entry.investment;
+      });
+      
+      outflow += investment;
+      const netFlow = inflow - outflow + workingCapital + financing;
       const closingBalance = openingBalance + netFlow;
       
       cashFlow.push({
         month,
         opening: openingBalance,
+        revenue,
+        costs,
+        investment,
         inflow,
         outflow,
+        workingCapital,
+        workingCapitalBalance,
+        financing,
         netFlow,
         closing: closingBalance
       });
@@ -690,82 +2972,39 @@ class PLCalculationEngine {
     return cashFlow;
   }
 
-  // New revenue calculation methods for added business types
-
-  // Subscription Service Revenue
-  calculateSubscriptionRevenue(config, data) {
-    const basicSubs = this.getValue(data, 'basicSubs', 0);
-    const basicPrice = this.getValue(data, 'basicPrice', 0);
-    const premiumSubs = this.getValue(data, 'premiumSubs', 0);
-    const premiumPrice = this.getValue(data, 'premiumPrice', 0);
-    const churnRate = this.getValue(data, 'churnRate', 0) / 100;
-    const growthRate = this.getValue(data, 'growthRate', 0) / 100;
-    
-    // Calculate with churn and growth effects
-    const effectiveBasicSubs = basicSubs * (1 - churnRate + growthRate);
-    const effectivePremiumSubs = premiumSubs * (1 - churnRate + growthRate);
-    
-    return (effectiveBasicSubs * basicPrice * 12) + (effectivePremiumSubs * premiumPrice * 12);
-  }
-
-  // Licensing & Royalties Revenue
-  calculateLicensingRevenue(config, data) {
-    const licensees = this.getValue(data, 'licensees', 0);
-    const royaltyRate = this.getValue(data, 'royaltyRate', 0) / 100;
-    const licenseeRevenue = this.getValue(data, 'licenseeRevenue', 0);
-    const upfrontFees = this.getValue(data, 'upfrontFees', 0);
-    
-    const royaltyRevenue = licensees * licenseeRevenue * royaltyRate;
-    const totalUpfrontFees = licensees * upfrontFees;
-    
-    return royaltyRevenue + totalUpfrontFees;
-  }
-
-  // Partnership Revenue
-  calculatePartnershipRevenue(config, data) {
-    const partners = this.getValue(data, 'partners', 0);
-    const avgPartnerRevenue = this.getValue(data, 'avgPartnerRevenue', 0);
-    const revenueShare = this.getValue(data, 'revenueShare', 0) / 100;
-    const partnerGrowth = this.getValue(data, 'partnerGrowth', 0) / 100;
-    
-    const effectivePartnerRevenue = avgPartnerRevenue * (1 + partnerGrowth);
-    return partners * effectivePartnerRevenue * revenueShare;
-  }
-
-  // Investment Returns Revenue
-  calculateInvestmentRevenue(config, data) {
-    const initialCapital = this.getValue(data, 'initialCapital', 0);
-    const expectedReturn = this.getValue(data, 'expectedReturn', 0) / 100;
-    const dividendYield = this.getValue(data, 'dividendYield', 0) / 100;
-    const capitalGains = this.getValue(data, 'capitalGains', 0) / 100;
+  // Funding requirement from the combined monthly cash flow: the lowest cumulative balance, the starting capital
+  // that covers it plus a safety buffer (%), and how many months a given amount of starting cash lasts
+  calculateFundingRequirement(projectTypeIds, options = {}) {
+    const cashFlow = this.generateCashFlow(projectTypeIds, this.horizonYears * 12);
+    const startingCash = Math.max(0, parseFloat(options.startingCash) || 0);
+    const safetyBuffer = Math.max(0, parseFloat(options.safetyBuffer) || 0);
+    const lowest = cashFlow.reduce((min, entry) => (entry.closing < min.closing ? entry : min), cashFlow[0] || { closing: 0, month: 0, workingCapitalBalance: 0 });
+    const peakFunding = Math.max(0, -lowest.closing);
+    const requiredCapital = peakFunding * (1 + safetyBuffer / 100);
+    const shortfall = cashFlow.find(entry => startingCash + entry.closing < 0);
     
-    const dividendIncome = initialCapital * dividendYield;
-    const capitalGainsIncome = initialCapital * capitalGains;
-    
-    return dividendIncome + capitalGainsIncome;
+    return {
+      minimumBalance: lowest.closing,
+      minimumMonth: lowest.month,
+      workingCapital: lowest.workingCapitalBalance,
+      peakFunding,
+      safetyBuffer,
+      requiredCapital,
+      startingCash,
+      fundingGap: Math.max(0, requiredCapital - startingCash),
+      runwayMonths: shortfall ? shortfall.month - 1 : null // null: the cash lasts the whole horizon
+    };
   }
 
-  // Operational Efficiency Revenue (Cost Savings)
-  calculateOperationalRevenue(config, data) {
-    const costSavings = this.getValue(data, 'costSavings', 0);
-    const efficiencyGain = this.getValue(data, 'efficiencyGain', 0) / 100;
-    const timeReduction = this.getValue(data, 'timeReduction', 0) / 100;
-    const qualityImprovement = this.getValue(data, 'qualityImprovement', 0) / 100;
+  // Sum `months` monthly amounts compounding at monthlyRate, starting at month offset `startMonth`
+  compoundMonthlySum(monthlyAmount, monthlyRate, startMonth, months) {
+    let total = 0;
     
-    // Calculate benefit as cost savings plus additional efficiency gains
-    const additionalBenefits = costSavings * (efficiencyGain + timeReduction + qualityImprovement) * 0.5;
-    return costSavings + additionalBenefits;
-  }
-
-  // Recurring Service Revenue
-  calculateRecurringRevenue(config, data) {
-    const contracts = this.getValue(data, 'contracts', 0);
-    const avgContractValue = this.getValue(data, 'avgContractValue', 0);
-    const renewalRate = this.getValue(data, 'renewalRate', 0) / 100;
-    const growthRate = this.getValue(data, 'growthRate', 0) / 100;
+    for (let month = startMonth; month < startMonth + months; month++) {
+      total += monthlyAmount * Math.pow(1 + monthlyRate, month);
+    }
     
-    const effectiveContracts = contracts * renewalRate * (1 + growthRate);
-    return effectiveContracts * avgContractValue * 12;
+    return total;
   }
 
   // Enable/disable debug mode
@@ -778,6 +3017,11 @@ class PLCalculationEngine {
 // Global calculation engine instance
 window.calculationEngine = new PLCalculationEngine();
 
+// Formula helper: compound(monthlyAmount, monthlyRate, startMonth, months)
+if (window.formulaEvaluator) {
+  window.formulaEvaluator.registerFunction('compound', (...args) => window.calculationEngine.compoundMonthlySum(...args));
+}
+
 // Enable debug mode in development
 if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
   window.calculationEngine.setDebugMode(true);
@@ -14,7 +14,34 @@ const PROJECT_TYPE_SCHEMA = {
     staffing: []          // Staffing cost categories
   },
   calculations: {
-    // Custom calculation overrides if needed
+    revenue: [],          // Revenue lines: { id, name, formula } - annual run rate for projection `year`
+    monthlyGrowthRate: '',// Optional formula: monthly compounding rate that shapes revenue within a year
+    rampFactor: '',       // Optional formula: share of run-rate revenue earned in `month` (1 = first month)
+    demand: null,         // Optional booking demand model: { enabled, capacity, unitName, daysPerWeek, weeksPerYear, spillover,
+                          //   tiers: [{ id, name, hours, rate, demand, utilization }] } (field ids, most expensive tier first)
+    cohorts: null,        // Optional subscription cohort model: { enabled, acquisitions, acquisitionGrowth, acquisitionCost, churn,
+                          //   earlyChurn, earlyChurnMonths, upgrade, downgrade,
+                          //   plans: [{ id, name, members, price, billing: weekly|monthly|annual, mix }] } (field ids, lowest tier first)
+    fleet: null,          // Optional fleet lifecycle model: { enabled, vehicles, price, dailyRate, peakRate, peakStart, peakMonths,
+                          //   utilization, startUtilization, rampMonths, ageDecline, maintenance, maintenanceGrowth, insurance,
+                          //   replacementAge, resaleFirstYear, resaleDecline } (field ids), investment (the fleet investment field),
+                          //   replaces (operating fields the per-vehicle costs supersede), unitName; acquisitions in data.fleetAcquisitions
+    rentRoll: null,       // Optional rent roll: { enabled, voidMonths, lettingFee, otherIncome } (field ids), line (the revenue line it
+                          //   replaces); units and leases in data.rentRoll [{ unit, tenant, monthlyRent, leaseStart, leaseEnd,
+                          //   escalation, tenantImprovements }]
+    exit: null,           // Optional sale at the horizon end: { enabled, method, capRate, appreciation, saleCosts, propertyValue } (field ids)
+    unitEconomics: null,  // Optional e-commerce unit economics: { enabled, orderValue, grossMargin, cogsMethod, cogsPerOrder, returnRate,
+                          //   restockRate, returnCost, paymentRate, paymentFixed, shipping, fulfilment,
+                          //   channels: [{ id, name, visits, conversion, spend }] } (field ids, monthly traffic and spend; spend
+                          //   null for unpaid channels), replaces (operating fields the per-order costs and channel spend supersede)
+    capex: null,          // Optional CapEx implementation model: { budget, contingency, implementation, rampUp, rampShape } (field ids);
+                          //   replaces rampFactor with the benefit curve. The other investment fields are the phases, drawn evenly over
+                          //   data[`${id}_startMonth`] / data[`${id}_phaseMonths`], with actual spend in data[`${id}_actualSpend`]
+    events: null,         // Optional per-event model: { count, capacity, price, occupancy, sponsorship, unitName } (field ids);
+                          //   a project's own event calendar (data.eventCalendar) replaces the identical events these describe
+    costs: [],            // Formula cost lines: { id, name, formula, category: 'operating'|'staffing', escalation } - annual cost for
+                          //   `year` with the revenue line ids in scope; fields a cost formula reads are priced by it rather than summed
+    breakdown: {}         // Nested formulas mirrored into results.breakdown.revenue
   }
 };
 
@@ -30,10 +57,17 @@ const CATEGORY_SCHEMA = {
   description: 'string',  // Tooltip or help text
   group: 'string',        // Optional grouping for UI organization
   unit: 'string',         // Display unit (€, %, hours, etc.)
+  options: [],            // Choices for 'select' fields: [{ value, label }]
+  depreciation: null,     // Investment fields: { usefulLife (years, 0 = not depreciated), residualValue (%), method }
+  escalation: null,       // Operating/staffing fields: index the cost grows with each year ('cpi', 'wages', 'energy', 'none')
+  variable: null,         // Operating fields: cost follows the seasonality profile (defaults to the 'Variable Costs' group)
+  perEvent: null,         // Operating/staffing cost fields of an event model: the amount is charged once per event
+  quantity: null,         // Investment fields: id of the number field the amount is multiplied by (a cost per unit)
   calculation: null       // Optional custom calculation function
 };
 
 // Business type categories with their characteristics
+// (seasonality: optional preset revenue profile, January to December, 100 = an average month)
 const BUSINESS_TYPE_CATEGORIES = {
   'booking': {
     id: 'booking',
@@ -43,7 +77,8 @@ const BUSINESS_TYPE_CATEGORIES = {
     icon: '',
     keyMetrics: ['Utilization Rate', 'Peak vs Off-Peak Revenue', 'Booking Capacity', 'Average Session Price'],
     revenueModel: 'time-based',
-    characteristics: ['time_slots', 'capacity_utilization', 'peak_pricing', 'scheduling']
+    characteristics: ['time_slots', 'capacity_utilization', 'peak_pricing', 'scheduling'],
+    seasonality: [80, 85, 100, 110, 115, 110, 90, 80, 110, 115, 100, 85]
   },
   'member': {
     id: 'member',
@@ -53,7 +88,8 @@ const BUSINESS_TYPE_CATEGORIES = {
     icon: '',
     keyMetrics: ['Member Count', 'Churn Rate', 'Average Revenue Per User', 'Member Lifetime Value'],
     revenueModel: 'subscription',
-    characteristics: ['recurring_revenue', 'member_tiers', 'retention', 'growth_rate']
+    characteristics: ['recurring_revenue', 'member_tiers', 'retention', 'growth_rate'],
+    seasonality: [130, 115, 110, 100, 95, 90, 80, 80, 105, 100, 95, 100]
   },
   'event': {
     id: 'event',
@@ -63,7 +99,8 @@ const BUSINESS_TYPE_CATEGORIES = {
     icon: '',
     keyMetrics: ['Ticket Sales', 'Attendance Rate', 'Event Capacity', 'Revenue per Attendee'],
     revenueModel: 'event-tickets',
-    characteristics: ['ticket_pricing', 'event_capacity', 'seasonal_events', 'speaker_costs']
+    characteristics: ['ticket_pricing', 'event_capacity', 'seasonal_events', 'speaker_costs'],
+    seasonality: [60, 100, 130, 120, 120, 90, 40, 30, 130, 140, 120, 60]
   },
   'product': {
     id: 'product',
@@ -73,7 +110,8 @@ const BUSINESS_TYPE_CATEGORIES = {
     icon: '',
     keyMetrics: ['Units Sold', 'Average Order Value', 'Inventory Turnover', 'Gross Margin'],
     revenueModel: 'product-sales',
-    characteristics: ['inventory_management', 'cost_of_goods', 'order_fulfillment', 'product_mix']
+    characteristics: ['inventory_management', 'cost_of_goods', 'order_fulfillment', 'product_mix'],
+    seasonality: [85, 80, 90, 90, 95, 95, 95, 95, 95, 105, 125, 155]
   },
   'service': {
     id: 'service',
@@ -83,7 +121,8 @@ const BUSINESS_TYPE_CATEGORIES = {
     icon: '',
     keyMetrics: ['Billable Hours', 'Hourly Rate', 'Client Retention', 'Project Profitability'],
     revenueModel: 'hourly-project',
-    characteristics: ['hourly_billing', 'project_based', 'consultant_utilization', 'client_relationships']
+    characteristics: ['hourly_billing', 'project_based', 'consultant_utilization', 'client_relationships'],
+    seasonality: [95, 100, 105, 105, 105, 100, 85, 75, 105, 110, 110, 105]
   },
   'education': {
     id: 'education',
@@ -93,7 +132,8 @@ const BUSINESS_TYPE_CATEGORIES = {
     icon: '',
     keyMetrics: ['Student Enrollment', 'Course Completion Rate', 'Revenue per Student', 'Teacher Utilization'],
     revenueModel: 'tuition-fees',
-    characteristics: ['course_curriculum', 'student_capacity', 'instructor_costs', 'certification']
+    characteristics: ['course_curriculum', 'student_capacity', 'instructor_costs', 'certification'],
+    seasonality: [110, 110, 110, 100, 100, 70, 40, 50, 130, 120, 110, 100]
   },
   'rental': {
     id: 'rental',
@@ -103,7 +143,8 @@ const BUSINESS_TYPE_CATEGORIES = {
     icon: '',
     keyMetrics: ['Rental Utilization', 'Average Rental Duration', 'Asset ROI', 'Maintenance Costs'],
     revenueModel: 'rental-income',
-    characteristics: ['asset_depreciation', 'maintenance_cycles', 'rental_duration', 'asset_utilization']
+    characteristics: ['asset_depreciation', 'maintenance_cycles', 'rental_duration', 'asset_utilization'],
+    seasonality: [60, 65, 80, 95, 110, 140, 165, 160, 120, 90, 65, 70]
   },
   'hybrid': {
     id: 'hybrid',
@@ -207,11 +248,11 @@ const DEFAULT_PROJECT_TYPES = {
     businessType: 'booking',
     categories: {
       investment: [
-        { id: 'ground', name: 'Ground Cost', type: 'currency', defaultValue: 50000, unit: '€', group: 'Infrastructure' },
-        { id: 'structure', name: 'Structure Cost', type: 'currency', defaultValue: 120000, unit: '€', group: 'Infrastructure' },
+        { id: 'ground', name: 'Ground Cost', type: 'currency', defaultValue: 50000, unit: '€', group: 'Infrastructure', depreciation: { usefulLife: 0 } },
+        { id: 'structure', name: 'Structure Cost', type: 'currency', defaultValue: 120000, unit: '€', group: 'Infrastructure', depreciation: { usefulLife: 25 } },
         { id: 'courts', name: 'Number of Courts', type: 'number', defaultValue: 3, unit: 'courts', group: 'Equipment' },
-        { id: 'courtCost', name: 'Per Court Cost', type: 'currency', defaultValue: 18000, unit: '€', group: 'Equipment' },
-        { id: 'amenities', name: 'Amenities', type: 'currency', defaultValue: 20000, unit: '€', group: 'Infrastructure' }
+        { id: 'courtCost', name: 'Per Court Cost', type: 'currency', defaultValue: 18000, unit: '€', group: 'Equipment', quantity: 'courts', depreciation: { usefulLife: 10 } },
+        { id: 'amenities', name: 'Amenities', type: 'currency', defaultValue: 20000, unit: '€', group: 'Infrastructure', depreciation: { usefulLife: 10 } }
       ],
       revenue: [
         { id: 'peakHours', name: 'Peak Hours/Day', type: 'number', defaultValue: 4, min: 0, max: 12, unit: 'hours', group: 'Peak Time' },
@@ -220,11 +261,19 @@ const DEFAULT_PROJECT_TYPES = {
         { id: 'offHours', name: 'Off Hours/Day', type: 'number', defaultValue: 2, min: 0, max: 12, unit: 'hours', group: 'Off-Peak Time' },
         { id: 'offRate', name: 'Off Rate', type: 'currency', defaultValue: 25, unit: '€/hour', group: 'Off-Peak Time' },
         { id: 'offUtil', name: 'Off Utilization', type: 'percentage', defaultValue: 35, unit: '%', group: 'Off-Peak Time' },
+        { id: 'primeHours', name: 'Prime Hours/Day', type: 'number', defaultValue: 0, min: 0, max: 12, unit: 'hours', group: 'Prime Time', description: 'Highest-demand evening slots sold at a premium rate' },
+        { id: 'primeRate', name: 'Prime Rate', type: 'currency', defaultValue: 50, unit: '€/hour', group: 'Prime Time' },
+        { id: 'primeUtil', name: 'Prime Utilization', type: 'percentage', defaultValue: 85, unit: '%', group: 'Prime Time' },
         { id: 'days', name: 'Days/Week', type: 'number', defaultValue: 7, min: 1, max: 7, unit: 'days', group: 'Schedule' },
-        { id: 'weeks', name: 'Weeks/Year', type: 'number', defaultValue: 52, min: 1, max: 53, unit: 'weeks', group: 'Schedule' }
+        { id: 'weeks', name: 'Weeks/Year', type: 'number', defaultValue: 52, min: 1, max: 53, unit: 'weeks', group: 'Schedule' },
+        { id: 'useDemandModel', name: 'Use Demand Model', type: 'boolean', defaultValue: false, group: 'Demand', description: 'Derive utilization from requested bookings and court capacity instead of the utilization inputs' },
+        { id: 'primeDemand', name: 'Prime Bookings Requested', type: 'number', defaultValue: 4, min: 0, unit: 'courts/hour', group: 'Demand' },
+        { id: 'peakDemand', name: 'Peak Bookings Requested', type: 'number', defaultValue: 2.5, min: 0, unit: 'courts/hour', group: 'Demand' },
+        { id: 'offDemand', name: 'Off-Peak Bookings Requested', type: 'number', defaultValue: 1, min: 0, unit: 'courts/hour', group: 'Demand' },
+        { id: 'demandSpillover', name: 'Spill-over to Cheaper Slots', type: 'percentage', defaultValue: 30, unit: '%', group: 'Demand', description: 'Share of turned-away bookings that take the next cheaper slot instead; the rest is lost' }
       ],
       operating: [
-        { id: 'utilities', name: 'Utilities/year', type: 'currency', defaultValue: 5000, unit: '€', group: 'Fixed Costs' },
+        { id: 'utilities', name: 'Utilities/year', type: 'currency', defaultValue: 5000, unit: '€', group: 'Fixed Costs', escalation: 'energy' },
         { id: 'insurance', name: 'Insurance/year', type: 'currency', defaultValue: 2500, unit: '€', group: 'Fixed Costs' },
         { id: 'maintenance', name: 'Maintenance/year', type: 'currency', defaultValue: 3000, unit: '€', group: 'Variable Costs' },
         { id: 'marketing', name: 'Marketing/year', type: 'currency', defaultValue: 4000, unit: '€', group: 'Variable Costs' },
@@ -244,6 +293,53 @@ const DEFAULT_PROJECT_TYPES = {
         { id: 'addStaff', name: 'Additional Staff', type: 'number', defaultValue: 0, unit: 'people', group: 'Other' },
         { id: 'addStaffSal', name: 'Add Staff Salary', type: 'currency', defaultValue: 0, unit: '€/year', group: 'Other' }
       ]
+    },
+    calculations: {
+      revenue: [
+        { id: 'primeRevenue', name: 'Prime Bookings', formula: 'primeHours * primeRate * primeUtil / 100 * days * weeks * courts' },
+        { id: 'peakRevenue', name: 'Peak Bookings', formula: 'peakHours * peakRate * peakUtil / 100 * days * weeks * courts' },
+        { id: 'offPeakRevenue', name: 'Off-Peak Bookings', formula: 'offHours * offRate * offUtil / 100 * days * weeks * courts' }
+      ],
+      // Booking demand: slot tiers from most to least expensive; when enabled, realized utilization replaces the inputs
+      demand: {
+        enabled: 'useDemandModel',
+        capacity: 'courts',
+        unitName: 'court',
+        daysPerWeek: 'days',
+        weeksPerYear: 'weeks',
+        spillover: 'demandSpillover',
+        tiers: [
+          { id: 'prime', name: 'Prime', hours: 'primeHours', rate: 'primeRate', demand: 'primeDemand', utilization: 'primeUtil' },
+          { id: 'peak', name: 'Peak', hours: 'peakHours', rate: 'peakRate', demand: 'peakDemand', utilization: 'peakUtil' },
+          { id: 'offPeak', name: 'Off-Peak', hours: 'offHours', rate: 'offRate', demand: 'offDemand', utilization: 'offUtil' }
+        ]
+      },
+      breakdown: {
+        prime: {
+          hours: 'primeHours',
+          rate: 'primeRate',
+          utilization: 'primeUtil',
+          totalHours: 'primeHours * days * weeks',
+          utilizedHours: 'primeHours * days * weeks * primeUtil / 100',
+          revenue: 'primeRevenue'
+        },
+        peak: {
+          hours: 'peakHours',
+          rate: 'peakRate',
+          utilization: 'peakUtil',
+          totalHours: 'peakHours * days * weeks',
+          utilizedHours: 'peakHours * days * weeks * peakUtil / 100',
+          revenue: 'peakRevenue'
+        },
+        offPeak: {
+          hours: 'offHours',
+          rate: 'offRate',
+          utilization: 'offUtil',
+          totalHours: 'offHours * days * weeks',
+          utilizedHours: 'offHours * days * weeks * offUtil / 100',
+          revenue: 'offPeakRevenue'
+        }
+      }
     }
   },
   
@@ -255,9 +351,9 @@ const DEFAULT_PROJECT_TYPES = {
     businessType: 'member',
     categories: {
       investment: [
-        { id: 'equipment', name: 'Equipment', type: 'currency', defaultValue: 35000, unit: '€', group: 'Equipment' },
-        { id: 'flooring', name: 'Flooring', type: 'currency', defaultValue: 8000, unit: '€', group: 'Infrastructure' },
-        { id: 'amenities', name: 'Amenities', type: 'currency', defaultValue: 6000, unit: '€', group: 'Infrastructure' }
+        { id: 'equipment', name: 'Equipment', type: 'currency', defaultValue: 35000, unit: '€', group: 'Equipment', depreciation: { usefulLife: 5 } },
+        { id: 'flooring', name: 'Flooring', type: 'currency', defaultValue: 8000, unit: '€', group: 'Infrastructure', depreciation: { usefulLife: 10 } },
+        { id: 'amenities', name: 'Amenities', type: 'currency', defaultValue: 6000, unit: '€', group: 'Infrastructure', depreciation: { usefulLife: 10 } }
       ],
       revenue: [
         { id: 'weekMembers', name: 'Weekly Members', type: 'number', defaultValue: 60, unit: 'members', group: 'Memberships' },
@@ -268,10 +364,22 @@ const DEFAULT_PROJECT_TYPES = {
         { id: 'annualFee', name: 'Annual Fee', type: 'currency', defaultValue: 450, unit: '€/year', group: 'Memberships' },
         { id: 'rampUp', name: 'Apply Ramp-Up', type: 'boolean', defaultValue: false, group: 'Growth' },
         { id: 'rampDuration', name: 'Ramp Duration', type: 'number', defaultValue: 3, min: 0, max: 12, unit: 'months', group: 'Growth' },
-        { id: 'rampEffect', name: 'Ramp Effect', type: 'percentage', defaultValue: 40, unit: '%', group: 'Growth' }
+        { id: 'rampEffect', name: 'Ramp Effect', type: 'percentage', defaultValue: 40, unit: '%', group: 'Growth' },
+        { id: 'useCohortModel', name: 'Use Cohort Model', type: 'boolean', defaultValue: false, group: 'Cohorts', description: 'Build revenue month by month from member cohorts (acquisition, churn, plan moves) instead of fixed counts' },
+        { id: 'newMembersPerMonth', name: 'New Members/Month', type: 'number', defaultValue: 15, min: 0, unit: 'members', group: 'Cohorts' },
+        { id: 'acquisitionGrowth', name: 'Acquisition Growth', type: 'percentage', defaultValue: 0, min: -20, max: 50, unit: '%/month', group: 'Cohorts' },
+        { id: 'acquisitionCost', name: 'Acquisition Cost (CAC)', type: 'currency', defaultValue: 60, unit: '€/member', group: 'Cohorts' },
+        { id: 'weekMix', name: 'Weekly Plan Share of New', type: 'percentage', defaultValue: 50, unit: '%', group: 'Plan Mix' },
+        { id: 'monthMix', name: 'Monthly Plan Share of New', type: 'percentage', defaultValue: 35, unit: '%', group: 'Plan Mix' },
+        { id: 'annualMix', name: 'Annual Plan Share of New', type: 'percentage', defaultValue: 15, unit: '%', group: 'Plan Mix' },
+        { id: 'churnRate', name: 'Monthly Churn Rate', type: 'percentage', defaultValue: 4, unit: '%', group: 'Retention' },
+        { id: 'earlyChurnRate', name: 'Early Churn Rate', type: 'percentage', defaultValue: 10, max: 50, unit: '%/month', group: 'Retention', description: 'Monthly churn during the first months after joining; the monthly churn rate applies afterwards' },
+        { id: 'earlyChurnMonths', name: 'Early Churn Period', type: 'number', defaultValue: 3, min: 0, max: 24, unit: 'months', group: 'Retention' },
+        { id: 'upgradeRate', name: 'Upgrade Rate', type: 'percentage', defaultValue: 2, max: 20, unit: '%/month', group: 'Plan Moves', description: 'Share of each plan moving to the next plan up every month' },
+        { id: 'downgradeRate', name: 'Downgrade Rate', type: 'percentage', defaultValue: 1, max: 20, unit: '%/month', group: 'Plan Moves', description: 'Share of each plan moving to the next plan down every month' }
       ],
       operating: [
-        { id: 'utilities', name: 'Utilities/year', type: 'currency', defaultValue: 2500, unit: '€', group: 'Fixed Costs' },
+        { id: 'utilities', name: 'Utilities/year', type: 'currency', defaultValue: 2500, unit: '€', group: 'Fixed Costs', escalation: 'energy' },
         { id: 'insurance', name: 'Insurance/year', type: 'currency', defaultValue: 1700, unit: '€', group: 'Fixed Costs' },
         { id: 'maintenance', name: 'Maintenance/year', type: 'currency', defaultValue: 2000, unit: '€', group: 'Variable Costs' },
         { id: 'marketing', name: 'Marketing/year', type: 'currency', defaultValue: 2500, unit: '€', group: 'Variable Costs' },
@@ -287,6 +395,38 @@ const DEFAULT_PROJECT_TYPES = {
         { id: 'addStaff', name: 'Additional Staff', type: 'number', defaultValue: 0, unit: 'people', group: 'Other' },
         { id: 'addStaffSal', name: 'Add Staff Salary', type: 'currency', defaultValue: 0, unit: '€/year', group: 'Other' }
       ]
+    },
+    calculations: {
+      // Cohort model: plans from lowest to highest tier; upgrades and downgrades move members between neighbours
+      cohorts: {
+        enabled: 'useCohortModel',
+        acquisitions: 'newMembersPerMonth',
+        acquisitionGrowth: 'acquisitionGrowth',
+        acquisitionCost: 'acquisitionCost',
+        churn: 'churnRate',
+        earlyChurn: 'earlyChurnRate',
+        earlyChurnMonths: 'earlyChurnMonths',
+        upgrade: 'upgradeRate',
+        downgrade: 'downgradeRate',
+        plans: [
+          { id: 'weekly', name: 'Weekly', members: 'weekMembers', price: 'weekFee', billing: 'weekly', mix: 'weekMix' },
+          { id: 'monthly', name: 'Monthly', members: 'monthMembers', price: 'monthFee', billing: 'monthly', mix: 'monthMix' },
+          { id: 'annual', name: 'Annual', members: 'annualMembers', price: 'annualFee', billing: 'annual', mix: 'annualMix' }
+        ]
+      },
+      revenue: [
+        { id: 'weeklyRevenue', name: 'Weekly Memberships', formula: 'weekMembers * weekFee * 52' },
+        { id: 'monthlyRevenue', name: 'Monthly Memberships', formula: 'monthMembers * monthFee * 12' },
+        { id: 'annualRevenue', name: 'Annual Memberships', formula: 'annualMembers * annualFee' }
+      ],
+      rampFactor: 'rampUp && month <= rampDuration ? rampEffect / 100 : 1',
+      breakdown: {
+        memberships: {
+          weekly: { members: 'weekMembers', fee: 'weekFee', revenue: 'weeklyRevenue' },
+          monthly: { members: 'monthMembers', fee: 'monthFee', revenue: 'monthlyRevenue' },
+          annual: { members: 'annualMembers', fee: 'annualFee', revenue: 'annualRevenue' }
+        }
+      }
     }
   },
 
@@ -312,18 +452,26 @@ const DEFAULT_PROJECT_TYPES = {
       ],
       operating: [
         { id: 'venueRental', name: 'Venue Rental/year', type: 'currency', defaultValue: 24000, unit: '€', group: 'Fixed Costs' },
-        { id: 'catering', name: 'Catering/event', type: 'currency', defaultValue: 2000, unit: '€', group: 'Variable Costs' },
+        { id: 'catering', name: 'Catering/event', type: 'currency', defaultValue: 2000, unit: '€', group: 'Variable Costs', perEvent: true },
         { id: 'marketing', name: 'Marketing/year', type: 'currency', defaultValue: 8000, unit: '€', group: 'Variable Costs' },
         { id: 'insurance', name: 'Insurance/year', type: 'currency', defaultValue: 2000, unit: '€', group: 'Fixed Costs' },
-        { id: 'materials', name: 'Materials/event', type: 'currency', defaultValue: 500, unit: '€', group: 'Variable Costs' }
+        { id: 'materials', name: 'Materials/event', type: 'currency', defaultValue: 500, unit: '€', group: 'Variable Costs', perEvent: true }
       ],
       staffing: [
         { id: 'eventManager', name: 'Event Manager', type: 'number', defaultValue: 1, unit: 'people', group: 'Management' },
         { id: 'eventManagerSal', name: 'Event Manager Salary', type: 'currency', defaultValue: 40000, unit: '€/year', group: 'Management' },
-        { id: 'speakers', name: 'Speaker Fees/event', type: 'currency', defaultValue: 3000, unit: '€', group: 'Speakers' },
+        { id: 'speakers', name: 'Speaker Fees/event', type: 'currency', defaultValue: 3000, unit: '€', group: 'Speakers', perEvent: true },
         { id: 'support', name: 'Support Staff/event', type: 'number', defaultValue: 3, unit: 'people', group: 'Operations' },
-        { id: 'supportSal', name: 'Support Staff Cost/event', type: 'currency', defaultValue: 800, unit: '€', group: 'Operations' }
+        { id: 'supportSal', name: 'Support Staff Cost/event', type: 'currency', defaultValue: 800, unit: '€', group: 'Operations', perEvent: true }
       ]
+    },
+    calculations: {
+      revenue: [
+        { id: 'ticketRevenue', name: 'Ticket Sales', formula: 'capacity * ticketPrice * occupancyRate / 100 * eventsPerYear' },
+        { id: 'sponsorshipRevenue', name: 'Sponsorship', formula: 'sponsorship' }
+      ],
+      // Per-event P&L: the fields below describe identical events until the project has its own event calendar
+      events: { count: 'eventsPerYear', capacity: 'capacity', price: 'ticketPrice', occupancy: 'occupancyRate', sponsorship: 'sponsorship', unitName: 'event' }
     }
   },
 
@@ -335,7 +483,7 @@ const DEFAULT_PROJECT_TYPES = {
     businessType: 'member',
     categories: {
       investment: [
-        { id: 'development', name: 'Initial Development', type: 'currency', defaultValue: 50000, unit: '€', group: 'Technology' },
+        { id: 'development', name: 'Initial Development', type: 'currency', defaultValue: 50000, unit: '€', group: 'Technology', depreciation: { usefulLife: 3 } },
         { id: 'infrastructure', name: 'Cloud Infrastructure', type: 'currency', defaultValue: 10000, unit: '€', group: 'Technology' },
         { id: 'licenses', name: 'Software Licenses', type: 'currency', defaultValue: 5000, unit: '€', group: 'Technology' }
       ],
@@ -345,7 +493,17 @@ const DEFAULT_PROJECT_TYPES = {
         { id: 'proUsers', name: 'Pro Plan Users', type: 'number', defaultValue: 50, unit: 'users', group: 'Subscriptions' },
         { id: 'proPrice', name: 'Pro Plan Price', type: 'currency', defaultValue: 79, unit: '€/month', group: 'Subscriptions' },
         { id: 'churnRate', name: 'Monthly Churn Rate', type: 'percentage', defaultValue: 5, unit: '%', group: 'Retention' },
-        { id: 'growthRate', name: 'Monthly Growth Rate', type: 'percentage', defaultValue: 10, unit: '%', group: 'Growth' }
+        { id: 'growthRate', name: 'Monthly Growth Rate', type: 'percentage', defaultValue: 10, unit: '%', group: 'Growth' },
+        { id: 'useCohortModel', name: 'Use Cohort Model', type: 'boolean', defaultValue: false, group: 'Cohorts', description: 'Build revenue month by month from user cohorts (acquisition, churn, plan moves) instead of fixed counts' },
+        { id: 'newMembersPerMonth', name: 'New Users/Month', type: 'number', defaultValue: 20, min: 0, unit: 'users', group: 'Cohorts' },
+        { id: 'acquisitionGrowth', name: 'Acquisition Growth', type: 'percentage', defaultValue: 0, min: -20, max: 50, unit: '%/month', group: 'Cohorts' },
+        { id: 'acquisitionCost', name: 'Acquisition Cost (CAC)', type: 'currency', defaultValue: 150, unit: '€/user', group: 'Cohorts' },
+        { id: 'basicMix', name: 'Basic Plan Share of New', type: 'percentage', defaultValue: 70, unit: '%', group: 'Plan Mix' },
+        { id: 'proMix', name: 'Pro Plan Share of New', type: 'percentage', defaultValue: 30, unit: '%', group: 'Plan Mix' },
+        { id: 'earlyChurnRate', name: 'Early Churn Rate', type: 'percentage', defaultValue: 10, max: 50, unit: '%/month', group: 'Retention', description: 'Monthly churn during the first months after joining; the monthly churn rate applies afterwards' },
+        { id: 'earlyChurnMonths', name: 'Early Churn Period', type: 'number', defaultValue: 3, min: 0, max: 24, unit: 'months', group: 'Retention' },
+        { id: 'upgradeRate', name: 'Upgrade Rate', type: 'percentage', defaultValue: 2, max: 20, unit: '%/month', group: 'Plan Moves', description: 'Share of each plan moving to the next plan up every month' },
+        { id: 'downgradeRate', name: 'Downgrade Rate', type: 'percentage', defaultValue: 1, max: 20, unit: '%/month', group: 'Plan Moves', description: 'Share of each plan moving to the next plan down every month' }
       ],
       operating: [
         { id: 'hosting', name: 'Hosting/month', type: 'currency', defaultValue: 2000, unit: '€', group: 'Technology' },
@@ -359,6 +517,29 @@ const DEFAULT_PROJECT_TYPES = {
         { id: 'customer', name: 'Customer Success', type: 'number', defaultValue: 1, unit: 'people', group: 'Operations' },
         { id: 'customerSal', name: 'Customer Success Salary', type: 'currency', defaultValue: 45000, unit: '€/year', group: 'Operations' }
       ]
+    },
+    calculations: {
+      // Cohort model: plans from lowest to highest tier; upgrades and downgrades move members between neighbours
+      cohorts: {
+        enabled: 'useCohortModel',
+        acquisitions: 'newMembersPerMonth',
+        acquisitionGrowth: 'acquisitionGrowth',
+        acquisitionCost: 'acquisitionCost',
+        churn: 'churnRate',
+        earlyChurn: 'earlyChurnRate',
+        earlyChurnMonths: 'earlyChurnMonths',
+        upgrade: 'upgradeRate',
+        downgrade: 'downgradeRate',
+        plans: [
+          { id: 'basic', name: 'Basic', members: 'basicUsers', price: 'basicPrice', billing: 'monthly', mix: 'basicMix' },
+          { id: 'pro', name: 'Pro', members: 'proUsers', price: 'proPrice', billing: 'monthly', mix: 'proMix' }
+        ]
+      },
+      revenue: [
+        { id: 'basicRevenue', name: 'Basic Plan', formula: 'compound(basicUsers * basicPrice, (growthRate - churnRate) / 100, (year - 1) * 12, 12)' },
+        { id: 'proRevenue', name: 'Pro Plan', formula: 'compound(proUsers * proPrice, (growthRate - churnRate) / 100, (year - 1) * 12, 12)' }
+      ],
+      monthlyGrowthRate: '(growthRate - churnRate) / 100'
     }
   },
 
@@ -370,15 +551,35 @@ const DEFAULT_PROJECT_TYPES = {
     businessType: 'product',
     categories: {
       investment: [
-        { id: 'website', name: 'Website Development', type: 'currency', defaultValue: 15000, unit: '€', group: 'Technology' },
-        { id: 'inventory', name: 'Initial Inventory', type: 'currency', defaultValue: 30000, unit: '€', group: 'Inventory' },
-        { id: 'warehouse', name: 'Warehouse Setup', type: 'currency', defaultValue: 10000, unit: '€', group: 'Infrastructure' }
+        { id: 'website', name: 'Website Development', type: 'currency', defaultValue: 15000, unit: '€', group: 'Technology', depreciation: { usefulLife: 3 } },
+        { id: 'inventory', name: 'Initial Inventory', type: 'currency', defaultValue: 30000, unit: '€', group: 'Inventory', depreciation: { usefulLife: 0 } },
+        { id: 'warehouse', name: 'Warehouse Setup', type: 'currency', defaultValue: 10000, unit: '€', group: 'Infrastructure', depreciation: { usefulLife: 10 } }
       ],
       revenue: [
         { id: 'avgOrderValue', name: 'Average Order Value', type: 'currency', defaultValue: 75, unit: '€', group: 'Sales' },
         { id: 'ordersPerMonth', name: 'Orders per Month', type: 'number', defaultValue: 500, unit: 'orders', group: 'Sales' },
         { id: 'grossMargin', name: 'Gross Margin', type: 'percentage', defaultValue: 40, unit: '%', group: 'Profitability' },
-        { id: 'returnRate', name: 'Return Rate', type: 'percentage', defaultValue: 8, unit: '%', group: 'Operations' }
+        { id: 'returnRate', name: 'Return Rate', type: 'percentage', defaultValue: 8, unit: '%', group: 'Operations' },
+        { id: 'useUnitEconomics', name: 'Use Unit Economics Model', type: 'boolean', defaultValue: false, group: 'Unit Economics' },
+        { id: 'cogsMethod', name: 'Cost of Goods', type: 'select', defaultValue: 'margin', group: 'Unit Economics', options: [
+          { value: 'margin', label: 'From gross margin' },
+          { value: 'perOrder', label: 'Cost per order' }
+        ] },
+        { id: 'cogsPerOrder', name: 'COGS per Order', type: 'currency', defaultValue: 45, unit: '€/order', group: 'Unit Economics' },
+        { id: 'restockRate', name: 'Returns Resold', type: 'percentage', defaultValue: 60, unit: '% of returns', group: 'Unit Economics' },
+        { id: 'returnCostPerOrder', name: 'Return Handling Cost', type: 'currency', defaultValue: 7, unit: '€/return', group: 'Unit Economics' },
+        { id: 'paymentFeeRate', name: 'Payment Fee', type: 'percentage', defaultValue: 2.9, unit: '% of order', group: 'Unit Economics' },
+        { id: 'paymentFeeFixed', name: 'Payment Fee per Order', type: 'currency', defaultValue: 0.25, unit: '€/order', group: 'Unit Economics' },
+        { id: 'shippingPerOrder', name: 'Shipping per Order', type: 'currency', defaultValue: 3, unit: '€/order', group: 'Unit Economics' },
+        { id: 'fulfilmentPerOrder', name: 'Packaging & Fulfilment per Order', type: 'currency', defaultValue: 1.5, unit: '€/order', group: 'Unit Economics' },
+        { id: 'organicVisits', name: 'Organic & Direct Visits', type: 'number', defaultValue: 12000, unit: 'visits/month', group: 'Marketing Funnel' },
+        { id: 'organicConversion', name: 'Organic & Direct Conversion', type: 'percentage', defaultValue: 1.5, unit: '%', group: 'Marketing Funnel' },
+        { id: 'searchVisits', name: 'Paid Search Visits', type: 'number', defaultValue: 8000, unit: 'visits/month', group: 'Marketing Funnel' },
+        { id: 'searchConversion', name: 'Paid Search Conversion', type: 'percentage', defaultValue: 2.5, unit: '%', group: 'Marketing Funnel' },
+        { id: 'searchSpend', name: 'Paid Search Spend', type: 'currency', defaultValue: 1200, unit: '€/month', group: 'Marketing Funnel' },
+        { id: 'socialVisits', name: 'Paid Social Visits', type: 'number', defaultValue: 10000, unit: 'visits/month', group: 'Marketing Funnel' },
+        { id: 'socialConversion', name: 'Paid Social Conversion', type: 'percentage', defaultValue: 1.2, unit: '%', group: 'Marketing Funnel' },
+        { id: 'socialSpend', name: 'Paid Social Spend', type: 'currency', defaultValue: 900, unit: '€/month', group: 'Marketing Funnel' }
       ],
       operating: [
         { id: 'hosting', name: 'Website Hosting/year', type: 'currency', defaultValue: 2000, unit: '€', group: 'Technology' },
@@ -393,6 +594,22 @@ const DEFAULT_PROJECT_TYPES = {
         { id: 'fulfillment', name: 'Fulfillment Staff', type: 'number', defaultValue: 2, unit: 'people', group: 'Operations' },
         { id: 'fulfillmentSal', name: 'Fulfillment Salary', type: 'currency', defaultValue: 25000, unit: '€/year', group: 'Operations' }
       ]
+    },
+    calculations: {
+      revenue: [
+        { id: 'salesMargin', name: 'Net Sales Margin', formula: 'avgOrderValue * ordersPerMonth * 12 * (1 - returnRate / 100) * grossMargin / 100' }
+      ],
+      unitEconomics: {
+        enabled: 'useUnitEconomics', orderValue: 'avgOrderValue', grossMargin: 'grossMargin', cogsMethod: 'cogsMethod', cogsPerOrder: 'cogsPerOrder',
+        returnRate: 'returnRate', restockRate: 'restockRate', returnCost: 'returnCostPerOrder', paymentRate: 'paymentFeeRate',
+        paymentFixed: 'paymentFeeFixed', shipping: 'shippingPerOrder', fulfilment: 'fulfilmentPerOrder',
+        channels: [
+          { id: 'organic', name: 'Organic & Direct', visits: 'organicVisits', conversion: 'organicConversion', spend: null },
+          { id: 'search', name: 'Paid Search', visits: 'searchVisits', conversion: 'searchConversion', spend: 'searchSpend' },
+          { id: 'social', name: 'Paid Social', visits: 'socialVisits', conversion: 'socialConversion', spend: 'socialSpend' }
+        ],
+        replaces: ['shipping', 'payment', 'marketing']
+      }
     }
   },
 
@@ -427,6 +644,11 @@ const DEFAULT_PROJECT_TYPES = {
         { id: 'junior', name: 'Junior Consultants', type: 'number', defaultValue: 1, unit: 'people', group: 'Consultants' },
         { id: 'juniorSal', name: 'Junior Salary', type: 'currency', defaultValue: 40000, unit: '€/year', group: 'Consultants' }
       ]
+    },
+    calculations: {
+      revenue: [
+        { id: 'feeRevenue', name: 'Billable Fees', formula: 'hourlyRate * billableHours * weeksPerYear * utilizationRate / 100' }
+      ]
     }
   },
 
@@ -457,10 +679,16 @@ const DEFAULT_PROJECT_TYPES = {
       ],
       staffing: [
         { id: 'instructors', name: 'Lead Instructors', type: 'number', defaultValue: 2, unit: 'people', group: 'Teaching' },
-        { id: 'instructorSal', name: 'Instructor Fee per Session', type: 'currency', defaultValue: 800, unit: '€', group: 'Teaching' },
+        { id: 'instructorSal', name: 'Instructor Fee per Session', type: 'currency', defaultValue: 800, unit: '€', group: 'Teaching', perEvent: true },
         { id: 'admin', name: 'Admin Staff', type: 'number', defaultValue: 1, unit: 'people', group: 'Administration' },
         { id: 'adminSal', name: 'Admin Salary', type: 'currency', defaultValue: 25000, unit: '€/year', group: 'Administration' }
       ]
+    },
+    calculations: {
+      revenue: [
+        { id: 'tuitionRevenue', name: 'Tuition', formula: 'studentCapacity * tuitionFee * sessionsPerYear * occupancyRate / 100' }
+      ],
+      events: { count: 'sessionsPerYear', capacity: 'studentCapacity', price: 'tuitionFee', occupancy: 'occupancyRate', unitName: 'session' }
     }
   },
 
@@ -472,7 +700,7 @@ const DEFAULT_PROJECT_TYPES = {
     businessType: 'rental',
     categories: {
       investment: [
-        { id: 'fleet', name: 'Vehicle Fleet', type: 'currency', defaultValue: 200000, unit: '€', group: 'Assets' },
+        { id: 'fleet', name: 'Vehicle Fleet', type: 'currency', defaultValue: 200000, unit: '€', group: 'Assets', depreciation: { usefulLife: 5, residualValue: 40, method: 'decliningBalance' } },
         { id: 'facility', name: 'Facility Setup', type: 'currency', defaultValue: 15000, unit: '€', group: 'Infrastructure' },
         { id: 'equipment', name: 'Office Equipment', type: 'currency', defaultValue: 5000, unit: '€', group: 'Infrastructure' }
       ],
@@ -480,12 +708,27 @@ const DEFAULT_PROJECT_TYPES = {
         { id: 'vehicles', name: 'Number of Vehicles', type: 'number', defaultValue: 20, unit: 'vehicles', group: 'Fleet' },
         { id: 'dailyRate', name: 'Average Daily Rate', type: 'currency', defaultValue: 45, unit: '€/day', group: 'Pricing' },
         { id: 'utilizationRate', name: 'Fleet Utilization', type: 'percentage', defaultValue: 70, unit: '%', group: 'Utilization' },
-        { id: 'averageRental', name: 'Average Rental Duration', type: 'number', defaultValue: 3, unit: 'days', group: 'Usage' }
+        { id: 'averageRental', name: 'Average Rental Duration', type: 'number', defaultValue: 3, unit: 'days', group: 'Usage' },
+        { id: 'useFleetModel', name: 'Use Fleet Lifecycle Model', type: 'boolean', defaultValue: false, group: 'Fleet Lifecycle', description: 'Model each vehicle from purchase to resale: acquisitions by month, utilization curve, seasonal rates, per-vehicle costs and replacement' },
+        { id: 'vehiclePrice', name: 'Purchase Price per Vehicle', type: 'currency', defaultValue: 10000, unit: '€', group: 'Fleet Lifecycle', description: 'Replaces the Vehicle Fleet investment (opening vehicles × price) when the fleet model is on' },
+        { id: 'replacementAge', name: 'Replacement Age', type: 'number', defaultValue: 4, min: 0, max: 15, unit: 'years', group: 'Fleet Lifecycle', description: 'Vehicles are sold and replaced at this age (0 = never replaced)' },
+        { id: 'resaleFirstYear', name: 'Resale Value after Year 1', type: 'percentage', defaultValue: 80, unit: '% of price', group: 'Fleet Lifecycle' },
+        { id: 'resaleDecline', name: 'Resale Value Decline', type: 'percentage', defaultValue: 15, unit: '%/year', group: 'Fleet Lifecycle' },
+        { id: 'peakDailyRate', name: 'Peak Season Daily Rate', type: 'currency', defaultValue: 60, unit: '€/day', group: 'Seasonal Rates', description: 'The average daily rate applies outside the peak season' },
+        { id: 'peakSeasonStart', name: 'Peak Season Starts', type: 'select', defaultValue: 6, group: 'Seasonal Rates',
+          options: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'].map((label, i) => ({ value: i + 1, label })) },
+        { id: 'peakSeasonMonths', name: 'Peak Season Length', type: 'number', defaultValue: 3, min: 0, max: 12, unit: 'months', group: 'Seasonal Rates' },
+        { id: 'startUtilization', name: 'Opening Utilization', type: 'percentage', defaultValue: 40, unit: '%', group: 'Utilization Curve', description: 'Utilization in the first month, ramping up to the fleet utilization' },
+        { id: 'utilizationRampMonths', name: 'Utilization Ramp-up', type: 'number', defaultValue: 6, min: 0, unit: 'months', group: 'Utilization Curve' },
+        { id: 'utilizationAgeDecline', name: 'Utilization Loss per Year of Age', type: 'percentage', defaultValue: 3, unit: 'points/year', group: 'Utilization Curve', description: 'Older vehicles rent less often' },
+        { id: 'maintenancePerVehicle', name: 'Maintenance per Vehicle', type: 'currency', defaultValue: 1250, unit: '€/year', group: 'Per-vehicle Costs' },
+        { id: 'maintenanceGrowth', name: 'Maintenance Growth with Age', type: 'percentage', defaultValue: 20, unit: '%/year', group: 'Per-vehicle Costs' },
+        { id: 'insurancePerVehicle', name: 'Insurance per Vehicle', type: 'currency', defaultValue: 900, unit: '€/year', group: 'Per-vehicle Costs' }
       ],
       operating: [
         { id: 'maintenance', name: 'Vehicle Maintenance/year', type: 'currency', defaultValue: 25000, unit: '€', group: 'Vehicle Costs' },
         { id: 'insurance', name: 'Fleet Insurance/year', type: 'currency', defaultValue: 18000, unit: '€', group: 'Vehicle Costs' },
-        { id: 'fuel', name: 'Fuel Costs/year', type: 'currency', defaultValue: 15000, unit: '€', group: 'Variable Costs' },
+        { id: 'fuel', name: 'Fuel Costs/year', type: 'currency', defaultValue: 15000, unit: '€', group: 'Variable Costs', escalation: 'energy' },
         { id: 'facility', name: 'Facility Costs/year', type: 'currency', defaultValue: 8000, unit: '€', group: 'Fixed Costs' },
         { id: 'marketing', name: 'Marketing/year', type: 'currency', defaultValue: 5000, unit: '€', group: 'Variable Costs' }
       ],
@@ -495,6 +738,34 @@ const DEFAULT_PROJECT_TYPES = {
         { id: 'staff', name: 'Customer Service Staff', type: 'number', defaultValue: 2, unit: 'people', group: 'Operations' },
         { id: 'staffSal', name: 'Staff Salary', type: 'currency', defaultValue: 28000, unit: '€/year', group: 'Operations' }
       ]
+    },
+    calculations: {
+      revenue: [
+        { id: 'rentalRevenue', name: 'Vehicle Rentals', formula: 'vehicles * 365 * utilizationRate / 100 * dailyRate' }
+      ],
+      // Fleet lifecycle: when enabled, vehicle cohorts replace the rental formula, the fleet investment and the fleet cost lines
+      fleet: {
+        enabled: 'useFleetModel',
+        vehicles: 'vehicles',
+        price: 'vehiclePrice',
+        dailyRate: 'dailyRate',
+        peakRate: 'peakDailyRate',
+        peakStart: 'peakSeasonStart',
+        peakMonths: 'peakSeasonMonths',
+        utilization: 'utilizationRate',
+        startUtilization: 'startUtilization',
+        rampMonths: 'utilizationRampMonths',
+        ageDecline: 'utilizationAgeDecline',
+        maintenance: 'maintenancePerVehicle',
+        maintenanceGrowth: 'maintenanceGrowth',
+        insurance: 'insurancePerVehicle',
+        replacementAge: 'replacementAge',
+        resaleFirstYear: 'resaleFirstYear',
+        resaleDecline: 'resaleDecline',
+        investment: 'fleet',
+        replaces: ['maintenance', 'insurance'],
+        unitName: 'vehicle'
+      }
     }
   },
 
@@ -507,23 +778,32 @@ const DEFAULT_PROJECT_TYPES = {
     businessType: 'real_estate',
     categories: {
       investment: [
-        { id: 'propertyPrice', name: 'Property Purchase Price', type: 'currency', defaultValue: 250000, unit: '€', group: 'Property Acquisition' },
-        { id: 'closingCosts', name: 'Closing Costs', type: 'currency', defaultValue: 7500, unit: '€', group: 'Property Acquisition' },
-        { id: 'renovationCosts', name: 'Initial Renovation', type: 'currency', defaultValue: 15000, unit: '€', group: 'Property Improvement' },
-        { id: 'furnishingCosts', name: 'Furnishing & Equipment', type: 'currency', defaultValue: 8000, unit: '€', group: 'Property Improvement' }
+        { id: 'propertyPrice', name: 'Property Purchase Price', type: 'currency', defaultValue: 250000, unit: '€', group: 'Property Acquisition', depreciation: { usefulLife: 40, residualValue: 20 } },
+        { id: 'closingCosts', name: 'Closing Costs', type: 'currency', defaultValue: 7500, unit: '€', group: 'Property Acquisition', depreciation: { usefulLife: 40 } },
+        { id: 'renovationCosts', name: 'Initial Renovation', type: 'currency', defaultValue: 15000, unit: '€', group: 'Property Improvement', depreciation: { usefulLife: 15 } },
+        { id: 'furnishingCosts', name: 'Furnishing & Equipment', type: 'currency', defaultValue: 8000, unit: '€', group: 'Property Improvement', depreciation: { usefulLife: 7 } }
       ],
       revenue: [
         { id: 'monthlyRent', name: 'Monthly Rent', type: 'currency', defaultValue: 1200, unit: '€/month', group: 'Rental Income' },
         { id: 'occupancyRate', name: 'Occupancy Rate', type: 'percentage', defaultValue: 90, unit: '%', group: 'Rental Income', description: 'Average percentage of time property is occupied' },
         { id: 'rentIncrease', name: 'Annual Rent Increase', type: 'percentage', defaultValue: 2, unit: '%', group: 'Rental Income', description: 'Expected yearly rent increase' },
-        { id: 'securityDeposit', name: 'Security Deposit', type: 'currency', defaultValue: 2400, unit: '€', group: 'Additional Income', description: 'One-time security deposit (non-revenue but cash flow)' },
-        { id: 'otherIncome', name: 'Other Income', type: 'currency', defaultValue: 0, unit: '€/year', group: 'Additional Income', description: 'Parking, laundry, pet fees, etc.' }
+        { id: 'securityDeposit', name: 'Security Deposit', type: 'currency', defaultValue: 2400, unit: '€', group: 'Additional Income', description: 'One-time security deposit (non-revenue but cash flow)', cashEvent: { month: 1, refundAtEnd: true } },
+        { id: 'otherIncome', name: 'Other Income', type: 'currency', defaultValue: 0, unit: '€/year', group: 'Additional Income', description: 'Parking, laundry, pet fees, etc.' },
+        { id: 'useRentRoll', name: 'Use Rent Roll', type: 'boolean', defaultValue: false, group: 'Rent Roll', description: 'Build rental income from individual units and leases instead of one rent and occupancy rate' },
+        { id: 'reletVoidMonths', name: 'Vacancy between Leases', type: 'number', defaultValue: 3, min: 0, max: 24, unit: 'months', group: 'Rent Roll' },
+        { id: 'lettingFeeRate', name: 'Letting Fee', type: 'percentage', defaultValue: 10, unit: '% of first-year rent', group: 'Rent Roll', description: 'Agent fee charged for each new letting' },
+        { id: 'sellAtHorizonEnd', name: 'Sell at Horizon End', type: 'boolean', defaultValue: false, group: 'Exit', description: 'Sell the property in the last month of the projection' },
+        { id: 'exitMethod', name: 'Exit Valuation', type: 'select', defaultValue: 'capRate', group: 'Exit',
+          options: [{ value: 'capRate', label: 'NOI at exit cap rate' }, { value: 'appreciation', label: 'Purchase price with appreciation' }] },
+        { id: 'exitCapRate', name: 'Exit Cap Rate', type: 'percentage', defaultValue: 5.5, min: 0.1, unit: '%', group: 'Exit' },
+        { id: 'propertyAppreciation', name: 'Property Appreciation', type: 'percentage', defaultValue: 2, min: -20, unit: '%/year', group: 'Exit' },
+        { id: 'saleCostRate', name: 'Sale Costs', type: 'percentage', defaultValue: 2, unit: '% of price', group: 'Exit' }
       ],
       operating: [
         { id: 'propertyTax', name: 'Property Tax', type: 'currency', defaultValue: 2500, unit: '€/year', group: 'Taxes & Insurance' },
         { id: 'insurance', name: 'Property Insurance', type: 'currency', defaultValue: 800, unit: '€/year', group: 'Taxes & Insurance' },
         { id: 'maintenance', name: 'Maintenance & Repairs', type: 'currency', defaultValue: 3000, unit: '€/year', group: 'Property Costs' },
-        { id: 'utilities', name: 'Utilities (if owner pays)', type: 'currency', defaultValue: 0, unit: '€/year', group: 'Property Costs' },
+        { id: 'utilities', name: 'Utilities (if owner pays)', type: 'currency', defaultValue: 0, unit: '€/year', group: 'Property Costs', escalation: 'energy' },
         { id: 'hoaFees', name: 'HOA/Condo Fees', type: 'currency', defaultValue: 0, unit: '€/year', group: 'Property Costs' },
         { id: 'advertising', name: 'Advertising & Marketing', type: 'currency', defaultValue: 500, unit: '€/year', group: 'Management Costs' },
         { id: 'legal', name: 'Legal & Professional', type: 'currency', defaultValue: 400, unit: '€/year', group: 'Management Costs' },
@@ -535,6 +815,30 @@ const DEFAULT_PROJECT_TYPES = {
         { id: 'handymanHours', name: 'Handyman Hours/Month', type: 'number', defaultValue: 0, unit: 'hours', group: 'Maintenance' },
         { id: 'handymanRate', name: 'Handyman Hourly Rate', type: 'currency', defaultValue: 25, unit: '€/hour', group: 'Maintenance' }
       ]
+    },
+    calculations: {
+      revenue: [
+        { id: 'rentalIncome', name: 'Rental Income', formula: 'monthlyRent * 12 * occupancyRate / 100 * (1 + rentIncrease / 100) ^ (year - 1)' },
+        { id: 'additionalIncome', name: 'Other Income', formula: 'otherIncome' }
+      ],
+      costs: [
+        { id: 'propertyManagement', name: 'Property Management', category: 'staffing', formula: 'propertyManager ? rentalIncome * managementFee / 100 : 0', escalation: 'none' },
+        { id: 'handyman', name: 'Handyman', category: 'staffing', formula: 'handymanHours * handymanRate * 12', escalation: 'wages' }
+      ],
+      breakdown: {
+        rental: {
+          monthlyRent: 'monthlyRent',
+          occupancyRate: 'occupancyRate',
+          annualRentIncrease: 'rentIncrease',
+          effectiveAnnualRent: 'monthlyRent * 12 * occupancyRate / 100',
+          secondYearRent: 'monthlyRent * 12 * occupancyRate / 100 * (1 + rentIncrease / 100)',
+          otherIncome: 'otherIncome',
+          totalRevenue: 'rentalIncome + additionalIncome'
+        }
+      },
+      // Rent roll and exit: when enabled, units and leases replace the single rent and occupancy rate
+      rentRoll: { enabled: 'useRentRoll', voidMonths: 'reletVoidMonths', lettingFee: 'lettingFeeRate', otherIncome: 'otherIncome', line: 'rentalIncome' },
+      exit: { enabled: 'sellAtHorizonEnd', method: 'exitMethod', capRate: 'exitCapRate', appreciation: 'propertyAppreciation', saleCosts: 'saleCostRate', propertyValue: 'propertyPrice' }
     }
   },
 
@@ -560,13 +864,17 @@ const DEFAULT_PROJECT_TYPES = {
         { id: 'efficiencyGains', name: 'Efficiency Improvements', type: 'percentage', defaultValue: 15, unit: '% improvement', group: 'Operational Benefits' },
         { id: 'qualityImprovement', name: 'Quality Improvement', type: 'percentage', defaultValue: 20, unit: '% improvement', group: 'Operational Benefits' },
         { id: 'implementationTime', name: 'Implementation Period', type: 'number', defaultValue: 6, unit: 'months', group: 'Timeline' },
-        { id: 'rampUpPeriod', name: 'Ramp-up to Full Benefits', type: 'number', defaultValue: 3, unit: 'months', group: 'Timeline' }
+        { id: 'rampUpPeriod', name: 'Ramp-up to Full Benefits', type: 'number', defaultValue: 3, unit: 'months', group: 'Timeline' },
+        { id: 'benefitRampShape', name: 'Benefit Ramp Shape', type: 'select', defaultValue: 'linear', group: 'Timeline', options: [
+          { value: 'linear', label: 'Linear' },
+          { value: 'sCurve', label: 'S-curve (slow start and finish)' }
+        ] }
       ],
       operating: [
         { id: 'annualMaintenance', name: 'Annual Maintenance', type: 'currency', defaultValue: 5000, unit: '€/year', group: 'Ongoing Costs' },
         { id: 'supportContract', name: 'Support Contract', type: 'currency', defaultValue: 3000, unit: '€/year', group: 'Ongoing Costs' },
         { id: 'insurance', name: 'Equipment Insurance', type: 'currency', defaultValue: 800, unit: '€/year', group: 'Ongoing Costs' },
-        { id: 'utilities', name: 'Additional Utilities', type: 'currency', defaultValue: 1200, unit: '€/year', group: 'Ongoing Costs' },
+        { id: 'utilities', name: 'Additional Utilities', type: 'currency', defaultValue: 1200, unit: '€/year', group: 'Ongoing Costs', escalation: 'energy' },
         { id: 'consumables', name: 'Consumables & Supplies', type: 'currency', defaultValue: 2000, unit: '€/year', group: 'Ongoing Costs' }
       ],
       staffing: [
@@ -576,6 +884,25 @@ const DEFAULT_PROJECT_TYPES = {
         { id: 'techRate', name: 'Technical Hourly Rate', type: 'currency', defaultValue: 60, unit: '€/hour', group: 'Project Team' },
         { id: 'ongoingStaff', name: 'Ongoing Staff Cost', type: 'currency', defaultValue: 12000, unit: '€/year', group: 'Ongoing Operations' }
       ]
+    },
+    calculations: {
+      revenue: [
+        { id: 'savingsBenefit', name: 'Cost Savings', formula: 'costSavings' },
+        { id: 'revenueBenefit', name: 'Revenue Increase', formula: 'revenueIncrease' }
+      ],
+      capex: { budget: 'totalBudget', contingency: 'contingency', implementation: 'implementationTime', rampUp: 'rampUpPeriod', rampShape: 'benefitRampShape' },
+      breakdown: {
+        benefits: {
+          annualCostSavings: 'costSavings',
+          annualRevenueIncrease: 'revenueIncrease',
+          implementationMonths: 'implementationTime',
+          rampUpMonths: 'rampUpPeriod',
+          totalBenefits: 'costSavings + revenueIncrease',
+          firstYearBenefits: 'firstYearRevenue',
+          efficiencyGains: 'efficiencyGains',
+          qualityImprovement: 'qualityImprovement'
+        }
+      }
     }
   },
 
@@ -598,7 +925,17 @@ const DEFAULT_PROJECT_TYPES = {
         { id: 'premiumSubs', name: 'Premium Subscribers', type: 'number', defaultValue: 200, unit: 'subscribers', group: 'Subscriptions' },
         { id: 'premiumPrice', name: 'Premium Monthly Price', type: 'currency', defaultValue: 49, unit: '€/month', group: 'Subscriptions' },
         { id: 'churnRate', name: 'Monthly Churn Rate', type: 'percentage', defaultValue: 5, unit: '%', group: 'Retention' },
-        { id: 'growthRate', name: 'Monthly Growth Rate', type: 'percentage', defaultValue: 8, unit: '%', group: 'Growth' }
+        { id: 'growthRate', name: 'Monthly Growth Rate', type: 'percentage', defaultValue: 8, unit: '%', group: 'Growth' },
+        { id: 'useCohortModel', name: 'Use Cohort Model', type: 'boolean', defaultValue: false, group: 'Cohorts', description: 'Build revenue month by month from subscriber cohorts (acquisition, churn, plan moves) instead of fixed counts' },
+        { id: 'newMembersPerMonth', name: 'New Subscribers/Month', type: 'number', defaultValue: 60, min: 0, unit: 'subscribers', group: 'Cohorts' },
+        { id: 'acquisitionGrowth', name: 'Acquisition Growth', type: 'percentage', defaultValue: 0, min: -20, max: 50, unit: '%/month', group: 'Cohorts' },
+        { id: 'acquisitionCost', name: 'Acquisition Cost (CAC)', type: 'currency', defaultValue: 40, unit: '€/subscriber', group: 'Cohorts' },
+        { id: 'basicMix', name: 'Basic Plan Share of New', type: 'percentage', defaultValue: 70, unit: '%', group: 'Plan Mix' },
+        { id: 'premiumMix', name: 'Premium Plan Share of New', type: 'percentage', defaultValue: 30, unit: '%', group: 'Plan Mix' },
+        { id: 'earlyChurnRate', name: 'Early Churn Rate', type: 'percentage', defaultValue: 10, max: 50, unit: '%/month', group: 'Retention', description: 'Monthly churn during the first months after joining; the monthly churn rate applies afterwards' },
+        { id: 'earlyChurnMonths', name: 'Early Churn Period', type: 'number', defaultValue: 3, min: 0, max: 24, unit: 'months', group: 'Retention' },
+        { id: 'upgradeRate', name: 'Upgrade Rate', type: 'percentage', defaultValue: 2, max: 20, unit: '%/month', group: 'Plan Moves', description: 'Share of each plan moving to the next plan up every month' },
+        { id: 'downgradeRate', name: 'Downgrade Rate', type: 'percentage', defaultValue: 1, max: 20, unit: '%/month', group: 'Plan Moves', description: 'Share of each plan moving to the next plan down every month' }
       ],
       operating: [
         { id: 'hosting', name: 'Cloud Hosting/month', type: 'currency', defaultValue: 1500, unit: '€', group: 'Technology' },
@@ -612,6 +949,29 @@ const DEFAULT_PROJECT_TYPES = {
         { id: 'support', name: 'Support Staff', type: 'number', defaultValue: 1, unit: 'people', group: 'Operations' },
         { id: 'supportSal', name: 'Support Salary', type: 'currency', defaultValue: 35000, unit: '€/year', group: 'Operations' }
       ]
+    },
+    calculations: {
+      // Cohort model: plans from lowest to highest tier; upgrades and downgrades move members between neighbours
+      cohorts: {
+        enabled: 'useCohortModel',
+        acquisitions: 'newMembersPerMonth',
+        acquisitionGrowth: 'acquisitionGrowth',
+        acquisitionCost: 'acquisitionCost',
+        churn: 'churnRate',
+        earlyChurn: 'earlyChurnRate',
+        earlyChurnMonths: 'earlyChurnMonths',
+        upgrade: 'upgradeRate',
+        downgrade: 'downgradeRate',
+        plans: [
+          { id: 'basic', name: 'Basic', members: 'basicSubs', price: 'basicPrice', billing: 'monthly', mix: 'basicMix' },
+          { id: 'premium', name: 'Premium', members: 'premiumSubs', price: 'premiumPrice', billing: 'monthly', mix: 'premiumMix' }
+        ]
+      },
+      revenue: [
+        { id: 'basicRevenue', name: 'Basic Subscriptions', formula: 'compound(basicSubs * basicPrice, (growthRate - churnRate) / 100, (year - 1) * 12, 12)' },
+        { id: 'premiumRevenue', name: 'Premium Subscriptions', formula: 'compound(premiumSubs * premiumPrice, (growthRate - churnRate) / 100, (year - 1) * 12, 12)' }
+      ],
+      monthlyGrowthRate: '(growthRate - churnRate) / 100'
     }
   },
 
@@ -646,6 +1006,12 @@ const DEFAULT_PROJECT_TYPES = {
         { id: 'bdStaff', name: 'Business Development', type: 'number', defaultValue: 1, unit: 'people', group: 'Sales' },
         { id: 'bdStaffSal', name: 'BD Staff Salary', type: 'currency', defaultValue: 45000, unit: '€/year', group: 'Sales' }
       ]
+    },
+    calculations: {
+      revenue: [
+        { id: 'royaltyIncome', name: 'Royalties', formula: 'licensees * licenseeRevenue * royaltyRate / 100' },
+        { id: 'upfrontIncome', name: 'Upfront License Fees', formula: 'licensees * upfrontFees' }
+      ]
     }
   },
 
@@ -680,6 +1046,11 @@ const DEFAULT_PROJECT_TYPES = {
         { id: 'techStaff', name: 'Technical Integration', type: 'number', defaultValue: 0.5, unit: 'people', group: 'Technology' },
         { id: 'techStaffSal', name: 'Tech Staff Salary', type: 'currency', defaultValue: 60000, unit: '€/year', group: 'Technology' }
       ]
+    },
+    calculations: {
+      revenue: [
+        { id: 'partnerShare', name: 'Partner Revenue Share', formula: 'partners * avgPartnerRevenue * (1 + partnerGrowth / 100) ^ (year - 1) * revenueShare / 100' }
+      ]
     }
   },
 
@@ -692,7 +1063,7 @@ const DEFAULT_PROJECT_TYPES = {
     businessType: 'investment_returns',
     categories: {
       investment: [
-        { id: 'initialCapital', name: 'Initial Investment Capital', type: 'currency', defaultValue: 500000, unit: '€', group: 'Capital' },
+        { id: 'initialCapital', name: 'Initial Investment Capital', type: 'currency', defaultValue: 500000, unit: '€', group: 'Capital', depreciation: { usefulLife: 0 } },
         { id: 'tradingPlatform', name: 'Trading Platform Setup', type: 'currency', defaultValue: 5000, unit: '€', group: 'Technology' },
         { id: 'research', name: 'Research & Analysis Tools', type: 'currency', defaultValue: 8000, unit: '€', group: 'Research' }
       ],
@@ -714,6 +1085,12 @@ const DEFAULT_PROJECT_TYPES = {
         { id: 'analyst', name: 'Financial Analyst', type: 'number', defaultValue: 0.5, unit: 'people', group: 'Analysis' },
         { id: 'analystSal', name: 'Analyst Fee', type: 'currency', defaultValue: 40000, unit: '€/year', group: 'Analysis' }
       ]
+    },
+    calculations: {
+      revenue: [
+        { id: 'dividendIncome', name: 'Dividends', formula: 'initialCapital * dividendYield / 100' },
+        { id: 'capitalGainsIncome', name: 'Capital Gains', formula: 'initialCapital * capitalGains / 100' }
+      ]
     }
   },
 
@@ -747,6 +1124,12 @@ const DEFAULT_PROJECT_TYPES = {
         { id: 'analyst', name: 'Business Analyst', type: 'number', defaultValue: 0.25, unit: 'people', group: 'Analysis' },
         { id: 'analystSal', name: 'Analyst Salary', type: 'currency', defaultValue: 45000, unit: '€/year', group: 'Analysis' }
       ]
+    },
+    calculations: {
+      revenue: [
+        { id: 'savingsBenefit', name: 'Cost Savings', formula: 'costSavings' },
+        { id: 'efficiencyBenefit', name: 'Efficiency Benefits', formula: 'costSavings * (efficiencyGain + timeReduction + qualityImprovement) / 100 * 0.5' }
+      ]
     }
   },
 
@@ -781,6 +1164,11 @@ const DEFAULT_PROJECT_TYPES = {
         { id: 'technicians', name: 'Service Technicians', type: 'number', defaultValue: 2, unit: 'people', group: 'Technical' },
         { id: 'technicianSal', name: 'Technician Salary', type: 'currency', defaultValue: 35000, unit: '€/year', group: 'Technical' }
       ]
+    },
+    calculations: {
+      revenue: [
+        { id: 'contractRevenue', name: 'Service Contracts', formula: 'contracts * (renewalRate / 100 + growthRate / 100) ^ (year - 1) * avgContractValue * 12' }
+      ]
     }
   },
 
@@ -802,7 +1190,7 @@ const DEFAULT_PROJECT_TYPES = {
         { id: 'secondaryRevenue', name: 'Secondary Revenue', type: 'currency', defaultValue: 0, unit: '€/year', group: 'Income' }
       ],
       operating: [
-        { id: 'utilities', name: 'Utilities', type: 'currency', defaultValue: 0, unit: '€/year', group: 'Fixed Costs' },
+        { id: 'utilities', name: 'Utilities', type: 'currency', defaultValue: 0, unit: '€/year', group: 'Fixed Costs', escalation: 'energy' },
         { id: 'insurance', name: 'Insurance', type: 'currency', defaultValue: 0, unit: '€/year', group: 'Fixed Costs' },
         { id: 'maintenance', name: 'Maintenance', type: 'currency', defaultValue: 0, unit: '€/year', group: 'Variable Costs' },
         { id: 'marketing', name: 'Marketing', type: 'currency', defaultValue: 0, unit: '€/year', group: 'Variable Costs' },
@@ -814,10 +1202,104 @@ const DEFAULT_PROJECT_TYPES = {
         { id: 'operational', name: 'Operational Staff', type: 'number', defaultValue: 0, unit: 'people', group: 'Staff' },
         { id: 'operationalSal', name: 'Operational Salary', type: 'currency', defaultValue: 0, unit: '€/year', group: 'Staff' }
       ]
+    },
+    calculations: {
+      revenue: [
+        { id: 'primaryStream', name: 'Primary Revenue', formula: 'primaryRevenue' },
+        { id: 'secondaryStream', name: 'Secondary Revenue', formula: 'secondaryRevenue' }
+      ]
     }
   }
 };
 
+// Country tax presets: corporate income tax and standard VAT rates (%)
+const TAX_PROFILES = {
+  custom: { name: 'Custom rates' },
+  none: { name: 'No tax', corporateTaxRate: 0, vatRate: 0 },
+  IE: { name: 'Ireland', corporateTaxRate: 12.5, vatRate: 23 },
+  UK: { name: 'United Kingdom', corporateTaxRate: 25, vatRate: 20 },
+  DE: { name: 'Germany', corporateTaxRate: 30, vatRate: 19 },
+  FR: { name: 'France', corporateTaxRate: 25, vatRate: 20 },
+  ES: { name: 'Spain', corporateTaxRate: 25, vatRate: 21 },
+  NL: { name: 'Netherlands', corporateTaxRate: 25.8, vatRate: 21 },
+  PT: { name: 'Portugal', corporateTaxRate: 21, vatRate: 23 }
+};
+
+// Categories available to every project type (rendered after the type's own categories)
+const SHARED_CATEGORIES = {
+  schedule: {
+    name: 'Schedule',
+    fields: [
+      { id: 'startDate', name: 'Start Date', type: 'date', defaultValue: '', group: 'Timing', description: 'When construction (or trading) starts; staggers the project within the combined cash flow' },
+      { id: 'constructionMonths', name: 'Construction Period', type: 'number', defaultValue: 0, min: 0, max: 60, unit: 'months', group: 'Timing', description: 'Investment is drawn evenly over these months and trading starts afterwards' }
+    ]
+  },
+  financing: {
+    name: 'Financing',
+    fields: [
+      { id: 'loanAmount', name: 'Loan Amount', type: 'currency', defaultValue: 0, unit: '€', group: 'Loan', description: 'Debt raised at start; leave 0 to use Loan-to-Value instead' },
+      { id: 'loanToValue', name: 'Loan-to-Value', type: 'percentage', defaultValue: 0, unit: '%', group: 'Loan', description: 'Loan as a share of total investment (used when Loan Amount is 0)' },
+      { id: 'loanRate', name: 'Interest Rate', type: 'percentage', defaultValue: 5, max: 30, unit: '%/year', group: 'Loan' },
+      { id: 'loanTerm', name: 'Loan Term', type: 'number', defaultValue: 10, min: 1, max: 40, unit: 'years', group: 'Loan' },
+      { id: 'amortizationType', name: 'Amortization', type: 'select', defaultValue: 'annuity', group: 'Repayment', options: [
+        { value: 'annuity', label: 'Annuity (equal payments)' },
+        { value: 'linear', label: 'Linear (equal principal)' },
+        { value: 'interestOnly', label: 'Interest-only (bullet)' }
+      ] },
+      { id: 'gracePeriod', name: 'Grace Period', type: 'number', defaultValue: 0, min: 0, max: 60, unit: 'months', group: 'Repayment', description: 'Interest-only months before repayments start' }
+    ]
+  },
+  depreciation: {
+    name: 'Depreciation',
+    fields: [
+      { id: 'depreciationMethod', name: 'Default Method', type: 'select', defaultValue: 'straightLine', group: 'Defaults', options: [
+        { value: 'straightLine', label: 'Straight-line' },
+        { value: 'decliningBalance', label: 'Declining balance' }
+      ] },
+      { id: 'defaultUsefulLife', name: 'Default Useful Life', type: 'number', defaultValue: 10, min: 0, max: 50, unit: 'years', group: 'Defaults', description: 'Used for investment items without their own useful life' },
+      { id: 'defaultResidualValue', name: 'Default Residual Value', type: 'percentage', defaultValue: 0, unit: '% of cost', group: 'Defaults' },
+      { id: 'decliningBalanceFactor', name: 'Declining Balance Factor', type: 'number', defaultValue: 2, min: 1, max: 3, unit: '× straight-line rate', group: 'Defaults' }
+    ]
+  },
+  workingCapital: {
+    name: 'Working Capital',
+    fields: [
+      { id: 'receivableDays', name: 'Debtor Days (DSO)', type: 'number', defaultValue: 0, min: 0, max: 365, unit: 'days', group: 'Payment Terms', description: 'Average days customers take to pay' },
+      { id: 'payableDays', name: 'Creditor Days (DPO)', type: 'number', defaultValue: 0, min: 0, max: 365, unit: 'days', group: 'Payment Terms', description: 'Average days taken to pay suppliers (operating costs; staff are paid immediately)' },
+      { id: 'inventoryDays', name: 'Inventory Days', type: 'number', defaultValue: 0, min: 0, max: 365, unit: 'days', group: 'Stock', description: 'Stock held, in days of operating (non-staff) costs' },
+      { id: 'upfrontStock', name: 'Upfront Stock Purchase', type: 'currency', defaultValue: 0, unit: '€', group: 'Stock', description: 'Opening stock bought before trading starts; held as working capital' }
+    ]
+  },
+  inflation: {
+    name: 'Inflation & Indexation',
+    fields: [
+      { id: 'inflationRate', name: 'General Inflation (CPI)', type: 'percentage', defaultValue: 0, min: -10, max: 50, unit: '%/year', group: 'Inflation', description: 'Annual escalation of operating costs; also the deflator for real-terms reporting' },
+      { id: 'wageGrowthRate', name: 'Wage Growth', type: 'percentage', defaultValue: 0, min: -10, max: 50, unit: '%/year', group: 'Escalation', description: 'Annual salary escalation; leave 0 to follow CPI' },
+      { id: 'energyEscalationRate', name: 'Energy Price Escalation', type: 'percentage', defaultValue: 0, min: -10, max: 50, unit: '%/year', group: 'Escalation', description: 'Annual escalation of energy costs (utilities, fuel); leave 0 to follow CPI' },
+      { id: 'priceIndexation', name: 'Price & Rent Indexation', type: 'select', defaultValue: 'none', group: 'Indexation', description: 'How prices and rents move from year to year', options: [
+        { value: 'none', label: 'None (fixed prices)' },
+        { value: 'cpi', label: 'Follow CPI' },
+        { value: 'custom', label: 'Custom rate' }
+      ] },
+      { id: 'priceIndexationRate', name: 'Custom Indexation Rate', type: 'percentage', defaultValue: 0, min: -10, max: 50, unit: '%/year', group: 'Indexation', description: 'Used when indexation is set to a custom rate' }
+    ]
+  },
+  tax: {
+    name: 'Tax',
+    fields: [
+      { id: 'taxProfile', name: 'Tax Profile', type: 'select', defaultValue: 'custom', group: 'Profile', description: 'Country preset; choose Custom rates to use the rates below',
+        options: Object.entries(TAX_PROFILES).map(([value, profile]) => ({ value, label: profile.name })) },
+      { id: 'corporateTaxRate', name: 'Corporate Tax Rate', type: 'percentage', defaultValue: 0, max: 50, unit: '%', group: 'Corporate Tax' },
+      { id: 'lossCarryForward', name: 'Loss Carry-Forward', type: 'boolean', defaultValue: true, group: 'Corporate Tax', description: 'Offset past tax losses against future taxable profit' },
+      { id: 'vatRateRevenue', name: 'VAT on Revenue', type: 'percentage', defaultValue: 0, max: 30, unit: '%', group: 'VAT' },
+      { id: 'vatRateCosts', name: 'VAT on Operating Costs', type: 'percentage', defaultValue: 0, max: 30, unit: '%', group: 'VAT', description: 'Recoverable input VAT on operating costs (staff costs carry no VAT)' },
+      { id: 'revenueIncludesVat', name: 'Revenue Inputs Include VAT', type: 'boolean', defaultValue: false, group: 'VAT', description: 'Prices entered gross; revenue is shown net of VAT' },
+      { id: 'costsIncludeVat', name: 'Cost Inputs Include VAT', type: 'boolean', defaultValue: false, group: 'VAT', description: 'Operating costs entered gross; costs are shown net of VAT' },
+      { id: 'vatSettlementMonths', name: 'VAT Return Period', type: 'number', defaultValue: 3, min: 1, max: 12, unit: 'months', group: 'VAT' }
+    ]
+  }
+};
+
 // Configuration management utilities
 class ProjectTypeManager {
   constructor() {
@@ -929,6 +1411,52 @@ class ProjectTypeManager {
         throw new Error(`Project type must have ${categoryType} category as array`);
       }
     }
+
+    // Validate formula definitions
+    const calculations = config.calculations || {};
+    if (calculations.revenue && !Array.isArray(calculations.revenue)) {
+      throw new Error('Project type revenue formulas must be an array');
+    }
+
+    const formulas = [];
+    for (const line of calculations.revenue || []) {
+      if (!line.id || typeof line.id !== 'string') {
+        throw new Error('Each revenue formula must have a valid ID');
+      }
+      formulas.push(line.formula);
+    }
+    if (calculations.costs && !Array.isArray(calculations.costs)) {
+      throw new Error('Project type cost formulas must be an array');
+    }
+    for (const line of calculations.costs || []) {
+      if (!line.id || typeof line.id !== 'string') {
+        throw new Error('Each cost formula must have a valid ID');
+      }
+      formulas.push(line.formula);
+    }
+    if (calculations.monthlyGrowthRate) formulas.push(calculations.monthlyGrowthRate);
+    if (calculations.rampFactor) formulas.push(calculations.rampFactor);
+
+    if (window.formulaEvaluator) {
+      formulas.push(...window.formulaEvaluator.flattenFormulas(calculations.breakdown));
+      // Formulas may read the type's and the shared fields, the revenue and cost lines and the engine's scope variables
+      const knownNames = new Set([
+        ...Object.values(config.categories).flat().map(field => field.id),
+        ...Object.values(SHARED_CATEGORIES).flatMap(category => category.fields.map(field => field.id)),
+        ...(calculations.revenue || []).map(line => line.id),
+        ...(calculations.costs || []).map(line => line.id),
+        'year',
+        'month',
+        'firstYearRevenue'
+      ]);
+      for (const formula of formulas) {
+        try {
+          window.formulaEvaluator.validate(formula, knownNames);
+        } catch (e) {
+          throw new Error(`Invalid formula in project type ${config.id}: ${e.message}`);
+        }
+      }
+    }
   }
 
   // Create a new project type from template
@@ -981,6 +1509,10 @@ window.projectTypeManager = new ProjectTypeManager();
 // Export business type categories
 window.BUSINESS_TYPE_CATEGORIES = BUSINESS_TYPE_CATEGORIES;
 
+// Export shared categories and tax presets
+window.SHARED_CATEGORIES = SHARED_CATEGORIES;
+window.TAX_PROFILES = TAX_PROFILES;
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
@@ -988,6 +1520,8 @@ if (typeof module !== 'undefined' && module.exports) {
     CATEGORY_SCHEMA,
     DEFAULT_PROJECT_TYPES,
     BUSINESS_TYPE_CATEGORIES,
+    SHARED_CATEGORIES,
+    TAX_PROFILES,
     ProjectTypeManager
   };
 }
\ No newline at end of file
@@ -825,6 +825,13 @@ class DynamicUIGenerator {
         data[field.id] = field.defaultValue || 0;
       }
     }
+
+    // Shared categories (financing, etc.) apply to every project type
+    for (const shared of Object.values(window.SHARED_CATEGORIES || {})) {
+      for (const field of shared.fields) {
+        data[field.id] = field.defaultValue || 0;
+      }
+    }
     
     this.formData.set(typeId, data);
   }
@@ -899,6 +906,9 @@ class DynamicUIGenerator {
         ${this.generateCategorySection('Revenue', projectType.categories.revenue, typeId, data)}
         ${this.generateCategorySection('Operating Costs', projectType.categories.operating, typeId, data)}
         ${this.generateCategorySection('Staffing', projectType.categories.staffing, typeId, data)}
+        ${Object.values(window.SHARED_CATEGORIES || {}).map(shared => 
+          this.generateCategorySection(shared.name, shared.fields, typeId, data)
+        ).join('')}
       </div>
       <div id="${typeId}-dynamicSummary" class="summary" aria-live="polite"></div>
       <button type="button" onclick="dynamicUI.calculateProjectType('${typeId}')">Calculate ${projectType.name}</button>
@@ -944,6 +954,16 @@ class DynamicUIGenerator {
         inputHtml = `<input type="checkbox" id="${fieldId}" ${value ? 'checked' : ''} onchange="dynamicUI.updateFieldValue('${typeId}', '${field.id}', this.checked)">`;
         break;
         
+      case 'select':
+        inputHtml = `<select id="${fieldId}" onchange="dynamicUI.updateFieldValue('${typeId}', '${field.id}', this.value)">
+          ${(field.options || []).map(option => `<option value="${option.value}" ${option.value === value ? 'selected' : ''}>${option.label}</option>`).join('')}
+        </select>`;
+        break;
+        
+      case 'date':
+        inputHtml = `<input type="date" id="${fieldId}" value="${value || ''}" onchange="dynamicUI.updateFieldValue('${typeId}', '${field.id}', this.value)">`;
+        break;
+        
       case 'percentage':
         inputHtml = `
           <input type="range" id="${fieldId}_range" min="${field.min || 0}" max="${field.max || 100}" value="${value}" 
@@ -987,13 +1007,16 @@ class DynamicUIGenerator {
     // Convert value based on type
     if (typeof value === 'boolean') {
       data[fieldId] = value;
+    } else if (typeof value === 'string' && value !== '' && isNaN(Number(value))) {
+      // Select and date fields keep their value
+      data[fieldId] = value;
     } else {
       const numValue = parseFloat(value);
       data[fieldId] = isNaN(numValue) ? 0 : numValue;
     }
     
     this.formData.set(typeId, data);
-    this.updateCalculations();
+    this.calculateProjectType(typeId, [fieldId]);
   }
 
   // Calculate a specific project type
@@ -1034,12 +1057,12 @@ class DynamicUIGenerator {
     `;
   }
 
-  // Generate breakdown summary based on project type
+  // Generate breakdown summary from the project type's revenue breakdown formulas
   generateBreakdownSummary(result) {
     let breakdownHtml = '';
     
     if (result.breakdown.revenue) {
-      if (result.typeId === 'padel' && result.breakdown.revenue.peak) {
+      if (result.breakdown.revenue.peak && result.breakdown.revenue.offPeak) {
         breakdownHtml += `
           <h4>Utilization Breakdown (per court)</h4>
           <ul>
@@ -1047,9 +1070,15 @@ class DynamicUIGenerator {
             <li>Peak Utilized: <strong>${result.breakdown.revenue.peak.utilizedHours.toFixed(1)}</strong> hours/year (${result.breakdown.revenue.peak.utilization.toFixed(1)}% utilization)</li>
             <li>Off-Peak: ${result.breakdown.revenue.offPeak.hours}h/day × ${result.breakdown.revenue.offPeak.totalHours} hours available</li>
             <li>Off-Peak Utilized: <strong>${result.breakdown.revenue.offPeak.utilizedHours.toFixed(1)}</strong> hours/year (${result.breakdown.revenue.offPeak.utilization.toFixed(1)}% utilization)</li>
+            ${result.breakdown.revenue.prime && result.breakdown.revenue.prime.hours > 0 ? `
+            <li>Prime Utilized: <strong>${result.breakdown.revenue.prime.utilizedHours.toFixed(1)}</strong> hours/year (${result.breakdown.revenue.prime.utilization.toFixed(1)}% utilization)</li>
+            ` : ''}
+            ${result.demand ? `
+            <li>Demand Model: ${Math.round(result.demand.lost).toLocaleString()} requested hours/year turned away (utilization from demand)</li>
+            ` : ''}
           </ul>
         `;
-      } else if (result.typeId === 'gym' && result.breakdown.revenue.memberships) {
+      } else if (result.breakdown.revenue.memberships) {
         const memberships = result.breakdown.revenue.memberships;
         breakdownHtml += `
           <h4>Membership Breakdown</h4>
@@ -1059,20 +1088,20 @@ class DynamicUIGenerator {
             <li>Annual: ${memberships.annual.members} members × €${memberships.annual.fee}/year = €${memberships.annual.revenue.toLocaleString()}/year</li>
           </ul>
         `;
-      } else if (result.typeId === 'realEstate' && result.breakdown.rental) {
-        const rental = result.breakdown.rental;
+      } else if (result.breakdown.revenue.rental) {
+        const rental = result.breakdown.revenue.rental;
         breakdownHtml += `
           <h4>Real Estate Analysis</h4>
           <ul>
             <li>Monthly Rent: €${rental.monthlyRent.toLocaleString()}</li>
             <li>Occupancy Rate: ${rental.occupancyRate}%</li>
             <li>Effective Annual Rent: €${rental.effectiveAnnualRent.toLocaleString()}</li>
-            <li>With Growth Adjustment: €${rental.adjustedForIncrease.toLocaleString()}</li>
+            <li>Year 2 Rent (after increase): €${rental.secondYearRent.toLocaleString()}</li>
             <li>Other Income: €${rental.otherIncome.toLocaleString()}</li>
             <li><strong>Total Revenue: €${rental.totalRevenue.toLocaleString()}</strong></li>
           </ul>
         `;
-      } else if (result.typeId === 'capexInvestment' && result.breakdown.revenue && result.breakdown.revenue.benefits) {
+      } else if (result.breakdown.revenue.benefits) {
         const benefits = result.breakdown.revenue.benefits;
         breakdownHtml += `
           <h4>CapEx Investment Analysis</h4>
@@ -1087,6 +1116,13 @@ class DynamicUIGenerator {
             <li>Quality Improvement: ${benefits.qualityImprovement}%</li>
           </ul>
         `;
+      } else if (result.breakdown.revenue.lines && result.breakdown.revenue.lines.length > 1) {
+        breakdownHtml += `
+          <h4>Revenue Breakdown</h4>
+          <ul>
+            ${result.breakdown.revenue.lines.map(line => `<li>${line.name}: €${Math.round(line.annual).toLocaleString()}/year</li>`).join('')}
+          </ul>
+        `;
       }
     }
     
@@ -1108,6 +1144,10 @@ class DynamicUIGenerator {
         costs: result.costs.annual,
         profit: result.profit,
         investment: result.investment,
+        depreciation: result.projection.years[0].depreciation,
+        interest: result.projection.years[0].interest,
+        tax: result.tax,
+        netIncome: result.netIncome,
         roi: result.roi.roiPercentage,
         paybackYears: result.roi.paybackYears
       }
@@ -1124,13 +1164,15 @@ class DynamicUIGenerator {
     }
   }
 
-  // Calculate a specific project type
-  calculateProjectType(typeId) {
+  // Calculate a specific project type (only the parts affected by changedFields, when given)
+  calculateProjectType(typeId, changedFields = null) {
     const data = this.formData.get(typeId);
     if (!data) return;
 
     try {
-      const result = window.calculationEngine.registerProjectType(typeId, data);
+      const result = changedFields
+        ? window.calculationEngine.updateProjectType(typeId, data, changedFields)
+        : window.calculationEngine.registerProjectType(typeId, data);
       this.updateProjectTypeSummary(typeId, result);
       this.updateCombinedAnalysis();
     } catch (error) {
@@ -1201,17 +1243,16 @@ class DynamicUIGenerator {
         </div>`);
         kpis.push(`<div class="kpi">
           <span class="kpi-label">Total Bookable Hours/Year:</span>
-          <span class="kpi-value">${(result.breakdown.revenue.peak.totalHours + result.breakdown.revenue.offPeak.totalHours).toLocaleString()}</span>
+          <span class="kpi-value">${(result.breakdown.revenue.peak.totalHours + result.breakdown.revenue.offPeak.totalHours + (result.breakdown.revenue.prime ? result.breakdown.revenue.prime.totalHours : 0)).toLocaleString()}</span>
         </div>`);
         kpis.push(`<div class="kpi">
           <span class="kpi-label">Revenue per Hour:</span>
-          <span class="kpi-value">€${((result.revenue.annual) / (result.breakdown.revenue.peak.utilizedHours + result.breakdown.revenue.offPeak.utilizedHours)).toFixed(2)}</span>
+          <span class="kpi-value">€${((result.revenue.annual) / this.getBusinessTypeVolume(result, businessCategory).value).toFixed(2)}</span>
         </div>`);
       }
     } else if (categoryId === 'member' || projectTypeId === 'gym') {
       if (result.breakdown.revenue && result.breakdown.revenue.memberships) {
-        const memberships = result.breakdown.revenue.memberships;
-        const totalMembers = memberships.weekly.members + memberships.monthly.members + memberships.annual.members;
+        const totalMembers = this.getBusinessTypeVolume(result, businessCategory).value;
         kpis.push(`<div class="kpi">
           <span class="kpi-label">Total Members:</span>
           <span class="kpi-value">${totalMembers}</span>
@@ -1227,31 +1268,29 @@ class DynamicUIGenerator {
       }
     } else if (categoryId === 'event') {
       if (result.formData) {
-        const eventsPerYear = result.formData.eventsPerYear || 0;
-        const capacity = result.formData.capacity || 0;
-        const occupancyRate = result.formData.occupancyRate || 0;
+        const capacity = result.events ? result.events.totals.capacity : (result.formData.eventsPerYear || 0) * (result.formData.capacity || 0);
+        const attendance = this.getBusinessTypeVolume(result, businessCategory).value;
         
         kpis.push(`<div class="kpi">
           <span class="kpi-label">Total Event Capacity/Year:</span>
-          <span class="kpi-value">${(eventsPerYear * capacity).toLocaleString()}</span>
+          <span class="kpi-value">${capacity.toLocaleString()}</span>
         </div>`);
         kpis.push(`<div class="kpi">
           <span class="kpi-label">Expected Attendance/Year:</span>
-          <span class="kpi-value">${(eventsPerYear * capacity * occupancyRate / 100).toLocaleString()}</span>
+          <span class="kpi-value">${attendance.toLocaleString()}</span>
         </div>`);
         kpis.push(`<div class="kpi">
           <span class="kpi-label">Revenue per Attendee:</span>
-          <span class="kpi-value">€${(result.revenue.annual / (eventsPerYear * capacity * occupancyRate / 100)).toFixed(2)}</span>
+          <span class="kpi-value">€${(result.revenue.annual / attendance).toFixed(2)}</span>
         </div>`);
       }
     } else if (categoryId === 'product') {
       if (result.formData) {
-        const ordersPerMonth = result.formData.ordersPerMonth || 0;
         const avgOrderValue = result.formData.avgOrderValue || 0;
         
         kpis.push(`<div class="kpi">
           <span class="kpi-label">Orders per Year:</span>
-          <span class="kpi-value">${(ordersPerMonth * 12).toLocaleString()}</span>
+          <span class="kpi-value">${this.getBusinessTypeVolume(result, businessCategory).value.toLocaleString()}</span>
         </div>`);
         kpis.push(`<div class="kpi">
           <span class="kpi-label">Average Order Value:</span>
@@ -1261,16 +1300,29 @@ class DynamicUIGenerator {
           <span class="kpi-label">Gross Margin:</span>
           <span class="kpi-value">${result.formData.grossMargin || 0}%</span>
         </div>`);
+        if (result.unitEconomics) {
+          const unitEconomics = result.unitEconomics;
+          kpis.push(`<div class="kpi">
+            <span class="kpi-label">Contribution per Order:</span>
+            <span class="kpi-value">€${unitEconomics.perOrder.contribution.toFixed(2)} (${unitEconomics.contributionMargin.toFixed(1)}%)</span>
+          </div>`);
+          kpis.push(`<div class="kpi">
+            <span class="kpi-label">Blended CAC:</span>
+            <span class="kpi-value">€${unitEconomics.blendedCac.toFixed(2)}</span>
+          </div>`);
+          kpis.push(`<div class="kpi">
+            <span class="kpi-label">ROAS:</span>
+            <span class="kpi-value">${unitEconomics.roas === null ? 'n/a' : `${unitEconomics.roas.toFixed(2)}×`}</span>
+          </div>`);
+        }
       }
     } else if (categoryId === 'service') {
       if (result.formData) {
-        const billableHours = result.formData.billableHours || 0;
         const hourlyRate = result.formData.hourlyRate || 0;
-        const weeksPerYear = result.formData.weeksPerYear || 0;
         
         kpis.push(`<div class="kpi">
           <span class="kpi-label">Billable Hours/Year:</span>
-          <span class="kpi-value">${(billableHours * weeksPerYear).toLocaleString()}</span>
+          <span class="kpi-value">${this.getBusinessTypeVolume(result, businessCategory).value.toLocaleString()}</span>
         </div>`);
         kpis.push(`<div class="kpi">
           <span class="kpi-label">Hourly Rate:</span>
@@ -1282,10 +1334,12 @@ class DynamicUIGenerator {
         </div>`);
       }
     } else if (categoryId === 'real_estate' || projectTypeId === 'realEstate') {
-      if (result.breakdown.rental) {
-        const rental = result.breakdown.rental;
+      if (result.breakdown.revenue && result.breakdown.revenue.rental) {
+        const rental = result.breakdown.revenue.rental;
+        const rentRoll = result.property && result.property.rentRoll;
         const totalInvestment = result.investment;
-        const grossRentYield = totalInvestment > 0 ? (rental.effectiveAnnualRent / totalInvestment * 100) : 0;
+        const annualRent = rentRoll ? rentRoll.annualRent : rental.effectiveAnnualRent;
+        const grossRentYield = totalInvestment > 0 ? (annualRent / totalInvestment * 100) : 0;
         const netRentYield = totalInvestment > 0 ? (result.profit / totalInvestment * 100) : 0;
         
         kpis.push(`<div class="kpi">
@@ -1298,17 +1352,22 @@ class DynamicUIGenerator {
         </div>`);
         kpis.push(`<div class="kpi">
           <span class="kpi-label">Occupancy Rate:</span>
-          <span class="kpi-value">${rental.occupancyRate}%</span>
+          <span class="kpi-value">${rentRoll ? rentRoll.occupancy.toFixed(1) : rental.occupancyRate}%</span>
         </div>`);
         kpis.push(`<div class="kpi">
           <span class="kpi-label">Monthly Cash Flow:</span>
           <span class="kpi-value">€${(result.profit / 12).toFixed(2)}</span>
         </div>`);
+        if (result.property && result.property.cashOnCash !== null) {
+          kpis.push(`<div class="kpi">
+            <span class="kpi-label">Cash-on-Cash Return:</span>
+            <span class="kpi-value">${result.property.cashOnCash.toFixed(2)}%</span>
+          </div>`);
+        }
       }
     } else if (categoryId === 'capex_investment' || projectTypeId === 'capexInvestment') {
       if (result.breakdown.revenue && result.breakdown.revenue.benefits) {
         const benefits = result.breakdown.revenue.benefits;
-        const budgetUtilization = result.investment > 0 ? 100 : 0; // Simplified - could be enhanced
         const projectROI = result.investment > 0 ? (benefits.totalBenefits / result.investment * 100) : 0;
         
         kpis.push(`<div class="kpi">
@@ -1323,6 +1382,16 @@ class DynamicUIGenerator {
           <span class="kpi-label">Implementation + Ramp-up:</span>
           <span class="kpi-value">${benefits.implementationMonths + benefits.rampUpMonths} months</span>
         </div>`);
+        if (result.capex) {
+          kpis.push(`<div class="kpi">
+            <span class="kpi-label">Budget Utilization:</span>
+            <span class="kpi-value">${result.capex.budgetUtilization.toFixed(1)}%</span>
+          </div>`);
+          kpis.push(`<div class="kpi">
+            <span class="kpi-label">Cost Variance:</span>
+            <span class="kpi-value">${result.capex.costVariance >= 0 ? '+' : '-'}€${Math.round(Math.abs(result.capex.costVariance)).toLocaleString()} (${result.capex.costVariancePercent.toFixed(1)}%)</span>
+          </div>`);
+        }
         kpis.push(`<div class="kpi">
           <span class="kpi-label">Efficiency Improvement:</span>
           <span class="kpi-value">${benefits.efficiencyGains}%</span>
@@ -1330,9 +1399,87 @@ class DynamicUIGenerator {
       }
     }
     
+    // Break-even volume for the category's main driver (members, hours, orders...)
+    const volume = this.getBusinessTypeVolume(result, businessCategory);
+    if (volume && volume.value > 0 && window.calculationEngine) {
+      let breakEvenValue = 'Not reachable';
+      try {
+        const solution = window.calculationEngine.solveBreakEvenScale(result.typeId, volume.fields);
+        breakEvenValue = `${Math.ceil(volume.value * solution.value).toLocaleString()} ${volume.unit}`;
+      } catch (error) {
+        console.warn(`Break-even not found for ${result.typeId}:`, error.message);
+      }
+      kpis.push(`<div class="kpi">
+          <span class="kpi-label">Break-even ${volume.label}:</span>
+          <span class="kpi-value">${breakEvenValue}</span>
+        </div>`);
+    }
+    
     return kpis.length > 0 ? `<div class="kpi-grid">${kpis.join('')}</div>` : '<p>No specific KPIs available for this business type.</p>';
   }
 
+  // Main volume driver per business category and the input fields that scale it (used for KPIs and break-even)
+  getBusinessTypeVolume(result, businessCategory) {
+    const categoryId = businessCategory.id;
+    const projectTypeId = result.typeId;
+    const revenueBreakdown = result.breakdown.revenue || {};
+    const formData = result.formData || {};
+    
+    if (categoryId === 'booking' || projectTypeId === 'padel') {
+      if (!revenueBreakdown.peak) return null;
+      return {
+        label: 'Utilized Hours/Year',
+        unit: 'hours',
+        value: revenueBreakdown.peak.utilizedHours + revenueBreakdown.offPeak.utilizedHours + (revenueBreakdown.prime ? revenueBreakdown.prime.utilizedHours : 0),
+        // With the demand model on, utilization follows requested bookings
+        fields: result.demand ? result.demand.tiers.map(tier => tier.demandField) : ['peakUtil', 'offUtil', 'primeUtil']
+      };
+    } else if (categoryId === 'member' || projectTypeId === 'gym') {
+      if (!revenueBreakdown.memberships) return null;
+      const memberships = revenueBreakdown.memberships;
+      return {
+        label: 'Members',
+        unit: 'members',
+        value: memberships.weekly.members + memberships.monthly.members + memberships.annual.members,
+        fields: ['weekMembers', 'monthMembers', 'annualMembers']
+      };
+    } else if (categoryId === 'event') {
+      return {
+        label: 'Attendance/Year',
+        unit: 'attendees',
+        // The event model counts attendees after no-shows across the calendar
+        value: result.events ? result.events.totals.attendees : (formData.eventsPerYear || 0) * (formData.capacity || 0) * (formData.occupancyRate || 0) / 100,
+        fields: ['occupancyRate']
+      };
+    } else if (categoryId === 'product') {
+      // With unit economics on, orders come from the channels' traffic
+      const unitEconomics = result.unitEconomics;
+      return {
+        label: 'Orders/Year',
+        unit: 'orders',
+        value: unitEconomics ? unitEconomics.orders : (formData.ordersPerMonth || 0) * 12,
+        fields: unitEconomics ? unitEconomics.channels.map(channel => channel.visitsField) : ['ordersPerMonth']
+      };
+    } else if (categoryId === 'service') {
+      return {
+        label: 'Billable Hours/Year',
+        unit: 'hours',
+        value: (formData.billableHours || 0) * (formData.weeksPerYear || 0),
+        fields: ['billableHours']
+      };
+    } else if (categoryId === 'real_estate' || projectTypeId === 'realEstate') {
+      if (!revenueBreakdown.rental) return null;
+      return {
+        label: 'Occupancy',
+        unit: '%',
+        value: result.property && result.property.rentRoll ? result.property.rentRoll.occupancy : revenueBreakdown.rental.occupancyRate,
+        fields: ['occupancyRate']
+      };
+    }
+    
+    return null;
+  }
+
   // Save current scenario
   saveCurrentScenario() {
     if (!this.selectedProjectType) {
@@ -1369,7 +1516,15 @@ class DynamicUIGenerator {
     pnlSummary.innerHTML = `
       <p><strong>Total Revenue:</strong> €${Math.round(combined.totals.revenue).toLocaleString('en-US')}</p>
       <p><strong>Total Costs:</strong> €${Math.round(combined.totals.costs).toLocaleString('en-US')}</p>
-      <p><strong>Net Profit:</strong> €${Math.round(combined.totals.profit).toLocaleString('en-US')}</p>
+      <p><strong>Operating Profit (EBITDA):</strong> €${Math.round(combined.totals.profit).toLocaleString('en-US')}</p>
+      <p><strong>Depreciation (Year 1):</strong> €${Math.round(combined.totals.depreciation).toLocaleString('en-US')}</p>
+      <p><strong>EBIT:</strong> €${Math.round(combined.totals.profit - combined.totals.depreciation).toLocaleString('en-US')}</p>
+      ${combined.totals.interest > 0 ? `
+      <p><strong>Interest Expense (Year 1):</strong> €${Math.round(combined.totals.interest).toLocaleString('en-US')}</p>
+      ` : ''}
+      <p><strong>Profit before Tax:</strong> €${Math.round(combined.totals.profit - combined.totals.depreciation - combined.totals.interest).toLocaleString('en-US')}</p>
+      <p><strong>Corporate Tax (Year 1):</strong> €${Math.round(combined.totals.tax).toLocaleString('en-US')}</p>
+      <p><strong>Net Profit after Tax:</strong> €${Math.round(combined.totals.netIncome).toLocaleString('en-US')}</p>
       <div class="project-breakdown">
         <h4>By Project Type:</h4>
         ${combined.projects.map(project => `
@@ -1391,16 +1546,15 @@ class DynamicUIGenerator {
     if (!tbody) return;
 
     tbody.innerHTML = '';
-    const monthlyRevenue = combined.totals.revenue / 12;
-    const monthlyCosts = combined.totals.costs / 12;
-    const monthlyProfit = combined.totals.profit / 12;
+    const projectIds = combined.projects.map(project => project.typeId);
+    const months = window.calculationEngine.generateCashFlow(projectIds, 12);
 
-    for (let i = 1; i <= 12; i++) {
+    for (const month of months) {
       const row = `<tr>
-        <td>${i}</td>
-        <td>€${monthlyRevenue.toFixed(2)}</td>
-        <td>€${monthlyCosts.toFixed(2)}</td>
-        <td>€${monthlyProfit.toFixed(2)}</td>
+        <td>${month.month}</td>
+        <td>€${month.revenue.toFixed(2)}</td>
+        <td>€${month.costs.toFixed(2)}</td>
+        <td>€${(month.revenue - month.costs).toFixed(2)}</td>
       </tr>`;
       tbody.insertAdjacentHTML('beforeend', row);
     }
@@ -1424,6 +1578,8 @@ class DynamicUIGenerator {
           <td>€${month.opening.toFixed(2)}</td>
           <td>€${month.inflow.toFixed(2)}</td>
           <td>€${month.outflow.toFixed(2)}</td>
+          <td>€${month.workingCapital.toFixed(2)}</td>
+          <td>€${month.financing.toFixed(2)}</td>
           <td>€${month.closing.toFixed(2)}</td>
         </tr>`);
     }
@@ -1436,18 +1592,39 @@ class DynamicUIGenerator {
       roiElement.innerHTML = `<div class="roi-summary">Estimated Payback Period: <strong>${combined.totals.paybackYears === Infinity ? 'Never' : combined.totals.paybackYears + ' year(s)'}</strong></div>`;
     }
 
-    // Update ROI KPIs
+    // Update ROI KPIs from the cumulative projected profit
     const roiKPIs = document.getElementById('roiKPIs');
     if (roiKPIs) {
-      const roi1 = (combined.totals.profit / combined.totals.investment) * 100;
-      const roi3 = (combined.totals.profit * 3 / combined.totals.investment) * 100;
-      const roi5 = (combined.totals.profit * 5 / combined.totals.investment) * 100;
+      const cumulativeProfit = (year) => combined.projects.reduce((sum, project) => {
+        const years = project.projection ? project.projection.years : [];
+        const entry = years[Math.min(year, years.length) - 1];
+        return sum + (entry ? entry.cumulativeProfit : project.profit * year);
+      }, 0);
+      const roi1 = (cumulativeProfit(1) / combined.totals.investment) * 100;
+      const roi3 = (cumulativeProfit(3) / combined.totals.investment) * 100;
+      const roi5 = (cumulativeProfit(5) / combined.totals.investment) * 100;
+      const roiAfterTax = (combined.totals.netIncome / combined.totals.investment) * 100;
       
       roiKPIs.innerHTML = `<h3>ROI Percentages</h3><ul>
         <li>Year 1: ${isFinite(roi1) ? roi1.toFixed(1) + '%' : 'N/A'}</li>
         <li>Year 3: ${isFinite(roi3) ? roi3.toFixed(1) + '%' : 'N/A'}</li>
         <li>Year 5: ${isFinite(roi5) ? roi5.toFixed(1) + '%' : 'N/A'}</li>
+        <li>After-tax ROI (Year 1): ${isFinite(roiAfterTax) ? roiAfterTax.toFixed(1) + '%' : 'N/A'}</li>
       </ul>`;
+
+      // Discounted cash flow metrics across the analysed projects
+      if (typeof window.renderInvestmentMetrics === 'function') {
+        const projectIds = combined.projects.map(project => project.typeId);
+        const cashFlows = window.calculationEngine.getCombinedAnnualCashFlows(projectIds);
+        roiKPIs.innerHTML += window.renderInvestmentMetrics(window.calculationEngine.calculateInvestmentMetrics(cashFlows, window.calculationEngine.getCombinedDiscountRate(projectIds)));
+
+        // Equity returns when the project carries debt
+        if (combined.projects.some(project => project.financing && project.financing.loanAmount > 0)) {
+          const leveredCashFlows = window.calculationEngine.getCombinedAnnualCashFlows(projectIds, 1, 1, true);
+          roiKPIs.innerHTML += window.renderInvestmentMetrics(
+            window.calculationEngine.calculateInvestmentMetrics(leveredCashFlows, window.calculationEngine.getCombinedDiscountRate(projectIds)), 'h3', 'Levered Returns (Equity)');
+        }
+      }
     }
   }
 
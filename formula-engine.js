@@ -0,0 +1,350 @@
+// Safe expression language for declarative project type calculations
+// Formulas such as `peakHours * peakRate * peakUtil / 100 * days * weeks * courts` are parsed into a small
+// syntax tree and evaluated against a scope of field values - no eval() or Function() is involved.
+//
+// Supported syntax:
+//   numbers, identifiers (field ids and other scope variables), true / false
+//   arithmetic: + - * / % ^ (power, right-associative), unary - + !
+//   comparison: < <= > >= == !=, logical: && ||, conditional: test ? a : b
+//   whitelisted functions: min, max, abs, round, floor, ceil, sqrt, pow, clamp, if, safeDiv, and any registered helper
+//   dividing by zero with / or % is an error; safeDiv(a, b, fallback = 0) opts into a fallback value instead
+
+class FormulaEvaluator {
+  constructor() {
+    this.astCache = new Map(); // formula string -> parsed syntax tree
+    this.functions = {
+      min: (...args) => Math.min(...args),
+      max: (...args) => Math.max(...args),
+      abs: Math.abs,
+      round: (value, decimals = 0) => {
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+      },
+      floor: Math.floor,
+      ceil: Math.ceil,
+      sqrt: Math.sqrt,
+      pow: Math.pow,
+      clamp: (value, low, high) => Math.min(high, Math.max(low, value)),
+      if: (test, whenTrue, whenFalse) => (test ? whenTrue : whenFalse),
+      safeDiv: (numerator, denominator, fallback = 0) => (denominator === 0 ? fallback : numerator / denominator)
+    };
+  }
+
+  // Register an additional helper function callable from formulas
+  registerFunction(name, fn) {
+    if (typeof fn !== 'function') {
+      throw new Error(`Formula function ${name} must be a function`);
+    }
+    this.functions[name] = fn;
+  }
+
+  // Split a formula into tokens
+  tokenize(formula) {
+    const tokens = [];
+    const source = String(formula);
+    let i = 0;
+
+    while (i < source.length) {
+      const char = source[i];
+
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+
+      if (/[0-9.]/.test(char)) {
+        const match = source.slice(i).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+        if (!match) {
+          throw new Error(`Invalid number at position ${i} in formula: ${source}`);
+        }
+        tokens.push({ type: 'number', value: parseFloat(match[0]) });
+        i += match[0].length;
+        continue;
+      }
+
+      if (/[A-Za-z_]/.test(char)) {
+        const match = source.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+        tokens.push({ type: 'identifier', value: match[0] });
+        i += match[0].length;
+        continue;
+      }
+
+      const twoChar = source.slice(i, i + 2);
+      if (['<=', '>=', '==', '!=', '&&', '||'].includes(twoChar)) {
+        tokens.push({ type: 'operator', value: twoChar });
+        i += 2;
+        continue;
+      }
+
+      if ('+-*/%^<>!?:(),'.includes(char)) {
+        tokens.push({ type: 'operator', value: char });
+        i++;
+        continue;
+      }
+
+      throw new Error(`Unexpected character "${char}" in formula: ${source}`);
+    }
+
+    return tokens;
+  }
+
+  // Parse a formula into a syntax tree (cached per formula string)
+  parse(formula) {
+    const key = String(formula);
+    if (this.astCache.has(key)) {
+      return this.astCache.get(key);
+    }
+
+    const tokens = this.tokenize(key);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const isOperator = (value) => peek() && peek().type === 'operator' && peek().value === value;
+    const expect = (value) => {
+      if (!isOperator(value)) {
+        throw new Error(`Expected "${value}" in formula: ${key}`);
+      }
+      position++;
+    };
+
+    const parseBinary = (next, operators) => () => {
+      let node = next();
+      while (peek() && peek().type === 'operator' && operators.includes(peek().value)) {
+        const op = tokens[position++].value;
+        node = { type: 'binary', op, left: node, right: next() };
+      }
+      return node;
+    };
+
+    const parsePrimary = () => {
+      const token = tokens[position++];
+      if (!token) {
+        throw new Error(`Unexpected end of formula: ${key}`);
+      }
+
+      if (token.type === 'number') {
+        return { type: 'number', value: token.value };
+      }
+
+      if (token.type === 'identifier') {
+        if (token.value === 'true' || token.value === 'false') {
+          return { type: 'number', value: token.value === 'true' ? 1 : 0 };
+        }
+
+        if (isOperator('(')) {
+          position++;
+          const args = [];
+          if (!isOperator(')')) {
+            args.push(parseTernary());
+            while (isOperator(',')) {
+              position++;
+              args.push(parseTernary());
+            }
+          }
+          expect(')');
+          return { type: 'call', name: token.value, args };
+        }
+
+        return { type: 'variable', name: token.value };
+      }
+
+      if (token.value === '(') {
+        const node = parseTernary();
+        expect(')');
+        return node;
+      }
+
+      throw new Error(`Unexpected "${token.value}" in formula: ${key}`);
+    };
+
+    const parsePower = () => {
+      const base = parsePrimary();
+      if (isOperator('^')) {
+        position++;
+        return { type: 'binary', op: '^', left: base, right: parseUnary() };
+      }
+      return base;
+    };
+
+    const parseUnary = () => {
+      if (isOperator('-') || isOperator('+') || isOperator('!')) {
+        const op = tokens[position++].value;
+        return { type: 'unary', op, argument: parseUnary() };
+      }
+      return parsePower();
+    };
+
+    const parseMultiplicative = parseBinary(parseUnary, ['*', '/', '%']);
+    const parseAdditive = parseBinary(parseMultiplicative, ['+', '-']);
+    const parseComparison = parseBinary(parseAdditive, ['<', '<=', '>', '>=']);
+    const parseEquality = parseBinary(parseComparison, ['==', '!=']);
+    const parseAnd = parseBinary(parseEquality, ['&&']);
+    const parseOr = parseBinary(parseAnd, ['||']);
+
+    function parseTernary() {
+      const test = parseOr();
+      if (isOperator('?')) {
+        position++;
+        const consequent = parseTernary();
+        expect(':');
+        const alternate = parseTernary();
+        return { type: 'ternary', test, consequent, alternate };
+      }
+      return test;
+    }
+
+    const ast = parseTernary();
+    if (position < tokens.length) {
+      throw new Error(`Unexpected "${tokens[position].value}" in formula: ${key}`);
+    }
+
+    this.astCache.set(key, ast);
+    return ast;
+  }
+
+  // Evaluate a formula against a scope object of numeric values
+  evaluate(formula, scope = {}) {
+    if (typeof formula === 'number') return formula;
+    return this.evaluateNode(this.parse(formula), scope, formula);
+  }
+
+  // Evaluate a syntax tree node
+  evaluateNode(node, scope, formula) {
+    switch (node.type) {
+      case 'number':
+        return node.value;
+
+      case 'variable':
+        if (!Object.prototype.hasOwnProperty.call(scope, node.name)) {
+          throw new Error(`Unknown variable "${node.name}" in formula: ${formula}`);
+        }
+        return this.toNumber(scope[node.name]);
+
+      case 'unary': {
+        const value = this.evaluateNode(node.argument, scope, formula);
+        if (node.op === '-') return -value;
+        if (node.op === '!') return value ? 0 : 1;
+        return value;
+      }
+
+      case 'binary': {
+        const left = this.evaluateNode(node.left, scope, formula);
+
+        // Short-circuit logical operators
+        if (node.op === '&&') return left ? this.evaluateNode(node.right, scope, formula) : 0;
+        if (node.op === '||') return left ? left : this.evaluateNode(node.right, scope, formula);
+
+        const right = this.evaluateNode(node.right, scope, formula);
+        switch (node.op) {
+          case '+': return left + right;
+          case '-': return left - right;
+          case '*': return left * right;
+          case '/':
+          case '%':
+            if (right === 0) {
+              throw new Error(`Division by zero in formula: ${formula}`);
+            }
+            return node.op === '/' ? left / right : left % right;
+          case '^': return Math.pow(left, right);
+          case '<': return left < right ? 1 : 0;
+          case '<=': return left <= right ? 1 : 0;
+          case '>': return left > right ? 1 : 0;
+          case '>=': return left >= right ? 1 : 0;
+          case '==': return left === right ? 1 : 0;
+          case '!=': return left !== right ? 1 : 0;
+        }
+        throw new Error(`Unsupported operator "${node.op}" in formula: ${formula}`);
+      }
+
+      case 'ternary':
+        return this.evaluateNode(node.test, scope, formula)
+          ? this.evaluateNode(node.consequent, scope, formula)
+          : this.evaluateNode(node.alternate, scope, formula);
+
+      case 'call': {
+        const fn = Object.prototype.hasOwnProperty.call(this.functions, node.name) ? this.functions[node.name] : null;
+        if (!fn) {
+          throw new Error(`Unknown function "${node.name}" in formula: ${formula}`);
+        }
+        return fn(...node.args.map(arg => this.evaluateNode(arg, scope, formula)));
+      }
+    }
+
+    throw new Error(`Invalid formula: ${formula}`);
+  }
+
+  // List the variables a formula reads (used for validation and dependency tracking)
+  getDependencies(formula) {
+    const names = new Set();
+    const visit = (node) => {
+      if (!node) return;
+      if (node.type === 'variable') names.add(node.name);
+      if (node.type === 'unary') visit(node.argument);
+      if (node.type === 'binary') {
+        visit(node.left);
+        visit(node.right);
+      }
+      if (node.type === 'ternary') {
+        visit(node.test);
+        visit(node.consequent);
+        visit(node.alternate);
+      }
+      if (node.type === 'call') node.args.forEach(visit);
+    };
+
+    if (typeof formula === 'string') {
+      visit(this.parse(formula));
+    }
+    return Array.from(names);
+  }
+
+  // Collect the formulas in a nested definition object (e.g. a breakdown tree) into a flat list
+  flattenFormulas(definition) {
+    const formulas = [];
+    const visit = (node) => {
+      for (const value of Object.values(node || {})) {
+        if (value && typeof value === 'object') {
+          visit(value);
+        } else {
+          formulas.push(value);
+        }
+      }
+    };
+    visit(definition);
+    return formulas;
+  }
+
+  // Check that a formula parses and, given the names its scope will hold, that it reads only those;
+  // throws with a descriptive message otherwise
+  validate(formula, knownNames = null) {
+    if (typeof formula === 'number') return true;
+    if (typeof formula !== 'string' || formula.trim() === '') {
+      throw new Error('Formula must be a non-empty string');
+    }
+    this.parse(formula);
+    if (knownNames) {
+      const unknown = this.getDependencies(formula).filter(name => !knownNames.has(name));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown variable "${unknown[0]}" in formula: ${formula}`);
+      }
+    }
+    return true;
+  }
+
+  // Convert scope values (numbers, numeric strings, booleans) to numbers
+  toNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value === 'true') return 1;
+    const parsed = parseFloat(value);
+    return isNaN(parsed) ? 0 : parsed;
+  }
+}
+
+// Global instance
+window.formulaEvaluator = new FormulaEvaluator();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { FormulaEvaluator };
+}
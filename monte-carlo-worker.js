@@ -0,0 +1,39 @@
+// Web Worker for Monte Carlo simulations
+// Loads the calculation engine in the worker so thousands of iterations do not block the page.
+
+// The engine scripts expect a browser window; custom project types arrive with each message instead of localStorage
+self.window = self;
+self.localStorage = {
+  getItem: () => null,
+  setItem: () => {}
+};
+
+importScripts('config.js', 'formula-engine.js', 'calculations.js', 'monte-carlo.js');
+
+self.onmessage = (event) => {
+  const message = event.data;
+  if (message.type !== 'run') return;
+
+  try {
+    const engine = window.calculationEngine;
+    window.projectTypeManager.customTypes = message.customTypes || {};
+    engine.horizonYears = message.horizonYears;
+    engine.discountRate = message.discountRate;
+    engine.priceBasis = message.priceBasis;
+    engine.projectTypes.clear();
+    engine.calculations.clear();
+
+    message.projects.forEach(project => {
+      if (project.data) {
+        engine.registerProjectType(project.typeId, project.data);
+      }
+    });
+
+    const summary = window.monteCarloSimulator.simulate(engine, message.config, (completed, total) => {
+      self.postMessage({ type: 'progress', completed, total });
+    });
+    self.postMessage({ type: 'result', summary });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,326 @@
+// Monte Carlo risk simulation
+// Samples project fields from probability distributions and runs each iteration through the
+// calculation engine's side-effect free evaluate(). Heavy runs are sent to a Web Worker
+// (monte-carlo-worker.js); the same code runs inline when workers are unavailable.
+
+const DISTRIBUTION_TYPES = {
+  normal: { name: 'Normal', params: ['mean', 'stdDev'] },
+  triangular: { name: 'Triangular', params: ['min', 'mode', 'max'] },
+  uniform: { name: 'Uniform', params: ['min', 'max'] },
+  pert: { name: 'PERT', params: ['min', 'mode', 'max'] }
+};
+
+class MonteCarloSimulator {
+  constructor() {
+    this.defaultIterations = 1000;
+    this.maxIterations = 20000;
+    this.histogramBins = 20;
+    this.worker = null;
+  }
+
+  // Seeded pseudo-random generator (mulberry32) so runs can be reproduced; Math.random without a seed
+  createRandom(seed) {
+    if (seed === undefined || seed === null || seed === '') {
+      return Math.random;
+    }
+
+    let state = Math.floor(Number(seed)) >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // Default distribution parameters around a field's current value
+  createDefaultDistribution(projectId, fieldId, baseValue, type = 'triangular') {
+    const spread = Math.abs(baseValue) * 0.2;
+    return {
+      projectId,
+      fieldId,
+      type,
+      min: baseValue - spread,
+      mode: baseValue,
+      max: baseValue + spread,
+      mean: baseValue,
+      stdDev: spread / 2
+    };
+  }
+
+  // Check a distribution's parameters; throws with a descriptive message otherwise
+  validateDistribution(distribution) {
+    const label = `${distribution.projectId}.${distribution.fieldId}`;
+    if (!DISTRIBUTION_TYPES[distribution.type]) {
+      throw new Error(`Unknown distribution type for ${label}: ${distribution.type}`);
+    }
+
+    for (const param of DISTRIBUTION_TYPES[distribution.type].params) {
+      if (!isFinite(parseFloat(distribution[param]))) {
+        throw new Error(`Distribution for ${label} needs a numeric ${param}`);
+      }
+    }
+
+    const min = parseFloat(distribution.min);
+    const mode = parseFloat(distribution.mode);
+    const max = parseFloat(distribution.max);
+    if (distribution.type === 'normal' && parseFloat(distribution.stdDev) < 0) {
+      throw new Error(`Standard deviation for ${label} cannot be negative`);
+    }
+    if (distribution.type === 'uniform' && min > max) {
+      throw new Error(`Minimum for ${label} cannot exceed maximum`);
+    }
+    if ((distribution.type === 'triangular' || distribution.type === 'pert') && !(min <= mode && mode <= max)) {
+      throw new Error(`Distribution for ${label} needs min <= mode <= max`);
+    }
+  }
+
+  // Draw one value from a distribution
+  sample(distribution, random = Math.random) {
+    const min = parseFloat(distribution.min);
+    const mode = parseFloat(distribution.mode);
+    const max = parseFloat(distribution.max);
+
+    switch (distribution.type) {
+      case 'normal':
+        return parseFloat(distribution.mean) + parseFloat(distribution.stdDev) * this.sampleStandardNormal(random);
+
+      case 'uniform':
+        return min + (max - min) * random();
+
+      case 'triangular': {
+        if (max === min) return min;
+        const u = random();
+        const split = (mode - min) / (max - min);
+        return u < split
+          ? min + Math.sqrt(u * (max - min) * (mode - min))
+          : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+      }
+
+      case 'pert': {
+        if (max === min) return min;
+        // Beta distribution with shape 4 weighting towards the mode
+        const alpha = 1 + 4 * (mode - min) / (max - min);
+        const beta = 1 + 4 * (max - mode) / (max - min);
+        const x = this.sampleGamma(alpha, random);
+        const y = this.sampleGamma(beta, random);
+        return min + (max - min) * x / (x + y);
+      }
+    }
+
+    throw new Error(`Unknown distribution type: ${distribution.type}`);
+  }
+
+  // Standard normal sample (Box-Muller)
+  sampleStandardNormal(random) {
+    const u = 1 - random(); // Avoid log(0)
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  // Gamma(shape, 1) sample (Marsaglia-Tsang); used to build beta samples for PERT
+  sampleGamma(shape, random) {
+    if (shape < 1) {
+      return this.sampleGamma(shape + 1, random) * Math.pow(random(), 1 / shape);
+    }
+
+    const d = shape - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+    while (true) {
+      let x;
+      let v;
+      do {
+        x = this.sampleStandardNormal(random);
+        v = 1 + c * x;
+      } while (v <= 0);
+
+      v = v * v * v;
+      const u = random();
+      if (u < 1 - 0.0331 * x * x * x * x || Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) {
+        return d * v;
+      }
+    }
+  }
+
+  // Run the simulation synchronously against an engine with the selected projects registered
+  simulate(engine, config, onProgress = null) {
+    const projectIds = config.projectIds || [];
+    const distributions = config.distributions || [];
+    const iterations = Math.min(this.maxIterations, Math.max(1, Math.round(config.iterations || this.defaultIterations)));
+    const paybackYears = Math.max(1, parseFloat(config.paybackYears) || 5);
+    const random = this.createRandom(config.seed);
+    const offsets = engine.getStartOffsets(projectIds);
+    const discountRate = engine.getCombinedDiscountRate(projectIds);
+
+    distributions.forEach(distribution => this.validateDistribution(distribution));
+
+    const profits = [];
+    const npvs = [];
+    const paybackMonths = [];
+    const progressStep = Math.max(1, Math.floor(iterations / 20));
+
+    for (let i = 0; i < iterations; i++) {
+      const overrides = {};
+      distributions.forEach(distribution => {
+        if (!projectIds.includes(distribution.projectId)) return;
+        overrides[distribution.projectId] = overrides[distribution.projectId] || {};
+        overrides[distribution.projectId][distribution.fieldId] = this.sample(distribution, random);
+      });
+
+      let profit = 0;
+      const cumulativeCash = [];
+      const results = projectIds.map(projectId => engine.evaluate(projectId, overrides[projectId] || {}));
+      results.forEach(result => {
+        const offset = offsets.get(result.typeId);
+        profit += result.profit;
+        // Staggered starts: a project joins the combined cash position at its start offset
+        result.timeSeries.forEach((entry, index) => {
+          cumulativeCash[index + offset] = (cumulativeCash[index + offset] || 0) + entry.cumulativeCash;
+        });
+      });
+      cumulativeCash.length = Math.min(cumulativeCash.length, engine.horizonYears * 12);
+
+      const paybackIndex = cumulativeCash.findIndex(value => value >= 0);
+      // NPV of the offset-shifted combined flows, as on the ROI tab
+      const npv = engine.calculateInvestmentMetrics(engine.combineAnnualCashFlows(results), discountRate).npv;
+      profits.push(profit);
+      npvs.push(npv);
+      paybackMonths.push(paybackIndex === -1 ? null : paybackIndex + 1);
+
+      if (onProgress && ((i + 1) % progressStep === 0 || i + 1 === iterations)) {
+        onProgress(i + 1, iterations);
+      }
+    }
+
+    return {
+      iterations,
+      paybackYears,
+      profit: this.summarize(profits),
+      npv: this.summarize(npvs),
+      probabilityOfLoss: profits.filter(value => value < 0).length / iterations,
+      probabilityOfNegativeNPV: npvs.filter(value => value < 0).length / iterations,
+      probabilityOfPayback: paybackMonths.filter(month => month !== null && month <= paybackYears * 12).length / iterations
+    };
+  }
+
+  // Percentiles and histogram for a list of simulated values
+  summarize(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mean = sorted.reduce((sum, value) => sum + value, 0) / (sorted.length || 1);
+
+    return {
+      mean,
+      min: sorted[0] || 0,
+      max: sorted[sorted.length - 1] || 0,
+      p10: this.percentile(sorted, 10),
+      p50: this.percentile(sorted, 50),
+      p90: this.percentile(sorted, 90),
+      histogram: this.buildHistogram(sorted)
+    };
+  }
+
+  // Linear-interpolated percentile of an ascending list
+  percentile(sorted, percent) {
+    if (sorted.length === 0) return 0;
+    const position = (sorted.length - 1) * percent / 100;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  }
+
+  // Equal-width histogram bins: [{ from, to, count }]
+  buildHistogram(sorted) {
+    if (sorted.length === 0) return [];
+
+    const min = sorted[0];
+    const max = sorted[sorted.length - 1];
+    const binCount = max === min ? 1 : this.histogramBins;
+    const width = (max - min) / binCount || 1;
+    const bins = Array.from({ length: binCount }, (_, i) => ({ from: min + i * width, to: min + (i + 1) * width, count: 0 }));
+
+    sorted.forEach(value => {
+      const index = Math.min(binCount - 1, Math.floor((value - min) / width));
+      bins[index].count++;
+    });
+
+    return bins;
+  }
+
+  // Run a simulation for the given projects; resolves with the summary. Uses a Web Worker when possible.
+  run(config, onProgress = null) {
+    const engine = window.calculationEngine;
+    const projects = (config.projectIds || []).map(typeId => ({
+      typeId,
+      data: engine.projectTypes.get(typeId) || null
+    }));
+    const message = {
+      type: 'run',
+      config,
+      projects,
+      customTypes: window.projectTypeManager ? window.projectTypeManager.customTypes : {},
+      horizonYears: engine.horizonYears,
+      discountRate: engine.discountRate,
+      priceBasis: engine.priceBasis
+    };
+
+    return new Promise((resolve, reject) => {
+      const runInline = () => {
+        try {
+          resolve(this.simulate(engine, config, onProgress));
+        } catch (error) {
+          reject(error);
+        }
+      };
+
+      let worker;
+      try {
+        worker = this.getWorker();
+      } catch (error) {
+        console.warn('Web Worker unavailable, running simulation on the main thread:', error.message);
+      }
+      if (!worker) {
+        setTimeout(runInline, 0);
+        return;
+      }
+
+      worker.onmessage = (event) => {
+        const response = event.data;
+        if (response.type === 'progress') {
+          if (onProgress) onProgress(response.completed, response.total);
+        } else if (response.type === 'result') {
+          resolve(response.summary);
+        } else if (response.type === 'error') {
+          reject(new Error(response.message));
+        }
+      };
+      worker.onerror = (event) => {
+        // Worker scripts can fail to load (e.g. file:// pages); fall back to the main thread
+        event.preventDefault();
+        console.warn('Simulation worker failed, running on the main thread:', event.message);
+        this.worker = null;
+        worker.terminate();
+        runInline();
+      };
+      worker.postMessage(message);
+    });
+  }
+
+  // Lazily create the simulation worker
+  getWorker() {
+    if (typeof Worker === 'undefined') return null;
+    if (!this.worker) {
+      this.worker = new Worker('monte-carlo-worker.js');
+    }
+    return this.worker;
+  }
+}
+
+// Global instance
+window.DISTRIBUTION_TYPES = DISTRIBUTION_TYPES;
+window.monteCarloSimulator = new MonteCarloSimulator();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MonteCarloSimulator, DISTRIBUTION_TYPES };
+}
@@ -42,8 +42,13 @@ function calculateStaffCosts(ids) {
     return sum + getNumberInputValue(countId) * getNumberInputValue(salaryId);
   }, 0);
 }
-let pnlChart, profitTrendChart, costPieChart, roiLineChart, roiBarChart, roiPieChart, roiBreakEvenChart, tornadoChart;
+let pnlChart, profitTrendChart, costPieChart, cohortChart, fleetChart, capexBarChart, roiLineChart, roiBarChart, roiPieChart, roiBreakEvenChart, tornadoChart, spiderChart, riskProfitChart, riskNpvChart;
 function capitalize(str) { return str.charAt(0).toUpperCase() + str.slice(1); }
+// Escape user-entered text (names, notes, error messages) for use in HTML content and attribute values
+function escapeHtml(value) {
+  const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+  return String(value === undefined || value === null ? '' : value).replace(/[&<>"']/g, char => entities[char]);
+}
 
 // --- Vista Tab Navigation & Scroll (excludes Nova/business-analytics) ---
 function showTab(tabId) {
@@ -96,7 +101,7 @@ function showTab(tabId) {
   
   // Legacy Vista tab support
   if (tabId === 'pnl') updatePnL();
-  if (tabId === 'roi') { updateROI(); drawTornadoChart(); }
+  if (tabId === 'roi') { updateROI(); updateSensitivityControls(); drawTornadoChart(); }
   if (tabId === 'summary') generateSummaryReport();
   if (tabId === 'gantt') { renderGanttTaskList(); drawGantt(); }
 }
@@ -129,7 +134,12 @@ function showSubTab(subTabId) {
     updatePnL();
   } else if (subTabId === 'roi') {
     updateROI();
+    updateSensitivityControls();
     drawTornadoChart();
+    updateGoalSeekFields();
+    updateDataTableFields();
+  } else if (subTabId === 'risk') {
+    updateRiskTab();
   } else if (subTabId === 'capex') {
     updateCapExSummary();
   } else if (subTabId === 'summary') {
@@ -279,9 +289,9 @@ function updatePnL() {
   let totalRevenue = 0;
   let totalCosts = 0;
   let totalProfit = 0;
-  let monthlyRevenue = 0;
-  let monthlyCosts = 0;
-  let monthlyProfit = 0;
+  let totalDepreciation = 0;
+  let totalInterest = 0;
+  let totalTax = 0;
   
   const projectData = [];
   
@@ -292,9 +302,9 @@ function updatePnL() {
       totalRevenue += result.revenue.annual;
       totalCosts += result.costs.annual;
       totalProfit += result.profit;
-      monthlyRevenue += result.revenue.monthly;
-      monthlyCosts += result.costs.annual / 12;
-      monthlyProfit += result.profit / 12;
+      totalDepreciation += result.projection ? result.projection.years[0].depreciation : 0;
+      totalInterest += result.projection ? result.projection.years[0].interest : 0;
+      totalTax += result.projection ? result.projection.years[0].tax : 0;
       
       projectData.push({
         name: result.typeName,
@@ -311,11 +321,11 @@ function updatePnL() {
     totalRevenue = 0;
     totalCosts = 0;
     totalProfit = 0;
-    monthlyRevenue = 0;
-    monthlyCosts = 0;
-    monthlyProfit = 0;
   }
   
+  const funding = window.calculationEngine && selectedProjects.length > 0 ?
+    window.calculationEngine.calculateFundingRequirement(selectedProjects, getFundingOptions()) : null;
+  
   const summaryDiv = document.getElementById('pnlSummary');
   if (selectedProjects.length === 0) {
     // Show empty state message when no projects are selected
@@ -336,33 +346,80 @@ function updatePnL() {
       <p><strong>Selected Projects:</strong> ${projectsList}</p>
       <p><b>Total Revenue:</b> €${Math.round(totalRevenue).toLocaleString('en-US')}</p>
       <p><b>Total Costs:</b> €${Math.round(totalCosts).toLocaleString('en-US')}</p>
-      <p><b>Net Profit:</b> €${Math.round(totalProfit).toLocaleString('en-US')}</p>
+      <p><b>Operating Profit (EBITDA):</b> €${Math.round(totalProfit).toLocaleString('en-US')}</p>
+      <p><b>Depreciation (Year 1):</b> €${Math.round(totalDepreciation).toLocaleString('en-US')}</p>
+      <p><b>EBIT:</b> €${Math.round(totalProfit - totalDepreciation).toLocaleString('en-US')}</p>
+      ${totalInterest > 0 ? `
+      <p><b>Interest Expense (Year 1):</b> €${Math.round(totalInterest).toLocaleString('en-US')}</p>
+      ` : ''}
+      <p><b>Profit before Tax:</b> €${Math.round(totalProfit - totalDepreciation - totalInterest).toLocaleString('en-US')}</p>
+      <p><b>Corporate Tax (Year 1):</b> €${Math.round(totalTax).toLocaleString('en-US')}</p>
+      <p><b>Net Profit after Tax:</b> €${Math.round(totalProfit - totalDepreciation - totalInterest - totalTax).toLocaleString('en-US')}</p>
+      ${funding && funding.peakFunding > 0 ? `
+      <p><b>Peak Funding Need:</b> €${Math.round(funding.peakFunding).toLocaleString('en-US')} in month ${funding.minimumMonth} (incl. €${Math.round(funding.workingCapital).toLocaleString('en-US')} working capital)</p>
+      ` : ''}
     `;
   }
   
+  // Month-by-month series for the first year from the calculation engine
+  const cashFlow = window.calculationEngine && selectedProjects.length > 0 ?
+    window.calculationEngine.generateCashFlow(selectedProjects, 12) : [];
+  
   // Monthly breakdown
   const tbody = document.querySelector('#monthlyBreakdown tbody');
   tbody.innerHTML = '';
-  for (let i = 1; i <= 12; i++) {
-    const rev = monthlyRevenue || (totalRevenue / 12);
-    const costs = monthlyCosts || (totalCosts / 12);
-    const profit = monthlyProfit || (totalProfit / 12);
-    const row = `<tr><td>${i}</td><td>€${rev.toFixed(2)}</td><td>€${costs.toFixed(2)}</td><td>€${profit.toFixed(2)}</td></tr>`;
+  cashFlow.forEach(month => {
+    const profit = month.revenue - month.costs;
+    const row = `<tr><td>${month.month}</td><td>€${month.revenue.toFixed(2)}</td><td>€${month.costs.toFixed(2)}</td><td>€${profit.toFixed(2)}</td></tr>`;
     tbody.insertAdjacentHTML('beforeend', row);
+  });
+  
+  // Corporate tax and VAT payable per year
+  const taxSummary = window.calculationEngine && selectedProjects.length > 0 ?
+    window.calculationEngine.getCombinedTaxSummary(selectedProjects) : [];
+  const taxBody = document.querySelector('#taxSummaryTable tbody');
+  if (taxBody) {
+    taxBody.innerHTML = '';
+    taxSummary.forEach(row => {
+      taxBody.insertAdjacentHTML('beforeend',
+        `<tr><td>${row.year}</td><td>€${row.profitBeforeTax.toFixed(2)}</td><td>€${row.tax.toFixed(2)}</td><td>€${row.netIncome.toFixed(2)}</td><td>€${row.lossCarriedForward.toFixed(2)}</td><td>€${row.vatPayable.toFixed(2)}</td></tr>`);
+    });
   }
   
-  // Cash flow calculation
+  // Funding requirement and runway over the full horizon
+  const fundingSummary = document.getElementById('fundingSummary');
+  if (fundingSummary) {
+    fundingSummary.innerHTML = funding ? renderFundingRequirement(funding) : '';
+  }
+  
+  // Multi-year P&L on the selected price basis
+  const multiYearBody = document.querySelector('#multiYearPnlTable tbody');
+  if (multiYearBody) {
+    multiYearBody.innerHTML = '';
+    taxSummary.forEach(row => {
+      multiYearBody.insertAdjacentHTML('beforeend',
+        `<tr><td>${row.year}</td><td>€${row.revenue.toFixed(2)}</td><td>€${row.costs.toFixed(2)}</td><td>€${row.ebitda.toFixed(2)}</td><td>€${row.netIncome.toFixed(2)}</td></tr>`);
+    });
+  }
+  
+  updateProjectScheduleTable(selectedProjects);
+  updateSeasonalityTable(selectedProjects);
+  updateBookingDemandTable(selectedProjects);
+  updateCohortAnalysis(selectedProjects);
+  updateEventPnL(selectedProjects);
+  updateFleetLifecycle(selectedProjects);
+  updatePropertyReturns(selectedProjects);
+  updateUnitEconomics(selectedProjects);
+  updateCostEscalationTable(selectedProjects);
+  updateConsolidatedPnL(selectedProjects);
+  
+  // Cash flow calculation (includes initial investment and one-off items)
   const cashFlowBody = document.querySelector('#cashFlowTable tbody');
-  let opening = 0;
   cashFlowBody.innerHTML = '';
-  for (let i = 1; i <= 12; i++) {
-    const inflow = monthlyRevenue || (totalRevenue / 12);
-    const outflow = monthlyCosts || (totalCosts / 12);
-    const closing = opening + inflow - outflow;
+  cashFlow.forEach(month => {
     cashFlowBody.insertAdjacentHTML('beforeend',
-      `<tr><td>${i}</td><td>€${opening.toFixed(2)}</td><td>€${inflow.toFixed(2)}</td><td>€${outflow.toFixed(2)}</td><td>€${closing.toFixed(2)}</td></tr>`);
-    opening = closing;
-  }
+      `<tr><td>${month.month}</td><td>€${month.opening.toFixed(2)}</td><td>€${month.inflow.toFixed(2)}</td><td>€${month.outflow.toFixed(2)}</td><td>€${month.workingCapital.toFixed(2)}</td><td>€${month.financing.toFixed(2)}</td><td>€${month.closing.toFixed(2)}</td></tr>`);
+  });
   
   // Charts - Only create if Chart.js is available
   if (typeof Chart !== 'undefined') {
@@ -392,7 +449,9 @@ function updatePnL() {
     const profitTrendCanvasEl = document.getElementById('profitTrendChart');
     if (profitTrendCanvasEl) {
       const ctxProfitTrend = profitTrendCanvasEl.getContext('2d');
-      const monthlyProfits = new Array(12).fill(totalProfit / 12);
+      const monthlyProfits = cashFlow.length > 0 ?
+        cashFlow.map(month => month.revenue - month.costs) :
+        new Array(12).fill(0);
       profitTrendChart = new Chart(ctxProfitTrend, {
         type: 'line',
         data: {
@@ -438,6 +497,932 @@ function updatePnL() {
     console.warn('Chart.js not available, skipping P&L charts');
   }
 }
+
+// --- Consolidated P&L (shared-cost pools and cross-sell synergies) ---
+function loadPortfolioSettings() {
+  const settings = JSON.parse(localStorage.getItem('portfolioSettings') || '{}');
+  return { costPools: settings.costPools || [], synergies: settings.synergies || [] };
+}
+function savePortfolioSettings(settings) {
+  localStorage.setItem('portfolioSettings', JSON.stringify(settings));
+}
+
+function updateConsolidatedPnL(selectedProjects) {
+  const settings = loadPortfolioSettings();
+  const engine = window.calculationEngine;
+  const projectName = projectId => escapeHtml(window.projectTypeManager?.getProjectType(projectId)?.name || projectId);
+  const formatMoney = value => `€${Math.round(value).toLocaleString('en-US')}`;
+  
+  // Shared-cost pools editor
+  const poolsBody = document.querySelector('#costPoolsTable tbody');
+  if (poolsBody) {
+    poolsBody.innerHTML = '';
+    settings.costPools.forEach((pool, index) => {
+      const shares = pool.allocation === 'manual' ? selectedProjects.map(projectId => 
+        `<label>${projectName(projectId)} <input type="number" min="0" max="100" step="any" value="${(pool.shares || {})[projectId] || 0}" onchange="updateCostPoolShare(${index}, '${projectId}', this.value)"></label>`
+      ).join(' ') : '';
+      const replaced = (pool.replaces || []).map(item => `${item.projectId}|${item.line}`);
+      const lineOptions = selectedProjects.flatMap(projectId => (engine ? engine.getSharedCostLines(projectId) : []).map(line => {
+        const value = `${projectId}|${line.key}`;
+        return `<option value="${value}" ${replaced.includes(value) ? 'selected' : ''}>${projectName(projectId)}: ${escapeHtml(line.name)} (${formatMoney(line.amount)})</option>`;
+      })).join('');
+      
+      poolsBody.insertAdjacentHTML('beforeend', `<tr>
+        <td><input type="text" value="${escapeHtml(pool.name)}" onchange="updateCostPool(${index}, 'name', this.value)"></td>
+        <td><input type="number" min="0" step="100" value="${pool.annualCost}" onchange="updateCostPool(${index}, 'annualCost', this.value)"></td>
+        <td><select onchange="updateCostPool(${index}, 'allocation', this.value)">
+          <option value="revenue" ${pool.allocation === 'revenue' ? 'selected' : ''}>By revenue</option>
+          <option value="headcount" ${pool.allocation === 'headcount' ? 'selected' : ''}>By headcount</option>
+          <option value="manual" ${pool.allocation === 'manual' ? 'selected' : ''}>Manual %</option>
+        </select></td>
+        <td>${shares}</td>
+        <td><select multiple size="4" onchange="updateCostPoolReplaces(${index}, this)">${lineOptions}</select></td>
+        <td><button type="button" onclick="removeCostPool(${index})">Remove</button></td>
+      </tr>`);
+    });
+  }
+  
+  // Cross-sell synergies editor
+  const synergiesBody = document.querySelector('#synergiesTable tbody');
+  if (synergiesBody) {
+    const fieldOptions = getNumericFieldOptions(selectedProjects);
+    synergiesBody.innerHTML = '';
+    settings.synergies.forEach((synergy, index) => {
+      const source = `${synergy.sourceProjectId}|${synergy.sourceFieldId}`;
+      synergiesBody.insertAdjacentHTML('beforeend', `<tr>
+        <td><input type="text" value="${escapeHtml(synergy.name)}" onchange="updateSynergy(${index}, 'name', this.value)"></td>
+        <td><select onchange="updateSynergy(${index}, 'source', this.value)">
+          ${fieldOptions.map(option => `<option value="${option.projectId}|${option.fieldId}" ${`${option.projectId}|${option.fieldId}` === source ? 'selected' : ''}>${escapeHtml(option.label)}</option>`).join('')}
+        </select></td>
+        <td><input type="number" min="0" max="100" step="any" value="${synergy.conversionRate}" onchange="updateSynergy(${index}, 'conversionRate', this.value)"></td>
+        <td><input type="number" min="0" step="any" value="${synergy.annualValue}" onchange="updateSynergy(${index}, 'annualValue', this.value)"></td>
+        <td><select onchange="updateSynergy(${index}, 'targetProjectId', this.value)">
+          ${selectedProjects.map(projectId => `<option value="${projectId}" ${projectId === synergy.targetProjectId ? 'selected' : ''}>${projectName(projectId)}</option>`).join('')}
+        </select></td>
+        <td><button type="button" onclick="removeSynergy(${index})">Remove</button></td>
+      </tr>`);
+    });
+  }
+  
+  // Stand-alone vs combined figures
+  const consolidatedBody = document.querySelector('#consolidatedPnlTable tbody');
+  if (!consolidatedBody || !engine) return;
+  
+  consolidatedBody.innerHTML = '';
+  let consolidated;
+  try {
+    consolidated = engine.calculateCombinedPL(selectedProjects, settings);
+  } catch (error) {
+    consolidatedBody.innerHTML = `<tr><td colspan="8">${escapeHtml(error.message)}</td></tr>`;
+    return;
+  }
+  
+  const row = (label, standalone, project) => `<tr>
+    <td>${label}</td>
+    <td>${formatMoney(standalone.revenue)}</td>
+    <td>${formatMoney(standalone.costs)}</td>
+    <td>${formatMoney(standalone.profit)}</td>
+    <td>${formatMoney(-project.replacedCosts)}</td>
+    <td>${formatMoney(project.sharedCosts)}</td>
+    <td>${formatMoney(project.synergyRevenue)}</td>
+    <td>${formatMoney(project.combined.profit)}</td>
+  </tr>`;
+  consolidated.projects.forEach(project => {
+    consolidatedBody.insertAdjacentHTML('beforeend', row(escapeHtml(project.typeName), project.standalone, project));
+  });
+  
+  const totals = consolidated.totals;
+  const sumOf = key => consolidated.projects.reduce((sum, project) => sum + project[key], 0);
+  consolidatedBody.insertAdjacentHTML('beforeend', row('<b>Total</b>', totals.standalone, {
+    replacedCosts: sumOf('replacedCosts'),
+    sharedCosts: sumOf('sharedCosts'),
+    synergyRevenue: sumOf('synergyRevenue'),
+    combined: totals.combined
+  }));
+}
+
+function addCostPool() {
+  const settings = loadPortfolioSettings();
+  settings.costPools.push({ name: 'Shared costs', annualCost: 0, allocation: 'revenue', shares: {}, replaces: [] });
+  savePortfolioSettings(settings);
+  updatePnL();
+}
+
+function updateCostPool(index, key, value) {
+  const settings = loadPortfolioSettings();
+  const pool = settings.costPools[index];
+  if (!pool) return;
+  pool[key] = key === 'annualCost' ? (parseFloat(value) || 0) : value;
+  savePortfolioSettings(settings);
+  updatePnL();
+}
+
+function updateCostPoolShare(index, projectId, value) {
+  const settings = loadPortfolioSettings();
+  const pool = settings.costPools[index];
+  if (!pool) return;
+  pool.shares = Object.assign({}, pool.shares, { [projectId]: parseFloat(value) || 0 });
+  savePortfolioSettings(settings);
+  updatePnL();
+}
+
+function updateCostPoolReplaces(index, select) {
+  const settings = loadPortfolioSettings();
+  const pool = settings.costPools[index];
+  if (!pool) return;
+  pool.replaces = Array.from(select.selectedOptions).map(option => {
+    const [projectId, line] = option.value.split('|');
+    return { projectId, line };
+  });
+  savePortfolioSettings(settings);
+  updatePnL();
+}
+
+function removeCostPool(index) {
+  const settings = loadPortfolioSettings();
+  settings.costPools.splice(index, 1);
+  savePortfolioSettings(settings);
+  updatePnL();
+}
+
+function addSynergy() {
+  const selectedProjects = window.selectionStateManager ? 
+    window.selectionStateManager.getSelectedProjectTypes() : [];
+  if (selectedProjects.length < 2) {
+    alert('Select at least two projects to add a cross-sell synergy');
+    return;
+  }
+  
+  const source = getNumericFieldOptions([selectedProjects[0]]).find(option => 
+    window.projectTypeManager.getProjectType(option.projectId).categories.revenue.some(field => field.id === option.fieldId));
+  const settings = loadPortfolioSettings();
+  settings.synergies.push({
+    name: 'Cross-sell',
+    sourceProjectId: selectedProjects[0],
+    sourceFieldId: source ? source.fieldId : '',
+    conversionRate: 10,
+    annualValue: 0,
+    targetProjectId: selectedProjects[1]
+  });
+  savePortfolioSettings(settings);
+  updatePnL();
+}
+
+function updateSynergy(index, key, value) {
+  const settings = loadPortfolioSettings();
+  const synergy = settings.synergies[index];
+  if (!synergy) return;
+  if (key === 'source') {
+    [synergy.sourceProjectId, synergy.sourceFieldId] = value.split('|');
+  } else {
+    synergy[key] = key === 'conversionRate' || key === 'annualValue' ? (parseFloat(value) || 0) : value;
+  }
+  savePortfolioSettings(settings);
+  updatePnL();
+}
+
+function removeSynergy(index) {
+  const settings = loadPortfolioSettings();
+  settings.synergies.splice(index, 1);
+  savePortfolioSettings(settings);
+  updatePnL();
+}
+
+window.addCostPool = addCostPool;
+window.updateCostPool = updateCostPool;
+window.updateCostPoolShare = updateCostPoolShare;
+window.updateCostPoolReplaces = updateCostPoolReplaces;
+window.removeCostPool = removeCostPool;
+window.addSynergy = addSynergy;
+window.updateSynergy = updateSynergy;
+window.removeSynergy = removeSynergy;
+
+// Starting cash and safety buffer inputs for the funding requirement
+function getFundingOptions() {
+  return {
+    startingCash: getNumberInputValue('fundingStartingCash'),
+    safetyBuffer: getNumberInputValue('fundingSafetyBuffer')
+  };
+}
+
+// Render the funding requirement (lowest cash balance, required capital, runway) as a KPI list
+function renderFundingRequirement(funding, headingTag = 'h3') {
+  const formatMoney = value => `€${Math.round(value).toLocaleString('en-US')}`;
+  const runway = funding.runwayMonths === null ?
+    `Covers the full ${window.calculationEngine?.horizonYears || 10}-year horizon` :
+    `${funding.runwayMonths} month(s)`;
+  return `<${headingTag}>Funding Requirement</${headingTag}><ul>
+    <li>Lowest Cumulative Cash: ${formatMoney(funding.minimumBalance)} (month ${funding.minimumMonth})</li>
+    <li>Peak Funding Need: ${formatMoney(funding.peakFunding)}${funding.workingCapital > 0 ? ` (incl. ${formatMoney(funding.workingCapital)} working capital)` : ''}</li>
+    <li>Required Starting Capital (+${funding.safetyBuffer}% buffer): ${formatMoney(funding.requiredCapital)}</li>
+    <li>Runway on ${formatMoney(funding.startingCash)} Starting Cash: ${runway}</li>
+    ${funding.fundingGap > 0 ? `<li>Funding Gap: ${formatMoney(funding.fundingGap)}</li>` : ''}
+  </ul>`;
+}
+
+// Seasonality profile per project: flat, a business-category preset or a custom January-December curve
+// (100 = an average month); it shapes revenue and variable costs month by month
+const SEASONALITY_MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function getSeasonalityPreset(data) {
+  if (data.seasonalityPreset) return data.seasonalityPreset;
+  return Array.isArray(data.seasonality) && data.seasonality.length === 12 ? 'custom' : 'flat';
+}
+
+function updateSeasonalityTable(selectedProjects) {
+  const body = document.querySelector('#seasonalityTable tbody');
+  const engine = window.calculationEngine;
+  if (!body || !engine) return;
+  
+  const presets = Object.values(window.BUSINESS_TYPE_CATEGORIES || {}).filter(category => category.seasonality);
+  body.innerHTML = '';
+  selectedProjects.forEach(projectId => {
+    const projectType = window.projectTypeManager?.getProjectType(projectId);
+    const data = engine.projectTypes.get(projectId);
+    if (!projectType || !data) return;
+    
+    // The project's own business category is offered first
+    const ordered = presets.slice().sort((a, b) => (b.id === projectType.businessType) - (a.id === projectType.businessType));
+    const options = [{ value: 'flat', label: 'Flat' }]
+      .concat(ordered.map(category => ({ value: category.id, label: `${category.name} preset` })))
+      .concat({ value: 'custom', label: 'Custom' });
+    const preset = getSeasonalityPreset(data);
+    const profile = engine.getSeasonalityProfile(data) || new Array(12).fill(100);
+    
+    body.insertAdjacentHTML('beforeend', `<tr>
+      <td>${escapeHtml(projectType.name)}</td>
+      <td><select onchange="setSeasonalityPreset('${projectId}', this.value)">
+        ${options.map(option => `<option value="${option.value}" ${option.value === preset ? 'selected' : ''}>${escapeHtml(option.label)}</option>`).join('')}
+      </select></td>
+      ${profile.map((value, month) => `<td><input type="number" min="0" step="5" value="${value}" onchange="updateSeasonalityMonth('${projectId}', ${month}, this.value)"></td>`).join('')}
+    </tr>`);
+  });
+}
+
+// Switch a project to a seasonality preset; switching to custom starts from the profile currently shown
+function setSeasonalityPreset(projectId, preset) {
+  const engine = window.calculationEngine;
+  const data = engine?.projectTypes.get(projectId);
+  if (!data) return;
+  
+  if (preset === 'custom') {
+    data.seasonality = (engine.getSeasonalityProfile(data) || new Array(12).fill(100)).slice();
+  }
+  data.seasonalityPreset = preset;
+  engine.updateProjectType(projectId, data, ['seasonalityPreset', 'seasonality']);
+  
+  updatePnL();
+}
+
+// Edit one month of a project's profile (turns the profile into a custom one)
+function updateSeasonalityMonth(projectId, month, value) {
+  const engine = window.calculationEngine;
+  const data = engine?.projectTypes.get(projectId);
+  if (!data) return;
+  
+  data.seasonality = (engine.getSeasonalityProfile(data) || new Array(12).fill(100)).slice();
+  data.seasonality[month] = Math.max(0, parseFloat(value) || 0);
+  data.seasonalityPreset = 'custom';
+  engine.updateProjectType(projectId, data, ['seasonalityPreset', 'seasonality']);
+  
+  updatePnL();
+}
+
+window.setSeasonalityPreset = setSeasonalityPreset;
+window.updateSeasonalityMonth = updateSeasonalityMonth;
+
+// Demand model results for booking projects: per slot tier, then realized utilization, revenue per unit of
+// capacity and the value of adding one more unit (e.g. another court)
+function updateBookingDemandTable(selectedProjects) {
+  const body = document.querySelector('#bookingDemandTable tbody');
+  const engine = window.calculationEngine;
+  if (!body || !engine) return;
+  
+  const formatMoney = value => `€${Math.round(value).toLocaleString('en-US')}`;
+  const formatHours = value => Math.round(value).toLocaleString('en-US');
+  body.innerHTML = '';
+  selectedProjects.forEach(projectId => {
+    const result = engine.getCalculation(projectId);
+    if (!result || !result.demand) return;
+    
+    const demand = result.demand;
+    demand.tiers.forEach(tier => {
+      body.insertAdjacentHTML('beforeend', `<tr>
+        <td>${escapeHtml(result.typeName)}</td>
+        <td>${escapeHtml(tier.name)}</td>
+        <td>€${tier.rate.toFixed(2)}</td>
+        <td>${formatHours(tier.requested)}</td>
+        <td>${formatHours(tier.capacity)}</td>
+        <td>${formatHours(tier.spilledIn)}</td>
+        <td>${formatHours(tier.booked)}</td>
+        <td>${formatHours(tier.lost)}</td>
+        <td>${tier.utilization.toFixed(1)}%</td>
+        <td>${formatMoney(tier.revenue)}</td>
+      </tr>`);
+    });
+    
+    const marginal = engine.calculateMarginalCapacity(projectId);
+    const payback = marginal && isFinite(marginal.paybackYears) ? `${marginal.paybackYears.toFixed(1)} years` : 'never';
+    body.insertAdjacentHTML('beforeend', `<tr>
+      <td>${escapeHtml(result.typeName)}</td>
+      <td><b>Total</b></td>
+      <td></td>
+      <td>${formatHours(demand.requested)}</td>
+      <td>${formatHours(demand.capacity)}</td>
+      <td></td>
+      <td>${formatHours(demand.booked)}</td>
+      <td>${formatHours(demand.lost)}</td>
+      <td>${demand.utilization.toFixed(1)}%</td>
+      <td>${formatMoney(demand.revenue)}</td>
+    </tr>
+    <tr><td colspan="10">
+      Revenue per ${demand.unitName}: ${formatMoney(demand.revenuePerUnit)} (${demand.units} in use).
+      ${marginal ? `Adding ${demand.unitName} ${marginal.units}: ${formatMoney(marginal.revenue)} revenue, ${formatMoney(marginal.profit)} operating profit and
+      ${formatMoney(marginal.npv)} NPV for ${formatMoney(marginal.investment)} investment (payback ${payback}).` : ''}
+    </td></tr>`);
+  });
+  
+  if (body.children.length === 0) {
+    body.innerHTML = `<tr><td colspan="10">Turn on "Use Demand Model" for a booking project to model demand against capacity.</td></tr>`;
+  }
+}
+
+// Cohort model metrics for subscription projects and their active members by plan over the horizon
+function updateCohortAnalysis(selectedProjects) {
+  const body = document.querySelector('#cohortMetricsTable tbody');
+  const engine = window.calculationEngine;
+  if (!body || !engine) return;
+  
+  const formatMoney = value => `€${Math.round(value).toLocaleString('en-US')}`;
+  const results = selectedProjects.map(projectId => engine.getCalculation(projectId)).filter(result => result && result.cohorts);
+  body.innerHTML = '';
+  results.forEach(result => {
+    const cohorts = result.cohorts;
+    body.insertAdjacentHTML('beforeend', `<tr>
+      <td>${escapeHtml(result.typeName)}</td>
+      <td>${formatMoney(cohorts.mrr)}</td>
+      <td>${formatMoney(cohorts.arr)}</td>
+      <td>${cohorts.netRevenueRetention === null ? 'n/a' : `${cohorts.netRevenueRetention.toFixed(1)}%`}</td>
+      <td>€${cohorts.arpu.toFixed(2)}</td>
+      <td>${formatMoney(cohorts.ltv)} (${cohorts.lifetimeMonths.toFixed(1)} months)</td>
+      <td>${formatMoney(cohorts.acquisitionCost)}</td>
+      <td>${isFinite(cohorts.cacPaybackMonths) ? `${cohorts.cacPaybackMonths.toFixed(1)} months` : 'never'}</td>
+      <td>${cohorts.ltvToCac === null ? 'n/a' : `${cohorts.ltvToCac.toFixed(1)}×`}</td>
+    </tr>`);
+  });
+  if (results.length === 0) {
+    body.innerHTML = `<tr><td colspan="9">Turn on "Use Cohort Model" for a membership or subscription project to see cohort metrics.</td></tr>`;
+  }
+  
+  if (typeof Chart === 'undefined') return;
+  const canvas = document.getElementById('cohortChart');
+  if (cohortChart) cohortChart.destroy();
+  cohortChart = null;
+  if (!canvas || results.length === 0) return;
+  
+  const colors = ['#3498db', '#2ecc71', '#f39c12', '#9b59b6', '#e74c3c', '#1abc9c'];
+  const datasets = results.flatMap(result => result.cohorts.plans.map((plan, i) => ({
+    label: `${escapeHtml(result.typeName)}: ${plan.name}`,
+    data: result.cohorts.months.map(month => month.byPlan[i]),
+    fill: true,
+    pointRadius: 0
+  }))).map((dataset, i) => Object.assign(dataset, { borderColor: colors[i % colors.length], backgroundColor: `${colors[i % colors.length]}55` }));
+  
+  cohortChart = new Chart(canvas.getContext('2d'), {
+    type: 'line',
+    data: {
+      labels: results[0].cohorts.months.map(month => `Month ${month.month}`),
+      datasets
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: { title: { display: true, text: 'Active Members by Plan' } },
+      scales: { y: { stacked: true, title: { display: true, text: 'Members' } } }
+    }
+  });
+}
+
+// Event calendar editor and per-event P&L for event-based projects. Without a calendar of its own a project runs
+// identical events from its inputs; building the calendar copies those events so each can be edited
+function updateEventPnL(selectedProjects) {
+  const editor = document.getElementById('eventCalendarEditor');
+  const body = document.querySelector('#eventPnlTable tbody');
+  const engine = window.calculationEngine;
+  if (!editor || !body || !engine) return;
+  
+  const formatMoney = value => `€${Math.round(value).toLocaleString('en-US')}`;
+  const formatTickets = value => (value === null ? 'never' : Math.ceil(value).toLocaleString('en-US'));
+  const results = selectedProjects.map(projectId => ({ projectId, result: engine.getCalculation(projectId) }))
+    .filter(({ result }) => result && result.events);
+  editor.innerHTML = '';
+  body.innerHTML = '';
+  
+  results.forEach(({ projectId, result }) => {
+    const calendar = engine.projectTypes.get(projectId).eventCalendar || [];
+    const events = result.events;
+    const unitName = escapeHtml(events.unitName);
+    const typeName = escapeHtml(result.typeName);
+    const monthOptions = month => SEASONALITY_MONTHS.map((name, i) => `<option value="${i + 1}" ${i + 1 === month ? 'selected' : ''}>${name}</option>`).join('');
+    const numberCell = (index, key, value, step = 1) =>
+      `<td><input type="number" min="0" step="${step}" value="${value || 0}" onchange="updateCalendarEvent('${projectId}', ${index}, '${key}', this.value)"></td>`;
+    const itemInputs = (index, list, items, fields) => items.map((item, itemIndex) => `<span>
+      ${fields.map(([key, type]) => `<input type="${type}" value="${escapeHtml(item[key])}" ${type === 'number' ? 'min="0" style="width:6em"' : 'style="width:8em"'}
+        onchange="updateEventItem('${projectId}', ${index}, '${list}', ${itemIndex}, '${key}', this.value)">`).join('')}
+      <button type="button" onclick="removeEventItem('${projectId}', ${index}, '${list}', ${itemIndex})">×</button>
+    </span>`).join('');
+    
+    const rows = calendar.map((event, index) => `<tr>
+      <td><input type="text" value="${escapeHtml(event.name)}" onchange="updateCalendarEvent('${projectId}', ${index}, 'name', this.value)"></td>
+      <td><select onchange="updateCalendarEvent('${projectId}', ${index}, 'month', this.value)">${monthOptions(event.month)}</select></td>
+      ${numberCell(index, 'capacity', event.capacity)}
+      ${numberCell(index, 'sellThrough', event.sellThrough)}
+      ${numberCell(index, 'noShowRate', event.noShowRate)}
+      ${numberCell(index, 'earlyBirdShare', event.earlyBirdShare)}
+      ${numberCell(index, 'earlyBirdDiscount', event.earlyBirdDiscount)}
+      ${numberCell(index, 'fixedCosts', event.fixedCosts, 100)}
+      ${numberCell(index, 'costPerAttendee', event.costPerAttendee)}
+      <td><button type="button" onclick="removeCalendarEvent('${projectId}', ${index})">Remove</button></td>
+    </tr>
+    <tr><td colspan="10">
+      Ticket tiers (name, price €, share %): ${itemInputs(index, 'tiers', event.tiers || [], [['name', 'text'], ['price', 'number'], ['share', 'number']])}
+      <button type="button" onclick="addEventItem('${projectId}', ${index}, 'tiers')">Add Tier</button><br>
+      Sponsorship packages (name, amount €): ${itemInputs(index, 'sponsors', event.sponsors || [], [['name', 'text'], ['amount', 'number']])}
+      <button type="button" onclick="addEventItem('${projectId}', ${index}, 'sponsors')">Add Package</button>
+    </td></tr>`).join('');
+    
+    editor.insertAdjacentHTML('beforeend', `<h4>${typeName}</h4>
+      ${events.custom ? `
+        <table class="breakdown-table"><thead><tr>
+          <th>Name</th><th>Month</th><th>Capacity</th><th>Sold (%)</th><th>No-shows (%)</th><th>Early-bird Tickets (%)</th>
+          <th>Early-bird Discount (%)</th><th>Fixed Costs (€/${unitName})</th><th>Cost per Attendee (€)</th><th></th>
+        </tr></thead><tbody>${rows}</tbody></table>
+        <button type="button" onclick="addCalendarEvent('${projectId}')">Add ${unitName}</button>
+        <button type="button" onclick="clearEventCalendar('${projectId}')">Use Inputs Instead</button>` : `
+        <p>${events.events.length} identical ${unitName}(s) from the project inputs.</p>
+        <button type="button" onclick="buildEventCalendar('${projectId}')">Edit as Calendar</button>`}
+    `);
+    
+    events.events.forEach(event => {
+      body.insertAdjacentHTML('beforeend', `<tr>
+        <td>${typeName}</td>
+        <td>${escapeHtml(event.name)}</td>
+        <td>${SEASONALITY_MONTHS[event.month - 1]}</td>
+        <td>${Math.round(event.ticketsSold)} / ${Math.round(event.capacity)}</td>
+        <td>${Math.round(event.attendees)}</td>
+        <td>${formatMoney(event.revenue)}</td>
+        <td>${formatMoney(event.directCosts)}</td>
+        <td>${formatMoney(event.contribution)} (${event.contributionMargin.toFixed(1)}%)</td>
+        <td>${formatMoney(event.overhead)}</td>
+        <td>${formatMoney(event.profit)}</td>
+        <td>${formatTickets(event.breakEvenTickets)} / ${formatTickets(event.breakEvenTicketsWithOverhead)}</td>
+      </tr>`);
+    });
+    const totals = events.totals;
+    body.insertAdjacentHTML('beforeend', `<tr>
+      <td>${typeName}</td>
+      <td><b>Total</b></td>
+      <td></td>
+      <td>${Math.round(totals.ticketsSold)} / ${Math.round(totals.capacity)}</td>
+      <td>${Math.round(totals.attendees)}</td>
+      <td>${formatMoney(totals.revenue)}</td>
+      <td>${formatMoney(totals.directCosts)}</td>
+      <td>${formatMoney(totals.contribution)} (${totals.contributionMargin.toFixed(1)}%)</td>
+      <td>${formatMoney(totals.overhead)}</td>
+      <td>${formatMoney(totals.profit)}</td>
+      <td></td>
+    </tr>`);
+  });
+  
+  if (results.length === 0) {
+    body.innerHTML = `<tr><td colspan="11">Select a conference or workshop project to see its per-event P&L.</td></tr>`;
+  }
+}
+
+// Apply an edit to a copy of a project's event calendar and recalculate
+function editEventCalendar(projectId, edit) {
+  const engine = window.calculationEngine;
+  const data = engine?.projectTypes.get(projectId);
+  if (!data) return;
+  
+  const calendar = JSON.parse(JSON.stringify(data.eventCalendar || []));
+  edit(calendar);
+  data.eventCalendar = calendar;
+  engine.updateProjectType(projectId, data, ['eventCalendar']);
+  
+  updatePnL();
+}
+
+// Start a calendar from the identical events the inputs describe (per-event staff fees become event costs)
+function buildEventCalendar(projectId) {
+  const engine = window.calculationEngine;
+  const projectType = window.projectTypeManager?.getProjectType(projectId);
+  const data = engine?.projectTypes.get(projectId);
+  if (!projectType || !data) return;
+  
+  const calendar = engine.getEventCalendar(projectType, Object.assign({}, data, { eventCalendar: [] }));
+  editEventCalendar(projectId, events => {
+    calendar.events.forEach(event => events.push({
+      name: event.name,
+      month: event.month,
+      capacity: event.capacity,
+      sellThrough: event.capacity > 0 ? (event.ticketsSold / event.capacity) * 100 : 0,
+      noShowRate: 0,
+      tiers: event.tiers,
+      earlyBirdShare: 0,
+      earlyBirdDiscount: 0,
+      sponsors: event.sponsors,
+      fixedCosts: event.fixedCosts + event.staffCosts,
+      costPerAttendee: 0
+    }));
+  });
+}
+
+function clearEventCalendar(projectId) {
+  if (!confirm('Remove this calendar and go back to identical events from the project inputs?')) return;
+  editEventCalendar(projectId, events => { events.length = 0; });
+}
+
+function addCalendarEvent(projectId) {
+  editEventCalendar(projectId, events => {
+    const last = events[events.length - 1];
+    events.push(last ? Object.assign(JSON.parse(JSON.stringify(last)), { name: `${last.name} (copy)` }) :
+      { name: 'New event', month: 1, capacity: 100, sellThrough: 80, noShowRate: 0, tiers: [{ name: 'Standard', price: 100, share: 100 }], sponsors: [], fixedCosts: 0, costPerAttendee: 0 });
+  });
+}
+
+function updateCalendarEvent(projectId, index, key, value) {
+  editEventCalendar(projectId, events => {
+    if (!events[index]) return;
+    events[index][key] = key === 'name' ? value : Math.max(0, parseFloat(value) || 0);
+  });
+}
+
+function removeCalendarEvent(projectId, index) {
+  editEventCalendar(projectId, events => { events.splice(index, 1); });
+}
+
+// Ticket tiers and sponsorship packages of one event ('tiers' or 'sponsors')
+function addEventItem(projectId, index, list) {
+  editEventCalendar(projectId, events => {
+    if (!events[index]) return;
+    events[index][list] = (events[index][list] || []).concat(list === 'tiers' ? { name: 'VIP', price: 0, share: 0 } : { name: 'Sponsor', amount: 0 });
+  });
+}
+
+function updateEventItem(projectId, index, list, itemIndex, key, value) {
+  editEventCalendar(projectId, events => {
+    const item = events[index] && (events[index][list] || [])[itemIndex];
+    if (!item) return;
+    item[key] = key === 'name' ? value : Math.max(0, parseFloat(value) || 0);
+  });
+}
+
+function removeEventItem(projectId, index, list, itemIndex) {
+  editEventCalendar(projectId, events => {
+    if (events[index] && events[index][list]) events[index][list].splice(itemIndex, 1);
+  });
+}
+
+window.buildEventCalendar = buildEventCalendar;
+window.clearEventCalendar = clearEventCalendar;
+window.addCalendarEvent = addCalendarEvent;
+window.updateCalendarEvent = updateCalendarEvent;
+window.removeCalendarEvent = removeCalendarEvent;
+window.addEventItem = addEventItem;
+window.updateEventItem = updateEventItem;
+window.removeEventItem = removeEventItem;
+
+// Fleet lifecycle for rental projects with the fleet model on: fleet economics, the acquisition schedule,
+// the value of each replacement age and the fleet size over the horizon
+function updateFleetLifecycle(selectedProjects) {
+  const body = document.querySelector('#fleetMetricsTable tbody');
+  const replacementBody = document.querySelector('#fleetReplacementTable tbody');
+  const editor = document.getElementById('fleetAcquisitionsEditor');
+  const engine = window.calculationEngine;
+  if (!body || !replacementBody || !editor || !engine) return;
+  
+  const formatMoney = value => `€${Math.round(value).toLocaleString('en-US')}`;
+  const results = selectedProjects.map(projectId => ({ projectId, result: engine.getCalculation(projectId) }))
+    .filter(({ result }) => result && result.fleet);
+  body.innerHTML = '';
+  replacementBody.innerHTML = '';
+  editor.innerHTML = '';
+  
+  results.forEach(({ projectId, result }) => {
+    const fleet = result.fleet;
+    const last = fleet.months[fleet.months.length - 1];
+    body.insertAdjacentHTML('beforeend', `<tr>
+      <td>${escapeHtml(result.typeName)}</td>
+      <td>${fleet.months[0].fleet} → ${last.fleet}</td>
+      <td>€${fleet.revenuePerAvailableDay.toFixed(2)}</td>
+      <td>${fleet.utilization.toFixed(1)}%</td>
+      <td>${formatMoney(fleet.purchases)}</td>
+      <td>${formatMoney(fleet.disposals)}</td>
+      <td>${fleet.replacementAge > 0 ? `${fleet.replacementAge} years` : 'never'} / ${fleet.optimalReplacementAge} years</td>
+    </tr>`);
+    
+    fleet.replacementAges.forEach(entry => {
+      const optimal = entry.age === fleet.optimalReplacementAge;
+      replacementBody.insertAdjacentHTML('beforeend', `<tr>
+        <td>${escapeHtml(result.typeName)}</td>
+        <td>${optimal ? `<b>${entry.age} (optimal)</b>` : entry.age}</td>
+        <td>${formatMoney(entry.resaleValue)}</td>
+        <td>${formatMoney(entry.equivalentAnnualValue)}</td>
+      </tr>`);
+    });
+    
+    const acquisitions = engine.projectTypes.get(projectId).fleetAcquisitions || [];
+    editor.insertAdjacentHTML('beforeend', `<h4>${escapeHtml(result.typeName)}: Vehicle Acquisitions</h4>
+      <table class="breakdown-table"><thead><tr><th>Trading Month</th><th>Vehicles Added</th><th></th></tr></thead><tbody>
+        ${acquisitions.map((item, index) => `<tr>
+          <td><input type="number" min="1" step="1" value="${item.month}" onchange="updateFleetAcquisition('${projectId}', ${index}, 'month', this.value)"></td>
+          <td><input type="number" min="0" step="1" value="${item.count}" onchange="updateFleetAcquisition('${projectId}', ${index}, 'count', this.value)"></td>
+          <td><button type="button" onclick="removeFleetAcquisition('${projectId}', ${index})">Remove</button></td>
+        </tr>`).join('')}
+      </tbody></table>
+      <button type="button" onclick="addFleetAcquisition('${projectId}')">Add Acquisition</button>`);
+  });
+  
+  if (results.length === 0) {
+    body.innerHTML = `<tr><td colspan="7">Turn on "Use Fleet Lifecycle Model" for a rental project to model its fleet.</td></tr>`;
+  }
+  
+  if (typeof Chart === 'undefined') return;
+  const canvas = document.getElementById('fleetChart');
+  if (fleetChart) fleetChart.destroy();
+  fleetChart = null;
+  if (!canvas || results.length === 0) return;
+  
+  const colors = ['#3498db', '#2ecc71', '#f39c12', '#9b59b6'];
+  fleetChart = new Chart(canvas.getContext('2d'), {
+    type: 'line',
+    data: {
+      labels: results[0].result.fleet.months.map(month => `Month ${month.month}`),
+      datasets: results.map(({ result }, i) => ({
+        label: result.typeName,
+        data: result.fleet.months.map(month => month.fleet),
+        borderColor: colors[i % colors.length],
+        stepped: true,
+        pointRadius: 0
+      }))
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: { title: { display: true, text: 'Fleet Size' } },
+      scales: { y: { beginAtZero: true, title: { display: true, text: 'Vehicles' } } }
+    }
+  });
+}
+
+// Acquisition schedule of a rental project's fleet (vehicles added in a trading month)
+function editFleetAcquisitions(projectId, edit) {
+  const engine = window.calculationEngine;
+  const data = engine?.projectTypes.get(projectId);
+  if (!data) return;
+  
+  const acquisitions = (data.fleetAcquisitions || []).map(item => Object.assign({}, item));
+  edit(acquisitions);
+  data.fleetAcquisitions = acquisitions.sort((a, b) => a.month - b.month);
+  engine.updateProjectType(projectId, data, ['fleetAcquisitions']);
+  
+  updatePnL();
+}
+
+function addFleetAcquisition(projectId) {
+  editFleetAcquisitions(projectId, acquisitions => {
+    const last = acquisitions[acquisitions.length - 1];
+    acquisitions.push({ month: last ? last.month + 12 : 13, count: 1 });
+  });
+}
+
+function updateFleetAcquisition(projectId, index, key, value) {
+  editFleetAcquisitions(projectId, acquisitions => {
+    if (!acquisitions[index]) return;
+    acquisitions[index][key] = Math.max(key === 'month' ? 1 : 0, Math.round(parseFloat(value) || 0));
+  });
+}
+
+function removeFleetAcquisition(projectId, index) {
+  editFleetAcquisitions(projectId, acquisitions => { acquisitions.splice(index, 1); });
+}
+
+window.addFleetAcquisition = addFleetAcquisition;
+window.updateFleetAcquisition = updateFleetAcquisition;
+window.removeFleetAcquisition = removeFleetAcquisition;
+
+// Rent roll editor and property returns for real estate projects: units and leases, then yield on cost,
+// cash-on-cash, equity multiple and the exit valuation when the property is sold at the horizon end
+function updatePropertyReturns(selectedProjects) {
+  const body = document.querySelector('#propertyReturnsTable tbody');
+  const editor = document.getElementById('rentRollEditor');
+  const engine = window.calculationEngine;
+  if (!body || !editor || !engine) return;
+  
+  const formatMoney = value => `€${Math.round(value).toLocaleString('en-US')}`;
+  const formatPercent = value => (value === null ? 'n/a' : `${value.toFixed(2)}%`);
+  const results = selectedProjects.map(projectId => ({ projectId, result: engine.getCalculation(projectId) }))
+    .filter(({ result }) => result && result.property);
+  body.innerHTML = '';
+  editor.innerHTML = '';
+  
+  results.forEach(({ projectId, result }) => {
+    const property = result.property;
+    const rentRoll = property.rentRoll;
+    const exit = property.exit;
+    const typeName = escapeHtml(result.typeName);
+    body.insertAdjacentHTML('beforeend', `<tr>
+      <td>${typeName}</td>
+      <td>${rentRoll ? `${formatMoney(rentRoll.annualRent)} (${rentRoll.occupancy.toFixed(1)}% let)` : 'Single unit'}</td>
+      <td>${rentRoll && rentRoll.walt !== null ? `${rentRoll.walt.toFixed(1)} years` : 'n/a'}</td>
+      <td>${formatMoney(property.noi)}</td>
+      <td>${formatPercent(property.yieldOnCost)}</td>
+      <td>${formatPercent(property.cashOnCash)}</td>
+      <td>${property.equityMultiple === null ? 'n/a' : `${property.equityMultiple.toFixed(2)}×`}</td>
+      <td>${exit ? `${formatMoney(exit.salePrice)} (${exit.method === 'appreciation' ? 'appreciation' : 'cap rate'}; ${formatMoney(exit.netProceeds)} net)` : 'Not sold'}</td>
+    </tr>`);
+    
+    if (!rentRoll) return;
+    const units = engine.projectTypes.get(projectId).rentRoll || [];
+    const cell = (index, key, value, type = 'number') =>
+      `<td><input type="${type}" value="${escapeHtml(value)}" ${type === 'number' ? 'min="0"' : ''} onchange="updateRentRollUnit('${projectId}', ${index}, '${key}', this.value)"></td>`;
+    editor.insertAdjacentHTML('beforeend', `<h4>${typeName}: Rent Roll</h4>
+      <table class="breakdown-table"><thead><tr>
+        <th>Unit</th><th>Tenant</th><th>Monthly Rent (€)</th><th>Lease Start</th><th>Lease End</th><th>Escalation (%/year)</th><th>Tenant Improvements (€)</th><th></th>
+      </tr></thead><tbody>
+        ${units.map((unit, index) => `<tr>
+          ${cell(index, 'unit', unit.unit, 'text')}
+          ${cell(index, 'tenant', unit.tenant, 'text')}
+          ${cell(index, 'monthlyRent', unit.monthlyRent)}
+          ${cell(index, 'leaseStart', unit.leaseStart, 'month')}
+          ${cell(index, 'leaseEnd', unit.leaseEnd, 'month')}
+          ${cell(index, 'escalation', unit.escalation)}
+          ${cell(index, 'tenantImprovements', unit.tenantImprovements)}
+          <td><button type="button" onclick="removeRentRollUnit('${projectId}', ${index})">Remove</button></td>
+        </tr>`).join('')}
+      </tbody></table>
+      <button type="button" onclick="addRentRollUnit('${projectId}')">Add Unit</button>`);
+  });
+  
+  if (results.length === 0) {
+    body.innerHTML = `<tr><td colspan="8">Select a real estate project to see its property returns.</td></tr>`;
+  }
+}
+
+// Units and leases of a real estate project's rent roll
+function editRentRoll(projectId, edit) {
+  const engine = window.calculationEngine;
+  const data = engine?.projectTypes.get(projectId);
+  if (!data) return;
+  
+  const units = (data.rentRoll || []).map(unit => Object.assign({}, unit));
+  edit(units, data);
+  data.rentRoll = units;
+  engine.updateProjectType(projectId, data, ['rentRoll']);
+  
+  updatePnL();
+}
+
+// New units start as a copy of the single-unit rent, let from opening with the annual rent increase
+function addRentRollUnit(projectId) {
+  editRentRoll(projectId, (units, data) => {
+    units.push({
+      unit: `Unit ${units.length + 1}`,
+      tenant: '',
+      monthlyRent: parseFloat(data.monthlyRent) || 0,
+      leaseStart: '',
+      leaseEnd: '',
+      escalation: parseFloat(data.rentIncrease) || 0,
+      tenantImprovements: 0
+    });
+  });
+}
+
+function updateRentRollUnit(projectId, index, key, value) {
+  editRentRoll(projectId, units => {
+    if (!units[index]) return;
+    units[index][key] = ['unit', 'tenant', 'leaseStart', 'leaseEnd'].includes(key) ? value : (parseFloat(value) || 0);
+  });
+}
+
+function removeRentRollUnit(projectId, index) {
+  editRentRoll(projectId, units => { units.splice(index, 1); });
+}
+
+window.addRentRollUnit = addRentRollUnit;
+window.updateRentRollUnit = updateRentRollUnit;
+window.removeRentRollUnit = removeRentRollUnit;
+
+// E-commerce unit economics: the P&L per order and per year with each cost of sale on its own line, and the
+// marketing funnel by channel with CAC and ROAS
+function updateUnitEconomics(selectedProjects) {
+  const body = document.querySelector('#unitEconomicsTable tbody');
+  const funnelBody = document.querySelector('#marketingFunnelTable tbody');
+  const engine = window.calculationEngine;
+  if (!body || !funnelBody || !engine) return;
+  
+  const formatMoney = value => `${value < 0 ? '-' : ''}€${Math.abs(value).toLocaleString('en-US', { maximumFractionDigits: 0 })}`;
+  const formatUnit = value => `${value < 0 ? '-' : ''}€${Math.abs(value).toFixed(2)}`;
+  const results = selectedProjects.map(projectId => engine.getCalculation(projectId))
+    .filter(result => result && result.unitEconomics);
+  body.innerHTML = '';
+  funnelBody.innerHTML = '';
+  
+  results.forEach(result => {
+    const { annual, perOrder, channels } = result.unitEconomics;
+    const orders = result.unitEconomics.orders;
+    const typeName = escapeHtml(result.typeName);
+    const unitCosts = annual.cogs + annual.paymentFees + annual.fulfilment + annual.returnHandling + annual.marketing;
+    const otherOperating = result.costs.operating - unitCosts;
+    const lines = [
+      ['Gross Sales', annual.grossSales],
+      ['Refunds', -annual.refunds],
+      ['Net Revenue', annual.netRevenue, true],
+      ['Cost of Goods Sold', -annual.cogs],
+      ['Payment Processing', -annual.paymentFees],
+      ['Shipping & Fulfilment', -annual.fulfilment],
+      ['Return Handling', -annual.returnHandling],
+      ['Contribution', annual.contribution, true],
+      ['Marketing', -annual.marketing],
+      ['Contribution after Marketing', annual.contributionAfterMarketing, true],
+      ['Other Operating Costs', -otherOperating],
+      ['Staffing', -result.costs.staffing],
+      ['EBITDA', annual.contributionAfterMarketing - otherOperating - result.costs.staffing, true]
+    ];
+    lines.forEach(([name, value, subtotal]) => {
+      const cells = [typeName, name, formatMoney(value), orders > 0 ? formatUnit(value / orders) : '-'];
+      body.insertAdjacentHTML('beforeend', `<tr>${cells.map(cell => `<td>${subtotal ? `<b>${cell}</b>` : cell}</td>`).join('')}</tr>`);
+    });
+    
+    channels.forEach(channel => {
+      funnelBody.insertAdjacentHTML('beforeend', `<tr>
+        <td>${typeName}</td>
+        <td>${escapeHtml(channel.name)}</td>
+        <td>${Math.round(channel.visits).toLocaleString('en-US')}</td>
+        <td>${channel.conversion.toFixed(2)}%</td>
+        <td>${channel.orders.toFixed(0)}</td>
+        <td>${formatMoney(channel.spend)}</td>
+        <td>${channel.cac === null ? 'n/a' : formatUnit(channel.cac)}</td>
+        <td>${channel.roas === null ? 'n/a' : `${channel.roas.toFixed(2)}×`}</td>
+      </tr>`);
+    });
+    funnelBody.insertAdjacentHTML('beforeend', `<tr>
+      <td><b>${typeName}</b></td>
+      <td><b>All Channels</b></td>
+      <td><b>${Math.round(channels.reduce((sum, channel) => sum + channel.visits, 0)).toLocaleString('en-US')}</b></td>
+      <td></td>
+      <td><b>${(orders / 12).toFixed(0)}</b></td>
+      <td><b>${formatMoney(annual.marketing / 12)}</b></td>
+      <td><b>${formatUnit(perOrder.marketing)}</b></td>
+      <td><b>${result.unitEconomics.roas === null ? 'n/a' : `${result.unitEconomics.roas.toFixed(2)}×`}</b></td>
+    </tr>`);
+  });
+  
+  if (results.length === 0) {
+    body.innerHTML = `<tr><td colspan="4">Turn on "Use Unit Economics Model" for an e-commerce project to see its unit economics.</td></tr>`;
+  }
+}
+
+// Per-line cost escalation settings; a blank rate follows the line's index (CPI, wages or energy)
+function updateCostEscalationTable(selectedProjects) {
+  const body = document.querySelector('#costEscalationTable tbody');
+  if (!body) return;
+  
+  const indexNames = { cpi: 'CPI', wages: 'Wage growth', energy: 'Energy', none: 'None' };
+  const engine = window.calculationEngine;
+  body.innerHTML = '';
+  selectedProjects.forEach(projectId => {
+    const projectType = window.projectTypeManager?.getProjectType(projectId);
+    const data = engine?.projectTypes.get(projectId);
+    if (!projectType || !data) return;
+    
+    engine.getEscalationLines(projectType, data).forEach(line => {
+      body.insertAdjacentHTML('beforeend', `<tr>
+        <td>${escapeHtml(projectType.name)}</td>
+        <td>${escapeHtml(line.name)}</td>
+        <td>${indexNames[line.index] || line.index}</td>
+        <td><input type="number" step="0.1" value="${line.overridden ? line.rate : ''}" placeholder="${line.rate}"
+                   onchange="updateCostEscalation('${projectId}', '${line.id}', this.value)"></td>
+      </tr>`);
+    });
+  });
+}
+
+// Override the escalation rate of one cost line (blank to follow its index) and recalculate its project
+function updateCostEscalation(projectId, fieldId, value) {
+  const engine = window.calculationEngine;
+  const data = engine?.projectTypes.get(projectId);
+  if (!data) return;
+  
+  const key = `${fieldId}_escalationRate`;
+  data[key] = value === '' ? '' : (parseFloat(value) || 0);
+  engine.updateProjectType(projectId, data, [key]);
+  
+  updatePnL();
+}
+window.updateCostEscalation = updateCostEscalation;
+
 function getTotalInvestment() {
   return (
     getNumberInputValue('padelGround') +
@@ -474,6 +1459,8 @@ function updateROI() {
   let totalCosts = 0;
   let totalInvestment = 0;
   let projectData = [];
+  const horizonYears = window.calculationEngine?.horizonYears || 10;
+  const annualProfits = new Array(horizonYears).fill(0);
   
   // Calculate totals for selected projects using centralized calculation engine
   selectedProjects.forEach(projectId => {
@@ -485,7 +1472,14 @@ function updateROI() {
       
       totalRevenue += adjustedRevenue;
       totalCosts += adjustedCosts;
-      totalInvestment += result.investment.total;
+      totalInvestment += result.investment;
+      
+      // Sum the adjusted per-year profit from the project's projection
+      const projectionYears = result.projection ? result.projection.years : [];
+      annualProfits.forEach((_, idx) => {
+        const entry = projectionYears[idx];
+        annualProfits[idx] += entry ? (entry.revenue * revAdjust - entry.costs * costAdjust) : adjustedProfit;
+      });
       
       projectData.push({
         id: projectId,
@@ -493,25 +1487,46 @@ function updateROI() {
         revenue: adjustedRevenue,
         costs: adjustedCosts,
         profit: adjustedProfit,
-        investment: result.investment.total
+        investment: result.investment
       });
     }
   });
   
   const annualProfit = totalRevenue - totalCosts;
-  const paybackYears = annualProfit > 0 ? Math.ceil(totalInvestment / annualProfit) : '∞';
-  document.getElementById('yearsToROIText').innerHTML = `<div class="roi-summary">Estimated Payback Period: <b>${paybackYears} year(s)</b></div>`;
+  const years = annualProfits.map((_, i) => i + 1);
   let cumulativeProfit = 0;
-  const years = [...Array(10).keys()].map(i => i + 1);
-  const cumulativeProfits = years.map(year => {
-    cumulativeProfit += annualProfit;
+  const cumulativeProfits = annualProfits.map(profit => {
+    cumulativeProfit += profit;
     return cumulativeProfit;
   });
+  
+  // Cumulative cash of the adjusted combined cash flows (staggered starts, construction drawdowns and one-offs included);
+  // year 0 holds the upfront investment
+  const cashFlows = window.calculationEngine && selectedProjects.length > 0
+    ? window.calculationEngine.getCombinedAnnualCashFlows(selectedProjects, revAdjust, costAdjust)
+    : new Array(horizonYears + 1).fill(0);
+  let cumulativeCash = cashFlows[0];
+  const cumulativeCashByYear = cashFlows.slice(1).map(cashFlow => {
+    cumulativeCash += cashFlow;
+    return cumulativeCash;
+  });
+  
+  // Payback is the first year cumulative cash turns non-negative; extrapolate past the horizon
+  const paybackIndex = totalInvestment > 0 ? cumulativeCashByYear.findIndex(val => val >= 0) : -1;
+  const lastCashFlow = cashFlows[cashFlows.length - 1];
+  let paybackYears = '∞';
+  if (paybackIndex >= 0) {
+    paybackYears = paybackIndex + 1;
+  } else if (totalInvestment > 0 && lastCashFlow > 0) {
+    paybackYears = horizonYears + Math.ceil(-cumulativeCash / lastCashFlow);
+  }
+  document.getElementById('yearsToROIText').innerHTML = `<div class="roi-summary">Estimated Payback Period: <b>${paybackYears} year(s)</b> <small>(${horizonYears}-year projection)</small></div>`;
+  
   const paybackBody = document.querySelector('#paybackTable tbody');
   if (paybackBody) {
     paybackBody.innerHTML = '';
     cumulativeProfits.forEach((val, idx) => {
-      paybackBody.insertAdjacentHTML('beforeend', `<tr><td>${years[idx]}</td><td>€${val.toFixed(2)}</td></tr>`);
+      paybackBody.insertAdjacentHTML('beforeend', `<tr><td>${years[idx]}</td><td>€${annualProfits[idx].toFixed(2)}</td><td>€${val.toFixed(2)}</td><td>€${cumulativeCashByYear[idx].toFixed(2)}</td></tr>`);
     });
   }
   // Skip chart generation if Chart is not available (CDN blocked)
@@ -583,7 +1598,7 @@ function updateROI() {
     });
   }
   
-  // Break-even Chart: Cumulative Profit vs Investment
+  // Break-even Chart: Cumulative Cash against the break-even line, matching the payback period
   if (breakEvenCanvas) {
     const ctxBreakEven = breakEvenCanvas.getContext('2d');
     roiBreakEvenChart = new Chart(ctxBreakEven, {
@@ -592,16 +1607,16 @@ function updateROI() {
         labels: years.map(y => `Year ${y}`),
         datasets: [
           {
-            label: 'Cumulative Profit',
-            data: cumulativeProfits,
+            label: 'Cumulative Cash',
+            data: cumulativeCashByYear,
             borderColor: '#27ae60',
             fill: false,
             tension: 0.2,
             pointRadius: 3,
           },
           {
-            label: 'Total Investment',
-            data: new Array(years.length).fill(totalInvestment),
+            label: 'Break-even',
+            data: new Array(years.length).fill(0),
             borderColor: '#c0392b',
             borderDash: [10, 5],
             fill: false,
@@ -613,157 +1628,685 @@ function updateROI() {
       options: { responsive: true, maintainAspectRatio: false }
     });
   }
-  // Update ROI KPIs
-  const roiKPIs = document.getElementById('roiKPIs');
-  const roiPercentages = [
-    { year: 1, roi: annualProfit / totalInvestment * 100 },
-    { year: 3, roi: annualProfit * 3 / totalInvestment * 100 },
-    { year: 5, roi: annualProfit * 5 / totalInvestment * 100 }
-  ];
-  roiKPIs.innerHTML = '<h3>ROI Percentages</h3><ul>' + roiPercentages.map(item => {
-    return `<li>Year ${item.year}: ${isFinite(item.roi) ? item.roi.toFixed(1) + '%' : 'N/A'}</li>`;
-  }).join('') + '</ul>';
+  // Update ROI KPIs
+  const roiKPIs = document.getElementById('roiKPIs');
+  const cumulativeAt = year => cumulativeProfits[Math.min(year, horizonYears) - 1];
+  const roiPercentages = [
+    { year: 1, roi: cumulativeAt(1) / totalInvestment * 100 },
+    { year: 3, roi: cumulativeAt(3) / totalInvestment * 100 },
+    { year: 5, roi: cumulativeAt(5) / totalInvestment * 100 }
+  ];
+  const afterTaxProfit = selectedProjects.reduce((sum, projectId) => {
+    const result = window.calculationEngine?.getCalculation(projectId);
+    return sum + (result && result.projection ? result.projection.years[0].netIncome : 0);
+  }, 0);
+  const afterTaxRoi = afterTaxProfit / totalInvestment * 100;
+  roiKPIs.innerHTML = '<h3>ROI Percentages</h3><ul>' + roiPercentages.map(item => {
+    return `<li>Year ${item.year}: ${isFinite(item.roi) ? item.roi.toFixed(1) + '%' : 'N/A'}</li>`;
+  }).join('') + `<li>After-tax ROI (Year 1): ${isFinite(afterTaxRoi) ? afterTaxRoi.toFixed(1) + '%' : 'N/A'}</li>` + '</ul>';
+  
+  // Discounted cash flow metrics on the adjusted combined cash flows
+  if (window.calculationEngine && selectedProjects.length > 0) {
+    const engine = window.calculationEngine;
+    const debtSchedule = engine.getCombinedDebtSchedule(selectedProjects, revAdjust, costAdjust);
+    const hasDebt = debtSchedule.some(row => row.debtService > 0);
+    
+    if (hasDebt) {
+      const leveredCashFlows = engine.getCombinedAnnualCashFlows(selectedProjects, revAdjust, costAdjust, true);
+      const dscrValues = debtSchedule.map(row => row.dscr).filter(value => value !== null);
+      roiKPIs.innerHTML += renderInvestmentMetrics(engine.calculateInvestmentMetrics(cashFlows, engine.getCombinedDiscountRate(selectedProjects)), 'h3', 'Unlevered Returns (Project)');
+      roiKPIs.innerHTML += renderInvestmentMetrics(engine.calculateInvestmentMetrics(leveredCashFlows, engine.getCombinedDiscountRate(selectedProjects)), 'h3', 'Levered Returns (Equity)');
+      roiKPIs.innerHTML += `<ul><li>Minimum DSCR: ${Math.min(...dscrValues).toFixed(2)}x</li></ul>`;
+    } else {
+      roiKPIs.innerHTML += renderInvestmentMetrics(engine.calculateInvestmentMetrics(cashFlows, engine.getCombinedDiscountRate(selectedProjects)));
+    }
+    
+    const debtBody = document.querySelector('#debtScheduleTable tbody');
+    if (debtBody) {
+      debtBody.innerHTML = '';
+      if (hasDebt) {
+        debtSchedule.forEach(row => {
+          debtBody.insertAdjacentHTML('beforeend', `<tr><td>${row.year}</td><td>€${row.interest.toFixed(2)}</td><td>€${row.principal.toFixed(2)}</td><td>€${row.debtService.toFixed(2)}</td><td>€${row.closingBalance.toFixed(2)}</td><td>${row.dscr === null ? 'N/A' : row.dscr.toFixed(2) + 'x'}</td></tr>`);
+        });
+      }
+    }
+  }
+}
+
+// Render NPV / IRR / MIRR / discounted payback as a KPI list
+function renderInvestmentMetrics(metrics, headingTag = 'h3', title = 'Discounted Cash Flow') {
+  const formatRate = rate => rate === null || !isFinite(rate) ? 'N/A' : (rate * 100).toFixed(1) + '%';
+  const payback = isFinite(metrics.discountedPaybackYears) ? metrics.discountedPaybackYears.toFixed(1) + ' year(s)' : 'Not within horizon';
+  return `<${headingTag}>${title}</${headingTag}><ul>
+    <li>NPV @ ${Number(metrics.discountRate.toFixed(2))}%: €${Math.round(metrics.npv).toLocaleString('en-US')}</li>
+    <li>IRR: ${formatRate(metrics.irr)}</li>
+    <li>MIRR: ${formatRate(metrics.mirr)}</li>
+    <li>Discounted Payback: ${payback}</li>
+  </ul>`;
+}
+window.renderInvestmentMetrics = renderInvestmentMetrics;
+window.updateROI = updateROI;
+
+// Change the projection horizon (1-20 years) and refresh the ROI view
+function updateProjectionHorizon(years) {
+  if (!window.calculationEngine) return;
+  const horizon = window.calculationEngine.setProjectionHorizon(years);
+  const input = document.getElementById('roiHorizon');
+  if (input) input.value = horizon;
+  updateROI();
+}
+window.updateProjectionHorizon = updateProjectionHorizon;
+
+// Change the discount rate used for NPV, MIRR and discounted payback
+function updateDiscountRate(rate) {
+  if (!window.calculationEngine) return;
+  const discountRate = window.calculationEngine.setDiscountRate(rate);
+  const input = document.getElementById('roiDiscountRate');
+  if (input) input.value = discountRate;
+  updateROI();
+}
+window.updateDiscountRate = updateDiscountRate;
+
+// Report the projection in nominal terms or in real (year-1) prices
+function updatePriceBasis(basis) {
+  if (!window.calculationEngine) return;
+  const priceBasis = window.calculationEngine.setPriceBasis(basis);
+  const select = document.getElementById('pnlPriceBasis');
+  if (select) select.value = priceBasis;
+  updatePnL();
+  updateROI();
+}
+window.updatePriceBasis = updatePriceBasis;
+
+// --- Tornado and Spider Charts (Sensitivity Analysis) ---
+// Variables are stored per project: { [projectId]: [{ projectId, fieldId, mode: 'percent' | 'absolute', low, high }] }
+function loadSensitivityVariables() {
+  return JSON.parse(localStorage.getItem('sensitivityVariables') || '{}');
+}
+function saveSensitivityVariables(variables) {
+  localStorage.setItem('sensitivityVariables', JSON.stringify(variables));
+}
+
+// A project's sensitivity variables; until configured, its non-zero revenue inputs at ±20%
+function getSensitivityVariables(projectId) {
+  const stored = loadSensitivityVariables();
+  if (stored[projectId]) return stored[projectId];
+  
+  const engine = window.calculationEngine;
+  const projectType = window.projectTypeManager?.getProjectType(projectId);
+  if (!engine || !projectType) return [];
+  
+  const data = engine.projectTypes.get(projectId) || engine.getDefaultData(projectType);
+  return projectType.categories.revenue
+    .filter(field => field.type !== 'boolean' && field.type !== 'select' && engine.getValue(data, field.id, 0) !== 0)
+    .map(field => ({ projectId, fieldId: field.id, mode: 'percent', low: -20, high: 20 }));
+}
+function setSensitivityVariables(projectId, variables) {
+  const stored = loadSensitivityVariables();
+  stored[projectId] = variables;
+  saveSensitivityVariables(stored);
+}
+
+function updateSensitivityControls() {
+  const selectedProjects = window.selectionStateManager ? 
+    window.selectionStateManager.getSelectedProjectTypes() : [];
+  const options = getNumericFieldOptions(selectedProjects);
+  
+  const fieldSelect = document.getElementById('sensitivityFieldSelect');
+  if (fieldSelect) {
+    fieldSelect.innerHTML = options.map(option => 
+      `<option value="${option.projectId}|${option.fieldId}">${escapeHtml(option.label)}</option>`
+    ).join('');
+  }
+  
+  const body = document.querySelector('#sensitivityVariablesTable tbody');
+  if (!body) return;
+  
+  body.innerHTML = '';
+  selectedProjects.forEach(projectId => {
+    getSensitivityVariables(projectId).forEach((variable, index) => {
+      const option = options.find(item => item.projectId === projectId && item.fieldId === variable.fieldId);
+      const update = key => `updateSensitivityVariable('${projectId}', ${index}, '${key}', this.value)`;
+      
+      body.insertAdjacentHTML('beforeend', `<tr>
+        <td>${escapeHtml(option ? option.label : `${projectId}: ${variable.fieldId}`)}</td>
+        <td><select onchange="${update('mode')}">
+          <option value="percent" ${variable.mode === 'percent' ? 'selected' : ''}>% change</option>
+          <option value="absolute" ${variable.mode === 'absolute' ? 'selected' : ''}>Absolute value</option>
+        </select></td>
+        <td><input type="number" step="any" value="${variable.low}" onchange="${update('low')}"></td>
+        <td><input type="number" step="any" value="${variable.high}" onchange="${update('high')}"></td>
+        <td><button type="button" onclick="removeSensitivityVariable('${projectId}', ${index})">Remove</button></td>
+      </tr>`);
+    });
+  });
+  
+  if (body.innerHTML === '') {
+    body.innerHTML = `<tr><td colspan="5">Add a field above to see how its range moves the selected metric.</td></tr>`;
+  }
+}
+
+function addSensitivityVariable() {
+  const fieldSelect = document.getElementById('sensitivityFieldSelect');
+  if (!fieldSelect || !fieldSelect.value) return;
+  
+  const [projectId, fieldId] = fieldSelect.value.split('|');
+  const variables = getSensitivityVariables(projectId);
+  if (variables.some(item => item.fieldId === fieldId)) {
+    alert('This field is already a sensitivity variable');
+    return;
+  }
+  
+  variables.push({ projectId, fieldId, mode: 'percent', low: -20, high: 20 });
+  setSensitivityVariables(projectId, variables);
+  updateSensitivityControls();
+  drawTornadoChart();
+}
+
+function updateSensitivityVariable(projectId, index, key, value) {
+  const variables = getSensitivityVariables(projectId);
+  const variable = variables[index];
+  if (!variable) return;
+  
+  if (key === 'mode' && value !== variable.mode) {
+    // Convert the bounds so the range stays the same when switching between % and absolute values
+    const engine = window.calculationEngine;
+    const data = engine.projectTypes.get(projectId) || engine.getDefaultData(window.projectTypeManager.getProjectType(projectId));
+    const baseValue = engine.getValue(data, variable.fieldId, 0);
+    const bounds = engine.getSensitivityBounds(variable, baseValue);
+    if (value === 'absolute') {
+      variable.low = bounds.low;
+      variable.high = bounds.high;
+    } else {
+      variable.low = baseValue !== 0 ? (bounds.low / baseValue - 1) * 100 : -20;
+      variable.high = baseValue !== 0 ? (bounds.high / baseValue - 1) * 100 : 20;
+    }
+    variable.mode = value;
+  } else if (key !== 'mode') {
+    variable[key] = parseFloat(value);
+  }
+  
+  setSensitivityVariables(projectId, variables);
+  if (key === 'mode') updateSensitivityControls();
+  drawTornadoChart();
+}
+
+function removeSensitivityVariable(projectId, index) {
+  const variables = getSensitivityVariables(projectId);
+  variables.splice(index, 1);
+  setSensitivityVariables(projectId, variables);
+  updateSensitivityControls();
+  drawTornadoChart();
+}
+
+function drawTornadoChart() {
+  // Skip if Chart is not available (CDN blocked)
+  if (typeof Chart === 'undefined') {
+    console.warn('Chart.js not available, skipping tornado chart');
+    return;
+  }
+
+  // Get currently selected projects from centralized state
+  const selectedProjects = window.selectionStateManager ? 
+    window.selectionStateManager.getSelectedProjectTypes() : [];
+
+  if (selectedProjects.length === 0) {
+    console.log('No projects selected for tornado chart');
+    return;
+  }
+
+  const variables = selectedProjects.flatMap(projectId => getSensitivityVariables(projectId));
+  if (variables.length === 0) {
+    // Clear the charts of removed variables; the variables table shows the empty state
+    if (tornadoChart) tornadoChart.destroy();
+    if (spiderChart) spiderChart.destroy();
+    tornadoChart = null;
+    spiderChart = null;
+    return;
+  }
+
+  const metricSelect = document.getElementById('sensitivityMetric');
+  const metric = metricSelect ? metricSelect.value : 'profit';
+  const metricLabel = metricSelect ? metricSelect.options[metricSelect.selectedIndex].text : 'Annual Profit (€)';
+
+  let sensitivity;
+  try {
+    sensitivity = window.calculationEngine.calculateSensitivity(selectedProjects, variables, metric);
+  } catch (error) {
+    console.error('Sensitivity analysis failed:', error);
+    alert(`Sensitivity analysis failed: ${error.message}`);
+    return;
+  }
+
+  const options = getNumericFieldOptions(selectedProjects);
+  const labelFor = row => {
+    const option = options.find(item => item.projectId === row.projectId && item.fieldId === row.fieldId);
+    return option ? option.label : `${row.projectId}: ${row.fieldId}`;
+  };
+  // Payback can be infinite when a case never pays back; leave those points out of the charts
+  const chartValue = value => (isFinite(value) ? value : null);
+  const formatInput = value => value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+
+  // Tornado: signed change from the base case at each variable's low and high input
+  const tornadoCanvas = document.getElementById('tornadoChart');
+  if (tornadoCanvas) {
+    if (tornadoChart) tornadoChart.destroy();
+    tornadoChart = new Chart(tornadoCanvas.getContext('2d'), {
+      type: 'bar',
+      data: {
+        labels: sensitivity.variables.map(labelFor),
+        datasets: [
+          {
+            label: 'Low input',
+            data: sensitivity.variables.map(row => chartValue(row.low - sensitivity.base)),
+            inputs: sensitivity.variables.map(row => row.lowValue),
+            backgroundColor: 'rgba(231, 76, 60, 0.75)'
+          },
+          {
+            label: 'High input',
+            data: sensitivity.variables.map(row => chartValue(row.high - sensitivity.base)),
+            inputs: sensitivity.variables.map(row => row.highValue),
+            backgroundColor: 'rgba(39, 174, 96, 0.75)'
+          }
+        ]
+      },
+      options: {
+        indexAxis: 'y',
+        responsive: true,
+        maintainAspectRatio: false,
+        datasets: { bar: { grouped: false } },
+        plugins: {
+          title: { display: true, text: `Change in ${metricLabel} from base case (${formatInput(sensitivity.base)})` },
+          tooltip: {
+            callbacks: {
+              label: context => `${context.dataset.label} ${formatInput(context.dataset.inputs[context.dataIndex])}: ${context.parsed.x >= 0 ? '+' : ''}${formatInput(context.parsed.x)}`
+            }
+          }
+        }
+      }
+    });
+  }
+
+  // Spider: the metric across each variable's range, plotted against the % change in the input
+  const spiderCanvas = document.getElementById('spiderChart');
+  if (spiderCanvas) {
+    const colors = ['#3498db', '#e74c3c', '#27ae60', '#f39c12', '#9b59b6', '#1abc9c', '#e67e22', '#34495e'];
+    if (spiderChart) spiderChart.destroy();
+    spiderChart = new Chart(spiderCanvas.getContext('2d'), {
+      type: 'line',
+      data: {
+        datasets: sensitivity.variables
+          .filter(row => row.baseValue !== 0)
+          .map((row, index) => ({
+            label: labelFor(row),
+            data: row.sweep.map(point => ({ x: point.change, y: chartValue(point.metric) })),
+            borderColor: colors[index % colors.length],
+            backgroundColor: colors[index % colors.length],
+            fill: false,
+            tension: 0.2
+          }))
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        scales: {
+          x: { type: 'linear', title: { display: true, text: '% change in input' } },
+          y: { title: { display: true, text: metricLabel } }
+        }
+      }
+    });
+  }
+}
+
+window.addSensitivityVariable = addSensitivityVariable;
+window.updateSensitivityVariable = updateSensitivityVariable;
+window.removeSensitivityVariable = removeSensitivityVariable;
+
+// --- Goal Seek (Break-even Solver) ---
+function updateGoalSeekFields() {
+  const select = document.getElementById('goalSeekField');
+  if (!select) return;
+  
+  const selectedProjects = window.selectionStateManager ? 
+    window.selectionStateManager.getSelectedProjectTypes() : [];
+  const previous = select.value;
+  select.innerHTML = getNumericFieldOptions(selectedProjects).map(option => 
+    `<option value="${option.projectId}|${option.fieldId}" ${`${option.projectId}|${option.fieldId}` === previous ? 'selected' : ''}>${escapeHtml(option.label)}</option>`
+  ).join('');
+}
+
+function runGoalSeek() {
+  const select = document.getElementById('goalSeekField');
+  const resultElement = document.getElementById('goalSeekResult');
+  if (!select || !select.value || !window.calculationEngine) return;
+  
+  const [projectId, fieldId] = select.value.split('|');
+  const metric = document.getElementById('goalSeekMetric').value;
+  const target = getNumberInputValue('goalSeekTarget');
+  const metricLabels = { profit: 'Annual Profit', roi: 'ROI', payback: 'Payback', npv: 'NPV' };
+  const formatMetric = value => metric === 'roi' ? `${value.toFixed(1)}%` : metric === 'payback' ? `${value.toFixed(1)} years` : `€${Math.round(value).toLocaleString('en-US')}`;
+  
+  try {
+    const solution = window.calculationEngine.goalSeek(projectId, fieldId, { metric, value: target });
+    const label = select.options[select.selectedIndex].textContent;
+    resultElement.innerHTML = `<ul>
+      <li>${escapeHtml(label)}: <strong>${solution.value.toFixed(2)}</strong> (currently ${solution.current.toLocaleString()})</li>
+      <li>${metricLabels[metric]} at this value: ${formatMetric(solution.achieved)}</li>
+    </ul>
+    <button type="button" onclick="applyGoalSeek('${projectId}', '${fieldId}', ${solution.value})">Apply Value</button>`;
+  } catch (error) {
+    resultElement.innerHTML = `<p>${escapeHtml(error.message)}</p>`;
+  }
 }
-window.updateROI = updateROI;
 
-// --- Tornado Chart (Sensitivity Analysis) ---
-function drawTornadoChart() {
-  // Skip if Chart is not available (CDN blocked)
-  if (typeof Chart === 'undefined') {
-    console.warn('Chart.js not available, skipping tornado chart');
-    return;
+// Write a solved value back into the project's form data and refresh the analysis
+function applyGoalSeek(projectId, fieldId, value) {
+  const rounded = Math.round(value * 100) / 100;
+  if (window.dynamicUI && window.dynamicUI.formData.has(projectId)) {
+    window.dynamicUI.updateFieldValue(projectId, fieldId, rounded);
+  } else {
+    const data = window.calculationEngine.projectTypes.get(projectId);
+    if (!data) return;
+    data[fieldId] = rounded;
+    window.calculationEngine.updateProjectType(projectId, data, [fieldId]);
   }
+  
+  const input = document.getElementById(`${projectId}_${fieldId}`);
+  if (input) input.value = rounded;
+  updateROI();
+  drawTornadoChart();
+}
 
-  // Get currently selected projects from centralized state
+window.runGoalSeek = runGoalSeek;
+window.applyGoalSeek = applyGoalSeek;
+
+// --- Two-way Data Tables ---
+let lastDataTable = null;
+
+function updateDataTableFields() {
   const selectedProjects = window.selectionStateManager ? 
     window.selectionStateManager.getSelectedProjectTypes() : [];
+  const options = getNumericFieldOptions(selectedProjects);
+  
+  ['dataTableRowField', 'dataTableColumnField'].forEach((selectId, index) => {
+    const select = document.getElementById(selectId);
+    if (!select) return;
+    const previous = select.value;
+    select.innerHTML = options.map(option => 
+      `<option value="${option.projectId}|${option.fieldId}">${escapeHtml(option.label)}</option>`
+    ).join('');
+    if (options.some(option => `${option.projectId}|${option.fieldId}` === previous)) {
+      select.value = previous;
+    } else if (options[index]) {
+      select.value = `${options[index].projectId}|${options[index].fieldId}`;
+    }
+    updateDataTableRange(selectId);
+  });
+}
 
-  if (selectedProjects.length === 0) {
-    console.log('No projects selected for tornado chart');
+// Default range of ±20% around the field's current value
+function updateDataTableRange(selectId) {
+  const select = document.getElementById(selectId);
+  if (!select || !select.value || !window.calculationEngine) return;
+  
+  const [projectId, fieldId] = select.value.split('|');
+  const engine = window.calculationEngine;
+  const data = engine.projectTypes.get(projectId) || engine.getDefaultData(window.projectTypeManager.getProjectType(projectId));
+  const current = engine.getValue(data, fieldId, 0);
+  const prefix = selectId === 'dataTableRowField' ? 'dataTableRow' : 'dataTableColumn';
+  document.getElementById(`${prefix}From`).value = Math.round(current * 0.8 * 100) / 100;
+  document.getElementById(`${prefix}To`).value = Math.round(current * 1.2 * 100) / 100;
+}
+
+function getDataTableValues(prefix) {
+  const from = getNumberInputValue(`${prefix}From`);
+  const to = getNumberInputValue(`${prefix}To`);
+  const steps = Math.min(20, Math.max(2, Math.round(getNumberInputValue(`${prefix}Steps`))));
+  return Array.from({ length: steps }, (_, i) => Math.round((from + (to - from) * i / (steps - 1)) * 100) / 100);
+}
+
+function buildDataTable() {
+  const rowSelect = document.getElementById('dataTableRowField');
+  const columnSelect = document.getElementById('dataTableColumnField');
+  if (!rowSelect?.value || !columnSelect?.value || !window.calculationEngine) return;
+  
+  const [projectId, rowField] = rowSelect.value.split('|');
+  const [columnProjectId, columnField] = columnSelect.value.split('|');
+  if (projectId !== columnProjectId) {
+    alert('Both fields of a data table must belong to the same project');
     return;
   }
+  
+  try {
+    const table = window.calculationEngine.calculateDataTable(
+      projectId,
+      rowField,
+      getDataTableValues('dataTableRow'),
+      columnField,
+      getDataTableValues('dataTableColumn'),
+      document.getElementById('dataTableMetric').value
+    );
+    table.rowLabel = rowSelect.options[rowSelect.selectedIndex].textContent;
+    table.columnLabel = columnSelect.options[columnSelect.selectedIndex].textContent;
+    lastDataTable = table;
+    renderDataTable(table);
+  } catch (error) {
+    alert(`Data table failed: ${error.message}`);
+  }
+}
 
-  // Get dynamic key variables from selected projects
-  const keyVars = [];
+// Heatmap rendering: red for negative results, green for positive, stronger towards the extremes
+function renderDataTable(table) {
+  const container = document.getElementById('dataTableGrid');
+  if (!container) return;
+  
+  const formatValue = value => table.metric === 'roi' ? `${value.toFixed(1)}%` : `€${Math.round(value).toLocaleString('en-US')}`;
+  const values = table.values.flat();
+  const maxPositive = Math.max(0, ...values);
+  const maxNegative = Math.min(0, ...values);
+  const cellColor = value => {
+    const extreme = value >= 0 ? maxPositive : maxNegative;
+    const alpha = (0.15 + 0.6 * Math.abs(value) / (Math.abs(extreme) || 1)).toFixed(2);
+    return value >= 0 ? `rgba(39, 174, 96, ${alpha})` : `rgba(192, 57, 43, ${alpha})`;
+  };
   
+  container.innerHTML = `<table class="breakdown-table">
+    <thead>
+      <tr><th>${escapeHtml(table.rowLabel)} ↓ / ${escapeHtml(table.columnLabel)} →</th>${table.columnValues.map(value => `<th>${value.toLocaleString()}</th>`).join('')}</tr>
+    </thead>
+    <tbody>
+      ${table.values.map((row, rowIndex) => `<tr>
+        <th>${table.rowValues[rowIndex].toLocaleString()}</th>
+        ${row.map(value => `<td style="background-color: ${cellColor(value)}">${formatValue(value)}</td>`).join('')}
+      </tr>`).join('')}
+    </tbody>
+  </table>`;
+}
+
+// Data table as an array of rows for spreadsheet export
+function getDataTableSheetRows(table) {
+  return [
+    [`${table.rowLabel} / ${table.columnLabel} (${table.metric})`, ...table.columnValues],
+    ...table.values.map((row, index) => [table.rowValues[index], ...row])
+  ];
+}
+
+window.updateDataTableRange = updateDataTableRange;
+window.buildDataTable = buildDataTable;
+
+// --- Monte Carlo Risk Simulation ---
+function loadRiskDistributions() {
+  return JSON.parse(localStorage.getItem('riskDistributions') || '[]');
+}
+function saveRiskDistributions(distributions) {
+  localStorage.setItem('riskDistributions', JSON.stringify(distributions));
+}
+
+// Numeric input fields of the selected projects (risk variables, goal seek)
+function getNumericFieldOptions(selectedProjects) {
+  const options = [];
   selectedProjects.forEach(projectId => {
     const projectType = window.projectTypeManager?.getProjectType(projectId);
     if (!projectType) return;
+    ['investment', 'revenue', 'operating', 'staffing'].forEach(categoryType => {
+      projectType.categories[categoryType].forEach(field => {
+        if (field.type === 'boolean' || field.type === 'select') return;
+        options.push({ projectId, fieldId: field.id, label: `${projectType.name}: ${field.name}` });
+      });
+    });
+  });
+  return options;
+}
+
+function updateRiskTab() {
+  const selectedProjects = window.selectionStateManager ? 
+    window.selectionStateManager.getSelectedProjectTypes() : [];
+  const options = getNumericFieldOptions(selectedProjects);
+  
+  const fieldSelect = document.getElementById('riskFieldSelect');
+  if (fieldSelect) {
+    fieldSelect.innerHTML = options.map(option => 
+      `<option value="${option.projectId}|${option.fieldId}">${escapeHtml(option.label)}</option>`
+    ).join('');
+  }
+  
+  const body = document.querySelector('#riskDistributionsTable tbody');
+  if (!body) return;
+  
+  const typeOptions = Object.entries(window.DISTRIBUTION_TYPES || {});
+  body.innerHTML = '';
+  loadRiskDistributions().forEach((distribution, index) => {
+    if (!selectedProjects.includes(distribution.projectId)) return;
+    const option = options.find(item => item.projectId === distribution.projectId && item.fieldId === distribution.fieldId);
+    const params = window.DISTRIBUTION_TYPES[distribution.type].params.map(param => 
+      `<label>${param} <input type="number" step="any" value="${distribution[param]}" onchange="updateRiskDistribution(${index}, '${param}', this.value)"></label>`
+    ).join(' ');
     
-    // Get variables for this project type from its form
-    const projectFieldPrefix = projectId;
-    
-    // Add project-specific variables based on project type
-    if (projectId === 'padel') {
-      keyVars.push(
-        { label: 'Padel Utilization', id: 'padelPeakUtil', projectId: 'padel' },
-        { label: 'Padel Peak Rate', id: 'padelPeakRate', projectId: 'padel' },
-        { label: 'Padel Staff Salary', id: 'padelFtMgrSal', projectId: 'padel' }
-      );
-    } else if (projectId === 'gym') {
-      keyVars.push(
-        { label: 'Gym Weekly Members', id: 'gymWeekMembers', projectId: 'gym' },
-        { label: 'Gym Weekly Fee', id: 'gymWeekFee', projectId: 'gym' },
-        { label: 'Gym Staff Salary', id: 'gymFtTrainerSal', projectId: 'gym' }
-      );
-    } else {
-      // For dynamic projects, get key revenue and cost variables from form
-      const formData = window.dynamicUI?.getFormData(projectId);
-      if (formData) {
-        // Try to find key revenue variables
-        Object.keys(formData).forEach(key => {
-          if (key.includes('Rate') || key.includes('Fee') || key.includes('Price') || key.includes('Members')) {
-            keyVars.push({
-              label: `${projectType.name} ${key}`,
-              id: key,
-              projectId: projectId
-            });
-          }
-        });
-      }
-    }
+    body.insertAdjacentHTML('beforeend', `<tr>
+      <td>${escapeHtml(option ? option.label : `${distribution.projectId}: ${distribution.fieldId}`)}</td>
+      <td><select onchange="updateRiskDistribution(${index}, 'type', this.value)">
+        ${typeOptions.map(([type, info]) => `<option value="${type}" ${type === distribution.type ? 'selected' : ''}>${info.name}</option>`).join('')}
+      </select></td>
+      <td>${params}</td>
+      <td><button type="button" onclick="removeRiskDistribution(${index})">Remove</button></td>
+    </tr>`);
   });
+}
 
-  // If no key variables found, use generic approach
-  if (keyVars.length === 0) {
-    console.log('No key variables found for tornado chart');
+function addRiskDistribution() {
+  const fieldSelect = document.getElementById('riskFieldSelect');
+  if (!fieldSelect || !fieldSelect.value) return;
+  
+  const [projectId, fieldId] = fieldSelect.value.split('|');
+  const distributions = loadRiskDistributions();
+  if (distributions.some(item => item.projectId === projectId && item.fieldId === fieldId)) {
+    alert('This field already has a distribution');
     return;
   }
+  
+  const engine = window.calculationEngine;
+  const projectType = window.projectTypeManager.getProjectType(projectId);
+  const data = engine.projectTypes.get(projectId) || engine.getDefaultData(projectType);
+  distributions.push(window.monteCarloSimulator.createDefaultDistribution(projectId, fieldId, engine.getValue(data, fieldId, 0)));
+  saveRiskDistributions(distributions);
+  updateRiskTab();
+}
 
-  // Calculate sensitivity impacts
-  const impacts = keyVars.map(v => {
-    const element = document.getElementById(v.id);
-    if (!element) return 0;
-    
-    const orig = getNumberInputValue(v.id);
-    if (orig === 0) return 0;
-    
-    let minVal = Math.max(0, orig * 0.8);
-    let maxVal = orig * 1.2;
-    
-    // Calculate baseline profit
-    let baselineProfit = 0;
-    selectedProjects.forEach(projectId => {
-      const result = window.calculationEngine?.getCalculation(projectId);
-      if (result) baselineProfit += result.profit;
-    });
-    
-    // Test low value impact
-    element.value = minVal;
-    triggerCalculationUpdate(v.projectId);
-    let lowProfit = 0;
-    selectedProjects.forEach(projectId => {
-      const result = window.calculationEngine?.getCalculation(projectId);
-      if (result) lowProfit += result.profit;
-    });
-    
-    // Test high value impact  
-    element.value = maxVal;
-    triggerCalculationUpdate(v.projectId);
-    let highProfit = 0;
-    selectedProjects.forEach(projectId => {
-      const result = window.calculationEngine?.getCalculation(projectId);
-      if (result) highProfit += result.profit;
-    });
-    
-    // Restore original value
-    element.value = orig;
-    triggerCalculationUpdate(v.projectId);
-    
-    return Math.abs(highProfit - lowProfit);
-  });
+function updateRiskDistribution(index, key, value) {
+  const distributions = loadRiskDistributions();
+  if (!distributions[index]) return;
+  distributions[index][key] = key === 'type' ? value : parseFloat(value);
+  saveRiskDistributions(distributions);
+  if (key === 'type') updateRiskTab();
+}
 
-  // Create tornado chart
-  const canvas = document.getElementById('tornadoChart');
-  if (!canvas) return;
+function removeRiskDistribution(index) {
+  const distributions = loadRiskDistributions();
+  distributions.splice(index, 1);
+  saveRiskDistributions(distributions);
+  updateRiskTab();
+}
 
-  if (tornadoChart) tornadoChart.destroy();
-  const ctx = canvas.getContext('2d');
-  tornadoChart = new Chart(ctx, {
-    type: 'bar',
-    data: {
-      labels: keyVars.map(v => v.label),
-      datasets: [{
-        label: 'Impact on Net Profit (€)',
-        data: impacts,
-        backgroundColor: '#f39c12'
-      }]
-    },
-    options: { indexAxis: 'y', responsive: true, maintainAspectRatio: false }
+function runRiskSimulation() {
+  const selectedProjects = window.selectionStateManager ? 
+    window.selectionStateManager.getSelectedProjectTypes() : [];
+  if (selectedProjects.length === 0) {
+    alert('Select at least one project to run a risk simulation');
+    return;
+  }
+  
+  const distributions = loadRiskDistributions().filter(item => selectedProjects.includes(item.projectId));
+  if (distributions.length === 0) {
+    alert('Add at least one variable with a probability distribution');
+    return;
+  }
+  
+  const progress = document.getElementById('riskProgress');
+  const runButton = document.getElementById('riskRunBtn');
+  if (runButton) runButton.disabled = true;
+  
+  window.monteCarloSimulator.run({
+    projectIds: selectedProjects,
+    distributions,
+    iterations: getNumberInputValue('riskIterations'),
+    paybackYears: getNumberInputValue('riskPaybackYears')
+  }, (completed, total) => {
+    if (progress) progress.textContent = `${completed.toLocaleString()} / ${total.toLocaleString()} iterations`;
+  }).then(summary => {
+    renderRiskResults(summary);
+  }).catch(error => {
+    console.error('Risk simulation failed:', error);
+    alert(`Risk simulation failed: ${error.message}`);
+  }).finally(() => {
+    if (runButton) runButton.disabled = false;
   });
 }
 
-// Helper function to trigger calculation updates for specific project types
-function triggerCalculationUpdate(projectId) {
-  if (projectId === 'padel' && typeof calculatePadel === 'function') {
-    calculatePadel();
-  } else if (projectId === 'gym' && typeof calculateGym === 'function') {
-    calculateGym();
-  } else if (window.dynamicUI && typeof window.dynamicUI.updateCalculations === 'function') {
-    window.dynamicUI.updateCalculations(projectId);
+function renderRiskResults(summary) {
+  const formatMoney = value => `€${Math.round(value).toLocaleString('en-US')}`;
+  const formatPercent = value => `${(value * 100).toFixed(1)}%`;
+  
+  const riskSummary = document.getElementById('riskSummary');
+  if (riskSummary) {
+    riskSummary.innerHTML = `<h3>Simulation Results (${summary.iterations.toLocaleString()} iterations)</h3>
+      <ul>
+        <li>Annual Profit P10 / P50 / P90: ${formatMoney(summary.profit.p10)} / ${formatMoney(summary.profit.p50)} / ${formatMoney(summary.profit.p90)}</li>
+        <li>NPV P10 / P50 / P90: ${formatMoney(summary.npv.p10)} / ${formatMoney(summary.npv.p50)} / ${formatMoney(summary.npv.p90)}</li>
+        <li>Probability of Loss: ${formatPercent(summary.probabilityOfLoss)}</li>
+        <li>Probability of Negative NPV: ${formatPercent(summary.probabilityOfNegativeNPV)}</li>
+        <li>Probability of Payback within ${summary.paybackYears} year(s): ${formatPercent(summary.probabilityOfPayback)}</li>
+      </ul>`;
   }
+  
+  if (typeof Chart === 'undefined') return;
+  
+  const drawHistogram = (canvasId, chart, stats, label, color) => {
+    const canvas = document.getElementById(canvasId);
+    if (!canvas) return chart;
+    if (chart) chart.destroy();
+    return new Chart(canvas.getContext('2d'), {
+      type: 'bar',
+      data: {
+        labels: stats.histogram.map(bin => formatMoney((bin.from + bin.to) / 2)),
+        datasets: [{
+          label,
+          data: stats.histogram.map(bin => bin.count),
+          backgroundColor: color
+        }]
+      },
+      options: { responsive: true, maintainAspectRatio: false }
+    });
+  };
+  
+  riskProfitChart = drawHistogram('riskProfitChart', riskProfitChart, summary.profit, 'Annual Profit (iterations)', '#27ae60');
+  riskNpvChart = drawHistogram('riskNpvChart', riskNpvChart, summary.npv, 'NPV (iterations)', '#2980b9');
 }
 
+window.addRiskDistribution = addRiskDistribution;
+window.updateRiskDistribution = updateRiskDistribution;
+window.removeRiskDistribution = removeRiskDistribution;
+window.runRiskSimulation = runRiskSimulation;
+
 // --- Scenario Management ---
 function getScenarioState() {
   const ids = padelInputIds.concat(gymInputIds);
@@ -884,6 +2427,14 @@ function generateSummaryReport() {
       return project ? project.name : id;
     }).join(', ');
     
+    const fundingRequirement = window.calculationEngine ?
+      renderFundingRequirement(window.calculationEngine.calculateFundingRequirement(selectedProjects, getFundingOptions()), 'h4') : '';
+    
+    const investmentMetrics = window.calculationEngine ?
+      renderInvestmentMetrics(window.calculationEngine.calculateInvestmentMetrics(
+        window.calculationEngine.getCombinedAnnualCashFlows(selectedProjects),
+        window.calculationEngine.getCombinedDiscountRate(selectedProjects)), 'h4') : '';
+    
     reportContent.innerHTML = `
       <h3>Investment Summary Report</h3>
       <p><strong>Selected Projects:</strong> ${projectsList}</p>
@@ -896,6 +2447,10 @@ function generateSummaryReport() {
         <li><b>Total Investment:</b> €${totalInvestment.toLocaleString()}</li>
       </ul>
       
+      ${investmentMetrics}
+      
+      ${fundingRequirement}
+      
       <h4>Project Breakdown</h4>
       <ul>
         ${projectData.map(project => `
@@ -966,6 +2521,9 @@ window.exportExcel = function() {
   const table = document.getElementById('monthlyBreakdown');
   const ws = XLSX.utils.table_to_sheet(table);
   XLSX.utils.book_append_sheet(wb, ws, "Monthly Breakdown");
+  if (lastDataTable) {
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(getDataTableSheetRows(lastDataTable)), "Data Table");
+  }
   XLSX.writeFile(wb, "Investment_Breakdown.xlsx");
 };
 
@@ -992,6 +2550,93 @@ function saveGanttTasks() {
   localStorage.setItem(ganttKey, JSON.stringify(ganttTasks));
 }
 
+// --- Project schedule: start dates and construction periods, optionally following a Gantt task ---
+// Local YYYY-MM-DD for a date from the Gantt chart
+function formatGanttDate(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// Construction period spanned by a task, in whole months (at least one)
+function getGanttTaskMonths(task) {
+  const days = (new Date(task.end) - new Date(task.start)) / 86400000 + 1;
+  return Math.max(1, Math.round(days / (365 / 12)));
+}
+
+// Copy the dates of linked Gantt tasks onto their projects (task start = project start, task length = construction);
+// returns true when any project was recalculated
+function syncProjectSchedules() {
+  const engine = window.calculationEngine;
+  if (!engine) return false;
+  
+  let changed = false;
+  engine.projectTypes.forEach((data, projectId) => {
+    const task = data.ganttTaskId && ganttTasks.find(t => t.id === data.ganttTaskId);
+    if (!task) return;
+    
+    const schedule = { startDate: task.start, constructionMonths: getGanttTaskMonths(task) };
+    const keys = Object.keys(schedule).filter(key => data[key] !== schedule[key]);
+    if (keys.length === 0) return;
+    
+    Object.assign(data, schedule);
+    engine.updateProjectType(projectId, data, keys);
+    changed = true;
+  });
+  
+  return changed;
+}
+
+function updateProjectScheduleTable(selectedProjects) {
+  const body = document.querySelector('#projectScheduleTable tbody');
+  const engine = window.calculationEngine;
+  if (!body || !engine) return;
+  
+  if (ganttTasks.length === 0) loadGanttTasks();
+  const offsets = engine.getStartOffsets(selectedProjects);
+  body.innerHTML = '';
+  selectedProjects.forEach(projectId => {
+    const data = engine.projectTypes.get(projectId);
+    if (!data) return;
+    
+    const linked = ganttTasks.some(task => task.id === data.ganttTaskId);
+    const tradingMonth = offsets.get(projectId) + engine.getConstructionMonths(data) + 1;
+    body.insertAdjacentHTML('beforeend', `<tr>
+      <td>${escapeHtml(window.projectTypeManager?.getProjectType(projectId)?.name || projectId)}</td>
+      <td><input type="date" value="${data.startDate || ''}" ${linked ? 'disabled' : ''} onchange="updateProjectSchedule('${projectId}', 'startDate', this.value)"></td>
+      <td><input type="number" min="0" max="60" value="${data.constructionMonths || 0}" ${linked ? 'disabled' : ''} onchange="updateProjectSchedule('${projectId}', 'constructionMonths', this.value)"></td>
+      <td><select onchange="linkProjectToGanttTask('${projectId}', this.value)">
+        <option value="">Not linked</option>
+        ${ganttTasks.map(task => `<option value="${escapeHtml(task.id)}" ${task.id === data.ganttTaskId ? 'selected' : ''}>${escapeHtml(task.name)}</option>`).join('')}
+      </select></td>
+      <td>Month ${tradingMonth}</td>
+    </tr>`);
+  });
+}
+
+// Set a project's start date or construction period and recalculate it
+function updateProjectSchedule(projectId, key, value) {
+  const engine = window.calculationEngine;
+  const data = engine?.projectTypes.get(projectId);
+  if (!data) return;
+  
+  data[key] = key === 'startDate' ? value : Math.max(0, parseFloat(value) || 0);
+  engine.updateProjectType(projectId, data, [key]);
+  
+  updatePnL();
+}
+
+// Link a project to a Gantt task (blank to unlink and keep the current dates)
+function linkProjectToGanttTask(projectId, taskId) {
+  const data = window.calculationEngine?.projectTypes.get(projectId);
+  if (!data) return;
+  
+  data.ganttTaskId = taskId;
+  syncProjectSchedules();
+  updatePnL();
+}
+
+window.updateProjectSchedule = updateProjectSchedule;
+window.linkProjectToGanttTask = linkProjectToGanttTask;
+
 // --- Gantt Task List Render ---
 function renderGanttTaskList() {
   const list = document.getElementById('ganttTaskList');
@@ -1029,6 +2674,7 @@ window.deleteGanttTask = function(id) {
   saveGanttTasks();
   renderGanttTaskList();
   drawGantt();
+  if (syncProjectSchedules()) updatePnL();
 };
 document.getElementById('ganttTaskForm').onsubmit = function(e) {
   e.preventDefault();
@@ -1050,6 +2696,7 @@ document.getElementById('ganttTaskForm').onsubmit = function(e) {
   saveGanttTasks();
   renderGanttTaskList();
   drawGantt();
+  if (syncProjectSchedules()) updatePnL();
   this.reset();
   document.getElementById('ganttEditId').value = '';
 };
@@ -1088,6 +2735,17 @@ function drawGantt() {
   if (ganttTasks.length > 0) {
     const gantt = new Gantt("#ganttChartDiv", ganttTasks, {
       view_mode: currentViewMode,
+      // Dragging a task moves the schedule of any project linked to it
+      on_date_change: (task, start, end) => {
+        const idx = ganttTasks.findIndex(t => t.id === task.id);
+        if (idx >= 0) {
+          ganttTasks[idx].start = formatGanttDate(start);
+          ganttTasks[idx].end = formatGanttDate(end);
+          saveGanttTasks();
+          renderGanttTaskList();
+          if (syncProjectSchedules()) updatePnL();
+        }
+      },
       on_progress_change: (task, progress) => {
         const idx = ganttTasks.findIndex(t => t.id === task.id);
         if (idx >= 0) {
@@ -1442,8 +3100,16 @@ function clearInvestmentTables() {
   const tableIds = [
     'monthlyBreakdown',
     'cashFlowTable', 
+    'taxSummaryTable',
+    'multiYearPnlTable',
+    'consolidatedPnlTable',
+    'costEscalationTable',
     'paybackTable',
+    'debtScheduleTable',
     'capexBreakdownTable',
+    'assetDepreciationTable',
+    'depreciationScheduleTable',
+    'netBookValueTable',
     'roiSensitivityTable',
     'tornadoTable'
   ];
@@ -1465,11 +3131,17 @@ function resetInvestmentCharts() {
       'pnlChart',
       'profitTrendChart', 
       'costPieChart',
+      'cohortChart',
+      'fleetChart',
+      'capexBarChart',
       'roiLineChart',
       'roiBarChart',
       'roiPieChart',
       'roiBreakEvenChart',
       'tornadoChart',
+      'spiderChart',
+      'riskProfitChart',
+      'riskNpvChart',
       'paybackProgressChart'
     ];
     
@@ -1495,7 +3167,7 @@ function resetInvestmentCharts() {
     
     // Reset global chart variables if they exist
     if (typeof window !== 'undefined') {
-      const chartVars = ['pnlChart', 'profitTrendChart', 'costPieChart', 'roiLineChart', 'roiBarChart', 'roiPieChart', 'roiBreakEvenChart', 'tornadoChart'];
+      const chartVars = ['pnlChart', 'profitTrendChart', 'costPieChart', 'cohortChart', 'fleetChart', 'capexBarChart', 'roiLineChart', 'roiBarChart', 'roiPieChart', 'roiBreakEvenChart', 'tornadoChart', 'spiderChart'];
       chartVars.forEach(varName => {
         try {
           if (window[varName] && typeof window[varName].destroy === 'function') {
@@ -1632,7 +3304,183 @@ function updateCapExSummary() {
       });
     }
   }
+  
+  updateDepreciationTables(selectedProjects);
+  updateCapexPlan(selectedProjects);
+}
+
+// --- CapEx implementation plan: phase drawdown, budget vs actual and the benefit curve ---
+function updateCapexPlan(selectedProjects) {
+  const phaseBody = document.querySelector('#capexPlanTable tbody');
+  const budgetBody = document.querySelector('#capexBudgetTable tbody');
+  if (!phaseBody || !budgetBody) return;
+  
+  const formatMoney = value => `${value < 0 ? '-' : ''}€${Math.round(Math.abs(value)).toLocaleString('en-US')}`;
+  const results = selectedProjects
+    .map(projectId => window.calculationEngine?.getCalculation(projectId))
+    .filter(result => result && result.capex);
+  phaseBody.innerHTML = '';
+  budgetBody.innerHTML = '';
+  
+  results.forEach(result => {
+    const capex = result.capex;
+    const typeName = escapeHtml(result.typeName);
+    capex.phases.forEach(phase => {
+      const key = `'${result.typeId}', '${phase.id}'`;
+      phaseBody.insertAdjacentHTML('beforeend', `<tr>
+        <td>${typeName}</td>
+        <td>${escapeHtml(phase.name)}</td>
+        <td><input type="number" min="1" step="1" value="${phase.startMonth}" onchange="updateCapexPhase(${key}, 'startMonth', this.value)"></td>
+        <td><input type="number" min="1" step="1" value="${phase.months}" onchange="updateCapexPhase(${key}, 'phaseMonths', this.value)"></td>
+        <td>${formatMoney(phase.planned)}</td>
+        <td><input type="number" min="0" value="${phase.actual !== null ? phase.actual : ''}" placeholder="Not recorded" onchange="updateCapexPhase(${key}, 'actualSpend', this.value)"></td>
+        <td>${phase.actual !== null ? `${formatMoney(phase.variance)} (${phase.variancePercent.toFixed(1)}%)` : '-'}</td>
+      </tr>`);
+    });
+    
+    budgetBody.insertAdjacentHTML('beforeend', `<tr>
+      <td>${typeName}</td>
+      <td>${formatMoney(capex.approvedBudget)}</td>
+      <td>${formatMoney(capex.plannedCost)} (incl. ${formatMoney(capex.contingency)} contingency)</td>
+      <td>${formatMoney(capex.forecastCost)}</td>
+      <td>${formatMoney(capex.actualSpend)} (${capex.budgetUtilization.toFixed(1)}%)</td>
+      <td>${formatMoney(capex.costVariance)} (${capex.costVariancePercent.toFixed(1)}%)</td>
+      <td>${formatMoney(capex.contingencyRemaining)}</td>
+      <td>${formatMoney(capex.budgetVariance)}</td>
+      <td>Month ${capex.fullBenefitMonth}</td>
+    </tr>`);
+  });
+  
+  if (results.length === 0) {
+    budgetBody.innerHTML = `<tr><td colspan="9">Select a CapEx investment project to track its budget.</td></tr>`;
+  }
+  
+  // Monthly drawdown against realized benefits until every selected project reaches full benefits
+  if (typeof Chart === 'undefined') return;
+  const canvas = document.getElementById('capexBarChart');
+  if (capexBarChart) capexBarChart.destroy();
+  capexBarChart = null;
+  if (!canvas || results.length === 0) return;
+  
+  const months = Math.min(results[0].timeSeries.length, Math.max(12, ...results.map(result => result.capex.fullBenefitMonth + 6)));
+  const sumMonths = valueOf => Array.from({ length: months }, (_, i) => results.reduce((sum, result) => sum + valueOf(result.timeSeries[i]), 0));
+  capexBarChart = new Chart(canvas.getContext('2d'), {
+    type: 'bar',
+    data: {
+      labels: Array.from({ length: months }, (_, i) => `Month ${i + 1}`),
+      datasets: [
+        { type: 'bar', label: 'Budget Drawdown', data: sumMonths(entry => entry.investment), backgroundColor: '#e74c3c' },
+        { type: 'line', label: 'Benefits', data: sumMonths(entry => entry.revenue), borderColor: '#2ecc71', pointRadius: 0 }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: { title: { display: true, text: 'Drawdown vs Benefits' } },
+      scales: { y: { beginAtZero: true } }
+    }
+  });
+}
+
+// Override a CapEx phase's timing or record its actual spend (a blank actual clears it), then recalculate
+function updateCapexPhase(projectId, fieldId, setting, value) {
+  const engine = window.calculationEngine;
+  const data = engine?.projectTypes.get(projectId);
+  if (!data) return;
+  
+  const key = `${fieldId}_${setting}`;
+  if (setting === 'actualSpend' && value === '') {
+    delete data[key];
+  } else {
+    data[key] = Math.max(0, parseFloat(value) || 0);
+  }
+  engine.updateProjectType(projectId, data, [key]);
+  
+  updateCapExSummary();
+  updatePnL();
+}
+window.updateCapexPhase = updateCapexPhase;
+
+// --- Depreciation schedule and net book value ---
+function updateDepreciationTables(selectedProjects) {
+  const results = selectedProjects
+    .map(projectId => window.calculationEngine?.getCalculation(projectId))
+    .filter(result => result && result.depreciation);
+  const horizonYears = window.calculationEngine?.horizonYears || 10;
+  
+  // Per-asset settings editor
+  const settingsBody = document.querySelector('#assetDepreciationTable tbody');
+  if (settingsBody) {
+    settingsBody.innerHTML = '';
+    results.forEach(result => {
+      result.depreciation.assets.forEach(asset => {
+        const key = `'${result.typeId}', '${asset.id}'`;
+        settingsBody.insertAdjacentHTML('beforeend', `<tr>
+          <td>${escapeHtml(result.typeName)}</td>
+          <td>${escapeHtml(asset.name)}</td>
+          <td>${escapeHtml(asset.group)}</td>
+          <td>€${asset.cost.toLocaleString()}</td>
+          <td><select onchange="updateAssetDepreciation(${key}, 'depreciationMethod', this.value)">
+            <option value="straightLine" ${asset.method === 'straightLine' ? 'selected' : ''}>Straight-line</option>
+            <option value="decliningBalance" ${asset.method === 'decliningBalance' ? 'selected' : ''}>Declining balance</option>
+          </select></td>
+          <td><input type="number" min="0" max="50" value="${asset.usefulLife}" onchange="updateAssetDepreciation(${key}, 'usefulLife', this.value)"></td>
+          <td><input type="number" min="0" max="100" value="${asset.residualValue}" onchange="updateAssetDepreciation(${key}, 'residualValue', this.value)"></td>
+        </tr>`);
+      });
+    });
+  }
+  
+  // Depreciation by asset group, one column per group
+  const groupNames = [...new Set(results.flatMap(result => Object.keys(result.depreciation.groups)))];
+  const scheduleTable = document.getElementById('depreciationScheduleTable');
+  if (scheduleTable) {
+    scheduleTable.querySelector('thead tr').innerHTML =
+      ['Year', ...groupNames, 'Total'].map(header => `<th>${escapeHtml(header)}</th>`).join('');
+    const body = scheduleTable.querySelector('tbody');
+    body.innerHTML = '';
+    
+    for (let year = 1; year <= horizonYears && results.length > 0; year++) {
+      const groupValues = groupNames.map(group => results.reduce((sum, result) => {
+        const entry = result.depreciation.groups[group];
+        return sum + (entry ? entry.annual[year - 1] : 0);
+      }, 0));
+      const total = groupValues.reduce((sum, value) => sum + value, 0);
+      body.insertAdjacentHTML('beforeend',
+        `<tr><td>${year}</td>${groupValues.map(value => `<td>€${value.toFixed(2)}</td>`).join('')}<td>€${total.toFixed(2)}</td></tr>`);
+    }
+  }
+  
+  // Net book value roll-forward
+  const nbvBody = document.querySelector('#netBookValueTable tbody');
+  if (nbvBody) {
+    nbvBody.innerHTML = '';
+    let opening = results.reduce((sum, result) => sum + result.investment, 0);
+    
+    for (let year = 1; year <= horizonYears && results.length > 0; year++) {
+      const depreciation = results.reduce((sum, result) => sum + result.depreciation.annual[year - 1], 0);
+      const closing = results.reduce((sum, result) => sum + result.depreciation.netBookValue[year - 1], 0);
+      nbvBody.insertAdjacentHTML('beforeend',
+        `<tr><td>${year}</td><td>€${opening.toFixed(2)}</td><td>€${depreciation.toFixed(2)}</td><td>€${closing.toFixed(2)}</td></tr>`);
+      opening = closing;
+    }
+  }
+}
+
+// Override depreciation settings for one investment item and recalculate its project
+function updateAssetDepreciation(projectId, fieldId, setting, value) {
+  const engine = window.calculationEngine;
+  const data = engine?.projectTypes.get(projectId);
+  if (!data) return;
+  
+  const key = `${fieldId}_${setting}`;
+  data[key] = setting === 'depreciationMethod' ? value : (parseFloat(value) || 0);
+  engine.updateProjectType(projectId, data, [key]);
+  
+  updateCapExSummary();
+  updatePnL();
 }
+window.updateAssetDepreciation = updateAssetDepreciation;
 
 function initializeStaffingResourcing() {
   // Initialize staffing and resourcing functionality
@@ -2249,14 +4097,121 @@ function initializeTemplates() {
       ['Month', 'Revenue', 'Costs', 'Profit']
     );
     
+    const seasonalityTable = createCollapsibleTable(
+      'Seasonality Profiles', 
+      'seasonalitySection', 
+      'seasonalityTable', 
+      ['Project Type', 'Profile', ...SEASONALITY_MONTHS],
+      false
+    );
+    
     const cashFlowTable = createCollapsibleTable(
       'Cash Flow Analysis', 
       'cashFlowSection', 
       'cashFlowTable', 
-      ['Month', 'Opening', 'Inflow', 'Outflow', 'Closing']
+      ['Month', 'Opening', 'Inflow', 'Outflow', 'Working Capital', 'Financing', 'Closing']
+    );
+    
+    const taxSummaryTable = createCollapsibleTable(
+      'Tax Summary', 
+      'taxSummarySection', 
+      'taxSummaryTable', 
+      ['Year', 'Profit before Tax', 'Corporate Tax', 'Net Profit after Tax', 'Loss Carried Forward', 'VAT Payable'],
+      false
+    );
+    
+    const fundingControls = `
+      <div class="adjustment-controls">
+        <label>Starting Cash (€): 
+          <input id="fundingStartingCash" type="number" min="0" value="0" step="1000" onchange="updatePnL()">
+        </label>
+        <label>Safety Buffer (%): 
+          <input id="fundingSafetyBuffer" type="number" min="0" max="100" value="10" step="1" onchange="updatePnL()">
+        </label>
+      </div>
+      <div id="fundingSummary" class="summary"></div>
+    `;
+    const fundingSection = createCollapsibleSection('Funding Requirement & Runway', 'fundingSection', fundingControls);
+    
+    const bookingDemandTable = createCollapsibleTable(
+      'Booking Demand & Capacity', 
+      'bookingDemandSection', 
+      'bookingDemandTable', 
+      ['Project Type', 'Slot Tier', 'Rate (€/h)', 'Requested (h)', 'Capacity (h)', 'Spilled In (h)', 'Booked (h)', 'Lost (h)', 'Utilization', 'Revenue'],
+      false
+    );
+    
+    const cohortContent = `
+      ${createBreakdownTable('cohortMetricsTable', ['Project Type', 'MRR (Month 12)', 'ARR', 'Net Revenue Retention', 'ARPU (€/month)', 'LTV', 'CAC', 'CAC Payback', 'LTV : CAC'])}
+      ${createChartsGrid([{chartId: 'cohortChart', height: '220'}])}
+    `;
+    const cohortSection = createCollapsibleSection('Subscription Cohorts', 'cohortSection', cohortContent, false);
+    
+    const eventContent = `
+      <div id="eventCalendarEditor"></div>
+      <h4>Per-event P&L (Year 1)</h4>
+      ${createBreakdownTable('eventPnlTable', ['Project Type', 'Event', 'Month', 'Tickets Sold / Capacity', 'Attendees', 'Revenue', 'Direct Costs', 'Contribution (Margin)', 'Overhead Share', 'Profit', 'Break-even Tickets (Direct / incl. Overhead)'])}
+    `;
+    const eventSection = createCollapsibleSection('Event Calendar & P&L', 'eventSection', eventContent, false);
+    
+    const fleetContent = `
+      ${createBreakdownTable('fleetMetricsTable', ['Project Type', 'Fleet (Opening → Horizon End)', 'Revenue per Available Vehicle-day', 'Utilization (Year 1)', 'Vehicle Purchases', 'Resale Proceeds', 'Replacement Age (Current / Optimal)'])}
+      <div id="fleetAcquisitionsEditor"></div>
+      <h4>Replacement Age (per Vehicle)</h4>
+      ${createBreakdownTable('fleetReplacementTable', ['Project Type', 'Replace at Age (years)', 'Resale Value', 'Equivalent Annual Value'])}
+      ${createChartsGrid([{chartId: 'fleetChart', height: '220'}])}
+    `;
+    const fleetSection = createCollapsibleSection('Fleet Lifecycle', 'fleetSection', fleetContent, false);
+    
+    const propertyContent = `
+      ${createBreakdownTable('propertyReturnsTable', ['Project Type', 'Year-1 Rent', 'WALT', 'NOI (Year 1)', 'Yield on Cost', 'Cash-on-Cash (Year 1)', 'Equity Multiple', 'Exit Value'])}
+      <div id="rentRollEditor"></div>
+    `;
+    const propertySection = createCollapsibleSection('Rent Roll & Property Returns', 'propertySection', propertyContent, false);
+    
+    const unitEconomicsContent = `
+      ${createBreakdownTable('unitEconomicsTable', ['Project Type', 'Line (Year 1)', 'Annual', 'Per Order'])}
+      <h4>Marketing Funnel (per Month)</h4>
+      ${createBreakdownTable('marketingFunnelTable', ['Project Type', 'Channel', 'Visits', 'Conversion', 'Orders', 'Spend', 'CAC', 'ROAS'])}
+    `;
+    const unitEconomicsSection = createCollapsibleSection('Unit Economics', 'unitEconomicsSection', unitEconomicsContent, false);
+    
+    const projectScheduleTable = createCollapsibleTable(
+      'Project Schedule', 
+      'projectScheduleSection', 
+      'projectScheduleTable', 
+      ['Project Type', 'Start Date', 'Construction (months)', 'Linked Gantt Task', 'Trading Starts'],
+      false
+    );
+    
+    const consolidatedContent = `
+      <h4>Shared Cost Pools</h4>
+      ${createBreakdownTable('costPoolsTable', ['Name', 'Annual Cost (€)', 'Allocation', 'Shares (%)', 'Replaces Stand-alone Lines', ''])}
+      <button type="button" onclick="addCostPool()">Add Shared Cost Pool</button>
+      <h4>Cross-sell Synergies</h4>
+      ${createBreakdownTable('synergiesTable', ['Name', 'Customers From', 'Conversion (%)', 'Value per Customer (€/year)', 'Revenue To', ''])}
+      <button type="button" onclick="addSynergy()">Add Synergy</button>
+      <h4>Stand-alone vs Combined (Year 1)</h4>
+      ${createBreakdownTable('consolidatedPnlTable', ['Project', 'Stand-alone Revenue', 'Stand-alone Costs', 'Stand-alone Profit', 'Replaced Costs', 'Shared Costs', 'Synergy Revenue', 'Combined Profit'])}
+    `;
+    const consolidatedSection = createCollapsibleSection('Consolidated P&L', 'consolidatedPnlSection', consolidatedContent, false);
+    
+    const multiYearPnlTable = createCollapsibleTable(
+      'Multi-year P&L', 
+      'multiYearPnlSection', 
+      'multiYearPnlTable', 
+      ['Year', 'Revenue', 'Costs', 'EBITDA', 'Net Profit after Tax']
+    );
+    
+    const costEscalationTable = createCollapsibleTable(
+      'Cost Escalation Settings', 
+      'costEscalationSection', 
+      'costEscalationTable', 
+      ['Project Type', 'Cost Line', 'Index', 'Escalation (%/year)'],
+      false
     );
     
-    pnlSectionsContainer.innerHTML = monthlyBreakdownTable + cashFlowTable;
+    pnlSectionsContainer.innerHTML = monthlyBreakdownTable + seasonalityTable + bookingDemandTable + cohortSection + eventSection + fleetSection + propertySection + unitEconomicsSection + cashFlowTable + projectScheduleTable + fundingSection + consolidatedSection + multiYearPnlTable + taxSummaryTable + costEscalationTable;
   }
   
   // Initialize ROI collapsible sections
@@ -2266,10 +4221,18 @@ function initializeTemplates() {
       'Payback Analysis',
       'paybackSection',
       'paybackTable',
-      ['Year', 'Cumulative Profit']
+      ['Year', 'Annual Profit', 'Cumulative Profit', 'Cumulative Cash']
+    );
+    
+    const debtScheduleTable = createCollapsibleTable(
+      'Debt Schedule',
+      'debtScheduleSection',
+      'debtScheduleTable',
+      ['Year', 'Interest', 'Principal', 'Debt Service', 'Closing Balance', 'DSCR'],
+      false
     );
     
-    roiSectionsContainer.innerHTML = paybackTable;
+    roiSectionsContainer.innerHTML = paybackTable + debtScheduleTable;
   }
   
   // Initialize ROI charts section
@@ -2289,14 +4252,107 @@ function initializeTemplates() {
   // Initialize ROI sensitivity section
   const roiSensitivityContainer = document.getElementById('roi-sensitivity-section');
   if (roiSensitivityContainer) {
-    const sensitivityChart = createCollapsibleChart(
-      'Sensitivity Analysis (Tornado Chart)',
-      'sensitivitySection',
-      'tornadoChart',
-      '220'
+    const sensitivityControls = `
+      <div class="adjustment-controls">
+        <label>Field: 
+          <select id="sensitivityFieldSelect"></select>
+        </label>
+        <button type="button" onclick="addSensitivityVariable()">Add Variable</button>
+        <label>Result: 
+          <select id="sensitivityMetric" onchange="drawTornadoChart()">
+            <option value="profit">Annual Profit (€)</option>
+            <option value="roi">ROI (%)</option>
+            <option value="npv">NPV (€)</option>
+            <option value="payback">Payback (years)</option>
+          </select>
+        </label>
+      </div>
+      ${createBreakdownTable('sensitivityVariablesTable', ['Field', 'Range', 'Low', 'High', ''])}
+      ${createChartsGrid([
+        {chartId: 'tornadoChart', height: '220'},
+        {chartId: 'spiderChart', height: '220'}
+      ])}
+    `;
+    const sensitivityChart = createCollapsibleSection('Sensitivity Analysis (Tornado & Spider Charts)', 'sensitivitySection', sensitivityControls);
+    
+    const goalSeekControls = `
+      <div class="adjustment-controls">
+        <label>Input Field: 
+          <select id="goalSeekField"></select>
+        </label>
+        <label>Target: 
+          <select id="goalSeekMetric">
+            <option value="profit">Annual Profit (€)</option>
+            <option value="roi">ROI (%)</option>
+            <option value="payback">Payback (years)</option>
+            <option value="npv">NPV (€)</option>
+          </select>
+        </label>
+        <label>Value: 
+          <input id="goalSeekTarget" type="number" value="0" step="any">
+        </label>
+        <button type="button" onclick="runGoalSeek()">Solve</button>
+      </div>
+      <div id="goalSeekResult"></div>
+    `;
+    const goalSeekSection = createCollapsibleSection('Goal Seek (Break-even Solver)', 'goalSeekSection', goalSeekControls);
+    
+    const dataTableControls = `
+      <div class="adjustment-controls">
+        <label>Rows: 
+          <select id="dataTableRowField" onchange="updateDataTableRange(this.id)"></select>
+        </label>
+        <label>From <input id="dataTableRowFrom" type="number" step="any"></label>
+        <label>To <input id="dataTableRowTo" type="number" step="any"></label>
+        <label>Steps <input id="dataTableRowSteps" type="number" min="2" max="20" value="5"></label>
+      </div>
+      <div class="adjustment-controls">
+        <label>Columns: 
+          <select id="dataTableColumnField" onchange="updateDataTableRange(this.id)"></select>
+        </label>
+        <label>From <input id="dataTableColumnFrom" type="number" step="any"></label>
+        <label>To <input id="dataTableColumnTo" type="number" step="any"></label>
+        <label>Steps <input id="dataTableColumnSteps" type="number" min="2" max="20" value="5"></label>
+      </div>
+      <div class="adjustment-controls">
+        <label>Result: 
+          <select id="dataTableMetric">
+            <option value="profit">Annual Profit (€)</option>
+            <option value="roi">ROI (%)</option>
+            <option value="npv">NPV (€)</option>
+          </select>
+        </label>
+        <button type="button" onclick="buildDataTable()">Build Table</button>
+        <button type="button" onclick="exportExcel()">Export to Excel</button>
+      </div>
+      <div id="dataTableGrid"></div>
+    `;
+    const dataTableSection = createCollapsibleSection('Two-way Data Table', 'dataTableSection', dataTableControls);
+    
+    roiSensitivityContainer.innerHTML = sensitivityChart + goalSeekSection + dataTableSection;
+  }
+  
+  // Initialize Risk sections
+  const riskSectionsContainer = document.getElementById('risk-collapsible-sections');
+  if (riskSectionsContainer) {
+    const riskVariablesTable = createCollapsibleTable(
+      'Risk Variables',
+      'riskVariablesSection',
+      'riskDistributionsTable',
+      ['Field', 'Distribution', 'Parameters', '']
     );
     
-    roiSensitivityContainer.innerHTML = sensitivityChart;
+    riskSectionsContainer.innerHTML = riskVariablesTable;
+  }
+  
+  const riskChartsContainer = document.getElementById('risk-charts-section');
+  if (riskChartsContainer) {
+    const charts = [
+      {chartId: 'riskProfitChart', height: '180'},
+      {chartId: 'riskNpvChart', height: '180'}
+    ];
+    
+    riskChartsContainer.innerHTML = createSectionGroup('Outcome Distributions', createChartsGrid(charts));
   }
   
   // Initialize CapEx collapsible sections
@@ -2309,7 +4365,44 @@ function initializeTemplates() {
       ['Category', 'Project Type', 'Amount', '% of Total']
     );
     
-    capexSectionsContainer.innerHTML = capexBreakdownTable;
+    const capexBudgetTable = createCollapsibleTable(
+      'Budget vs Actual',
+      'capexBudgetSection',
+      'capexBudgetTable',
+      ['Project Type', 'Approved Budget', 'Planned Cost', 'Forecast Cost', 'Actual Spend (Utilization)', 'Cost Variance', 'Contingency Remaining', 'Budget Headroom', 'Full Benefits From']
+    );
+    
+    const capexPlanTable = createCollapsibleTable(
+      'Implementation Phases',
+      'capexPlanSection',
+      'capexPlanTable',
+      ['Project Type', 'Phase', 'Start Month', 'Duration (months)', 'Planned', 'Actual Spend', 'Variance'],
+      false
+    );
+    
+    const assetDepreciationTable = createCollapsibleTable(
+      'Asset Depreciation Settings',
+      'assetDepreciationSection',
+      'assetDepreciationTable',
+      ['Project Type', 'Asset', 'Group', 'Cost', 'Method', 'Useful Life (years)', 'Residual Value (%)'],
+      false
+    );
+    
+    const depreciationScheduleTable = createCollapsibleTable(
+      'Depreciation by Asset Group',
+      'depreciationScheduleSection',
+      'depreciationScheduleTable',
+      ['Year', 'Total']
+    );
+    
+    const netBookValueTable = createCollapsibleTable(
+      'Net Book Value',
+      'netBookValueSection',
+      'netBookValueTable',
+      ['Year', 'Opening NBV', 'Depreciation', 'Closing NBV']
+    );
+    
+    capexSectionsContainer.innerHTML = capexBreakdownTable + capexBudgetTable + capexPlanTable + assetDepreciationTable + depreciationScheduleTable + netBookValueTable;
   }
   
   // Initialize CapEx charts section